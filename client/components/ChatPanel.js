@@ -0,0 +1,223 @@
+/**
+ * ChatPanel Component for LAN Mafia
+ *
+ * Scrollable message list with an input row for in-game chat channels.
+ * The server decides who may read and post; this only renders a channel.
+ */
+
+import React, { useState, useCallback, useRef } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  StyleSheet,
+} from "react-native";
+
+const ChatPanel = React.memo(function ChatPanel({
+  title = "Chat",
+  messages = [],
+  currentPlayerId = null, // Highlights the viewer's own messages and mentions
+  onSend = null, // Read-only log when not provided
+  onDeleteMessage = null, // Host moderation, shown when provided
+  onToggleMute = null,
+  mutedPlayerIds = [],
+  isDisabled = false,
+  placeholder = "Type a message...",
+  maxLength = 500, // Mirrors the server's maxMessageLength
+  accentColor = "#4ecdc4",
+  style = {},
+}) {
+  const [draft, setDraft] = useState("");
+  const listRef = useRef(null);
+
+  const canSend = !isDisabled && draft.trim().length > 0;
+
+  const handleSend = useCallback(() => {
+    if (!canSend || !onSend) return;
+    onSend(draft.trim());
+    setDraft("");
+  }, [canSend, onSend, draft]);
+
+  const renderMessage = ({ item }) => {
+    const isOwn = item.playerId === currentPlayerId;
+    const isMention = !isOwn && (item.mentions || []).includes(currentPlayerId);
+    const isMuted = mutedPlayerIds.includes(item.playerId);
+
+    return (
+      <View
+        style={[
+          styles.message,
+          isOwn && styles.ownMessage,
+          isMention && styles.mentionMessage,
+        ]}
+      >
+        <View style={styles.messageHeader}>
+          <Text style={[styles.author, { color: accentColor }]}>
+            {isOwn ? "You" : item.playerName}
+            {isMuted ? " 🔇" : ""}
+          </Text>
+          {!isOwn && onToggleMute && (
+            <TouchableOpacity
+              onPress={() => onToggleMute(item.playerId, !isMuted)}
+            >
+              <Text style={styles.moderationText}>
+                {isMuted ? "Unmute" : "Mute"}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {!item.deleted && onDeleteMessage && (
+            <TouchableOpacity onPress={() => onDeleteMessage(item.id)}>
+              <Text style={styles.moderationText}>Delete</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        {item.deleted ? (
+          <Text style={styles.deletedText}>Removed by the host</Text>
+        ) : (
+          <Text style={styles.messageText}>{item.message}</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { borderColor: accentColor }, style]}>
+      <Text style={[styles.title, { color: accentColor }]}>{title}</Text>
+
+      <FlatList
+        ref={listRef}
+        data={messages}
+        renderItem={renderMessage}
+        keyExtractor={(item) => item.id}
+        style={styles.list}
+        onContentSizeChange={() =>
+          listRef.current?.scrollToEnd({ animated: true })
+        }
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>No messages yet</Text>
+        }
+      />
+
+      {onSend && (
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.input}
+            value={draft}
+            onChangeText={setDraft}
+            placeholder={placeholder}
+            placeholderTextColor="#7f8c8d"
+            maxLength={maxLength}
+            editable={!isDisabled}
+            onSubmitEditing={handleSend}
+            returnKeyType="send"
+          />
+          <TouchableOpacity
+            style={[
+              styles.sendButton,
+              { backgroundColor: accentColor },
+              !canSend && styles.sendButtonDisabled,
+            ]}
+            onPress={handleSend}
+            disabled={!canSend}
+          >
+            <Text style={styles.sendButtonText}>Send</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#16213e",
+    borderRadius: 10,
+    borderWidth: 1,
+    padding: 12,
+    marginTop: 15,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  list: {
+    maxHeight: 160,
+    marginBottom: 8,
+  },
+  message: {
+    backgroundColor: "#1f2a48",
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 6,
+    marginRight: 30,
+  },
+  ownMessage: {
+    backgroundColor: "#0f3460",
+    marginRight: 0,
+    marginLeft: 30,
+  },
+  mentionMessage: {
+    borderWidth: 1,
+    borderColor: "#f1c40f",
+  },
+  messageHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  author: {
+    flex: 1,
+    fontSize: 12,
+    fontWeight: "bold",
+    marginBottom: 2,
+  },
+  moderationText: {
+    color: "#95a5a6",
+    fontSize: 11,
+    marginLeft: 10,
+  },
+  deletedText: {
+    color: "#7f8c8d",
+    fontSize: 14,
+    fontStyle: "italic",
+  },
+  messageText: {
+    color: "#fff",
+    fontSize: 14,
+  },
+  emptyText: {
+    color: "#7f8c8d",
+    fontSize: 14,
+    textAlign: "center",
+    paddingVertical: 10,
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  input: {
+    flex: 1,
+    backgroundColor: "#0f1a30",
+    color: "#fff",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginRight: 8,
+  },
+  sendButton: {
+    paddingVertical: 9,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  sendButtonDisabled: {
+    opacity: 0.5,
+  },
+  sendButtonText: {
+    color: "#fff",
+    fontWeight: "bold",
+  },
+});
+
+export default ChatPanel;
@@ -0,0 +1,81 @@
+/**
+ * DayActions Component for LAN Mafia
+ *
+ * Offers the current player their role's day ability (the Mayor's
+ * reveal) while it can still be used, and announces every day ability
+ * anyone uses along with custom roles' announcements.
+ */
+
+import React, { useState, useEffect } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { socket } from "../utils/socket";
+import { getRoleInfo } from "../constants/roles";
+
+export default function DayActions({ currentPlayer, style = {} }) {
+  const [announcements, setAnnouncements] = useState([]);
+
+  useEffect(() => {
+    const handleDayAction = ({ message }) =>
+      message && setAnnouncements((current) => [...current, message]);
+
+    socket.socket.on("dayActionUsed", handleDayAction);
+    socket.socket.on("roleAnnouncement", handleDayAction);
+
+    return () => {
+      socket.socket.off("dayActionUsed", handleDayAction);
+      socket.socket.off("roleAnnouncement", handleDayAction);
+    };
+  }, []);
+
+  const roleInfo = currentPlayer?.role && getRoleInfo(currentPlayer.role);
+  const canUseAbility =
+    !!roleInfo?.dayAction && currentPlayer.isAlive && !currentPlayer.isRevealed;
+
+  const activateAbility = () => {
+    socket.socket.emit("dayAction", { action: roleInfo.dayAction });
+  };
+
+  if (!canUseAbility && announcements.length === 0) return null;
+
+  return (
+    <View style={[styles.container, style]}>
+      {announcements.map((text, index) => (
+        <Text key={index} style={styles.announcement}>
+          📣 {text}
+        </Text>
+      ))}
+
+      {canUseAbility && (
+        <TouchableOpacity style={styles.button} onPress={activateAbility}>
+          <Text style={styles.buttonText}>
+            {roleInfo.emoji} {roleInfo.dayActionLabel}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+  },
+  announcement: {
+    color: "#f1c40f",
+    fontSize: 15,
+    fontWeight: "bold",
+    textAlign: "center",
+    marginBottom: 6,
+  },
+  button: {
+    backgroundColor: "#b8860b",
+    paddingVertical: 12,
+    borderRadius: 12,
+    alignItems: "center",
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+});
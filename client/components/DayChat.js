@@ -0,0 +1,114 @@
+/**
+ * DayChat Component for LAN Mafia
+ *
+ * Server-relayed discussion chat for players who are not in the same
+ * room. Living players can post during discussion and voting; the host
+ * can mute players and remove messages.
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { Text, StyleSheet } from "react-native";
+import { socket } from "../utils/socket";
+import ChatPanel from "./ChatPanel";
+
+export default function DayChat({
+  currentPlayer = null,
+  readOnly = false, // Spectators follow the chat without posting
+  style = {},
+}) {
+  const [messages, setMessages] = useState([]);
+  const [mutedPlayerIds, setMutedPlayerIds] = useState([]);
+
+  useEffect(() => {
+    // Handlers are removed individually - the discussion and voting
+    // screens can both be mounted while the stack navigates
+    const handleHistory = (history) => {
+      setMessages(history.messages || []);
+      setMutedPlayerIds(history.mutedPlayerIds || []);
+    };
+    const handleMessage = (message) => {
+      setMessages((current) => [...current, message]);
+    };
+    const handleDeleted = ({ messageId }) => {
+      setMessages((current) =>
+        current.map((m) =>
+          m.id === messageId ? { ...m, message: null, deleted: true } : m
+        )
+      );
+    };
+    const handleMuteUpdated = ({ playerId, muted }) => {
+      setMutedPlayerIds((current) => {
+        const others = current.filter((id) => id !== playerId);
+        return muted ? [...others, playerId] : others;
+      });
+    };
+
+    socket.socket.on("dayChatHistory", handleHistory);
+    socket.socket.on("dayChatMessage", handleMessage);
+    socket.socket.on("dayChatMessageDeleted", handleDeleted);
+    socket.socket.on("chatMuteUpdated", handleMuteUpdated);
+
+    socket.socket.emit("getDayChatHistory");
+
+    return () => {
+      socket.socket.off("dayChatHistory", handleHistory);
+      socket.socket.off("dayChatMessage", handleMessage);
+      socket.socket.off("dayChatMessageDeleted", handleDeleted);
+      socket.socket.off("chatMuteUpdated", handleMuteUpdated);
+    };
+  }, []);
+
+  const sendMessage = useCallback((message) => {
+    socket.socket.emit("dayChat", { message });
+  }, []);
+
+  const deleteMessage = useCallback((messageId) => {
+    socket.socket.emit("deleteChatMessage", { messageId });
+  }, []);
+
+  const toggleMute = useCallback((playerId, muted) => {
+    socket.socket.emit("muteChatPlayer", { playerId, muted });
+  }, []);
+
+  const isHost = !!currentPlayer?.isHost;
+  const isAlive = currentPlayer ? currentPlayer.isAlive : true;
+  const isMuted = !!currentPlayer && mutedPlayerIds.includes(currentPlayer.id);
+
+  return (
+    <>
+      <ChatPanel
+        title="💬 Town Chat"
+        messages={messages}
+        currentPlayerId={currentPlayer?.id}
+        onSend={readOnly ? null : sendMessage}
+        onDeleteMessage={isHost ? deleteMessage : null}
+        onToggleMute={isHost ? toggleMute : null}
+        mutedPlayerIds={mutedPlayerIds}
+        isDisabled={!isAlive || isMuted}
+        placeholder={
+          !isAlive
+            ? "The dead cannot speak"
+            : isMuted
+            ? "The host has muted you"
+            : "Use @name to mention a player"
+        }
+        accentColor="#f39c12"
+        style={style}
+      />
+      {isMuted && isAlive && (
+        <Text style={styles.mutedNotice}>
+          You are muted by the host and cannot send messages
+        </Text>
+      )}
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  mutedNotice: {
+    color: "#e67e22",
+    fontSize: 12,
+    textAlign: "center",
+    marginTop: 6,
+  },
+});
@@ -0,0 +1,65 @@
+/**
+ * GhostChat Component for LAN Mafia
+ *
+ * Chat for eliminated players and spectators. The server only lets them
+ * into this channel, and only when the host turned on
+ * rules.allowSpectatorChat.
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { socket } from "../utils/socket";
+import ChatPanel from "./ChatPanel";
+
+export default function GhostChat({
+  currentPlayer = null,
+  isSpectator = false,
+  style = {},
+}) {
+  const [enabled, setEnabled] = useState(false);
+  const [messages, setMessages] = useState([]);
+
+  const canJoin =
+    isSpectator || (currentPlayer ? !currentPlayer.isAlive : false);
+
+  useEffect(() => {
+    if (!canJoin) return undefined;
+
+    const handleHistory = (history) => {
+      setEnabled(!!history.enabled);
+      setMessages(history.messages || []);
+    };
+    const handleMessage = (message) => {
+      setMessages((current) => [...current, message]);
+    };
+
+    socket.socket.on("ghostChatHistory", handleHistory);
+    socket.socket.on("ghostChatMessage", handleMessage);
+
+    // Ask again once we are dead - the server only answers the dead
+    // and spectators
+    socket.socket.emit("getGhostChatHistory");
+
+    return () => {
+      socket.socket.off("ghostChatHistory", handleHistory);
+      socket.socket.off("ghostChatMessage", handleMessage);
+    };
+  }, [canJoin]);
+
+  const sendMessage = useCallback((message) => {
+    socket.socket.emit("ghostChat", { message });
+  }, []);
+
+  if (!canJoin || !enabled) return null;
+
+  return (
+    <ChatPanel
+      title="👻 Ghost Chat"
+      messages={messages}
+      currentPlayerId={currentPlayer?.id}
+      onSend={sendMessage}
+      placeholder="Only the dead can read this..."
+      accentColor="#95a5a6"
+      style={style}
+    />
+  );
+}
@@ -0,0 +1,89 @@
+/**
+ * Graveyard Component for LAN Mafia
+ *
+ * Lists everyone who has died so far, oldest first, with their last
+ * will. Roles only show up when the server revealed them
+ * (rules.revealRoleOnDeath or game over).
+ */
+
+import React, { useState, useEffect } from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { socket } from "../utils/socket";
+import { getRoleInfo } from "../constants/roles";
+
+const CAUSE_TEXT = {
+  killed: "was killed",
+  lynched: "was lynched",
+  abandoned: "left the game",
+};
+
+/**
+ * Describe a death record, e.g. "Alice (Healer) was killed on night 2"
+ * @param {Object} record - Death record from the server
+ * @returns {string} Announcement text
+ */
+export function describeDeath(record) {
+  const role = record.role ? ` (${getRoleInfo(record.role).name})` : "";
+  const cause = CAUSE_TEXT[record.cause] || "died";
+  return `${record.playerName}${role} ${cause} on ${record.time} ${record.round}`;
+}
+
+export default function Graveyard({ initialRecords = [], style = {} }) {
+  const [records, setRecords] = useState(initialRecords);
+
+  useEffect(() => {
+    const handleGraveyard = (graveyard) => setRecords(graveyard || []);
+
+    socket.socket.on("graveyardUpdated", handleGraveyard);
+    socket.socket.emit("getGraveyard");
+
+    return () => {
+      socket.socket.off("graveyardUpdated", handleGraveyard);
+    };
+  }, []);
+
+  if (records.length === 0) return null;
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.title}>🪦 Graveyard</Text>
+      {records.map((record) => (
+        <View key={record.playerId}>
+          <Text style={styles.recordText}>{describeDeath(record)}</Text>
+          {record.lastWill && (
+            <Text style={styles.willText}>
+              📜 &quot;{record.lastWill}&quot;
+            </Text>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#2a2a2a",
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 15,
+  },
+  title: {
+    color: "#bdc3c7",
+    fontSize: 16,
+    fontWeight: "bold",
+    marginBottom: 6,
+  },
+  recordText: {
+    color: "#ecf0f1",
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  willText: {
+    color: "#f5deb3",
+    fontSize: 13,
+    fontStyle: "italic",
+    marginBottom: 6,
+    marginLeft: 10,
+  },
+});
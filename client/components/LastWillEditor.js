@@ -0,0 +1,122 @@
+/**
+ * LastWillEditor Component for LAN Mafia
+ *
+ * Lets a living player write and edit their private last will. The
+ * server keeps it secret and publishes it with their death record.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+} from "react-native";
+import { socket } from "../utils/socket";
+
+export default function LastWillEditor({
+  maxLength = 1000, // Mirrors the server's maxLastWillLength
+  style = {},
+}) {
+  const [savedText, setSavedText] = useState("");
+  const [draft, setDraft] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    const handleSaved = ({ text }) => {
+      setSavedText(text || "");
+      setDraft(text || "");
+    };
+
+    socket.socket.on("lastWillSaved", handleSaved);
+    socket.socket.emit("getLastWill");
+
+    return () => {
+      socket.socket.off("lastWillSaved", handleSaved);
+    };
+  }, []);
+
+  const saveWill = () => {
+    socket.socket.emit("setLastWill", { text: draft });
+    setIsOpen(false);
+  };
+
+  const hasChanges = draft.trim() !== savedText;
+
+  return (
+    <View style={[styles.container, style]}>
+      <TouchableOpacity onPress={() => setIsOpen(!isOpen)}>
+        <Text style={styles.title}>
+          📜 Last Will {savedText ? "✓" : ""} {isOpen ? "▲" : "▼"}
+        </Text>
+      </TouchableOpacity>
+
+      {isOpen && (
+        <>
+          <Text style={styles.hint}>
+            Only you can read this until you die - then everyone can.
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={draft}
+            onChangeText={setDraft}
+            placeholder="Write down what the town should know..."
+            placeholderTextColor="#7f8c8d"
+            maxLength={maxLength}
+            multiline
+          />
+          <TouchableOpacity
+            style={[styles.saveButton, !hasChanges && styles.disabledButton]}
+            onPress={saveWill}
+            disabled={!hasChanges}
+          >
+            <Text style={styles.saveButtonText}>Save Will</Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#2c2c2c",
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 15,
+  },
+  title: {
+    color: "#f5deb3",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  hint: {
+    color: "#95a5a6",
+    fontSize: 12,
+    marginTop: 6,
+  },
+  input: {
+    backgroundColor: "#1c1c1c",
+    color: "#fff",
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 8,
+    minHeight: 80,
+    textAlignVertical: "top",
+  },
+  saveButton: {
+    backgroundColor: "#8e6b3a",
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: "center",
+    marginTop: 8,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    color: "#fff",
+    fontWeight: "bold",
+  },
+});
@@ -11,15 +11,7 @@
 
 import React, { useMemo, useCallback } from "react";
 import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
-
-// Cache role colors to avoid repeated calculations
-const ROLE_COLORS = {
-  killer: "#ff0000",
-  healer: "#00ff00",
-  police: "#0000ff",
-  townsperson: "#ffaa00",
-  default: "#ffffff",
-};
+import { getRoleInfo } from "../constants/roles";
 
 const PlayerCard = React.memo(
   ({
@@ -30,6 +22,7 @@ const PlayerCard = React.memo(
     isSelected = false,
     onPress = null,
     onKick = null,
+    onMakeCoHost = null,
     showReadyStatus = false,
     isReady = false,
     style = {},
@@ -41,10 +34,8 @@ const PlayerCard = React.memo(
       return "#44ff44";
     }, [player.isConnected, player.isAlive]);
 
-    // Memoize role color calculation
-    const roleColor = useMemo(() => {
-      return ROLE_COLORS[player.role] || ROLE_COLORS.default;
-    }, [player.role]);
+    // Memoize role lookup
+    const roleInfo = useMemo(() => getRoleInfo(player.role), [player.role]);
 
     // Memoize press handler to avoid recreation
     const handlePress = useCallback(() => {
@@ -75,8 +66,8 @@ const PlayerCard = React.memo(
         </View>
 
         {showRole && player.role && (
-          <Text style={[styles.role, { color: roleColor }]}>
-            {player.role.charAt(0).toUpperCase() + player.role.slice(1)}
+          <Text style={[styles.role, { color: roleInfo.color }]}>
+            {roleInfo.name}
           </Text>
         )}
 
@@ -99,6 +90,19 @@ const PlayerCard = React.memo(
 
           {player.isHost && <Text style={styles.hostLabel}>HOST</Text>}
 
+          {player.isCoHost && <Text style={styles.coHostLabel}>CO-HOST</Text>}
+
+          {onMakeCoHost && !player.isHost && (
+            <TouchableOpacity
+              style={styles.coHostButton}
+              onPress={onMakeCoHost}
+            >
+              <Text style={styles.coHostButtonText}>
+                {player.isCoHost ? "☆" : "⭐"}
+              </Text>
+            </TouchableOpacity>
+          )}
+
           {onKick && !player.isHost && (
             <TouchableOpacity style={styles.kickButton} onPress={onKick}>
               <Text style={styles.kickButtonText}>❌</Text>
@@ -176,6 +180,15 @@ const styles = StyleSheet.create({
     paddingVertical: 2,
     borderRadius: 4,
   },
+  coHostLabel: {
+    fontSize: 10,
+    color: "#c0c0c0",
+    fontWeight: "bold",
+    backgroundColor: "#333333",
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
   readyContainer: {
     marginLeft: 8,
   },
@@ -196,6 +209,15 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: "#ff4444",
   },
+  coHostButton: {
+    padding: 4,
+    borderRadius: 4,
+    backgroundColor: "rgba(255, 215, 0, 0.2)",
+  },
+  coHostButtonText: {
+    fontSize: 12,
+    color: "#ffd700",
+  },
 });
 
 export default PlayerCard;
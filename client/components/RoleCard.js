@@ -11,6 +11,7 @@
 
 import React from "react";
 import { View, Text, StyleSheet, Image } from "react-native";
+import { getRoleInfo } from "../constants/roles";
 
 const RoleCard = ({
   role,
@@ -19,67 +20,9 @@ const RoleCard = ({
   showAbilities = true,
   style = {},
 }) => {
-  const getRoleData = (roleName) => {
-    const roles = {
-      killer: {
-        name: "Killer",
-        color: "#ff0000",
-        backgroundColor: "#330000",
-        description:
-          "You are part of the Mafia. Eliminate townspeople during the night.",
-        abilities: [
-          "Choose someone to eliminate each night",
-          "Win when killers equal or outnumber town",
-        ],
-        icon: "🔪",
-        image: require("../assets/mafia.jpg"),
-        team: "Mafia",
-      },
-      healer: {
-        name: "Healer",
-        color: "#00ff00",
-        backgroundColor: "#003300",
-        description: "You can save someone from elimination each night.",
-        abilities: [
-          "Protect one player each night",
-          "Cannot heal the same person twice in a row",
-        ],
-        icon: "💊",
-        image: require("../assets/healer.jpg"),
-        team: "Town",
-      },
-      police: {
-        name: "Police",
-        color: "#0000ff",
-        backgroundColor: "#000033",
-        description: "You can investigate players to learn their allegiance.",
-        abilities: [
-          "Investigate one player each night",
-          "Learn if they are suspicious or innocent",
-        ],
-        icon: "🔍",
-        image: require("../assets/police.jpg"),
-        team: "Town",
-      },
-      townsperson: {
-        name: "Townsperson",
-        color: "#ffaa00",
-        backgroundColor: "#332200",
-        description:
-          "You are an innocent citizen trying to identify the killers.",
-        abilities: [
-          "Vote during the day phase",
-          "Use discussion to find killers",
-        ],
-        icon: "👤",
-        team: "Town",
-      },
-    };
-
-    return roles[roleName] || roles.townsperson;
-  };
-
-  const roleData = getRoleData(role);
+  const roleData = getRoleInfo(role);
+  const teamLabel =
+    roleData.team.charAt(0).toUpperCase() + roleData.team.slice(1);
 
   if (!isRevealed) {
     return (
@@ -103,12 +46,12 @@ const RoleCard = ({
         {roleData.image && (
           <Image source={roleData.image} style={styles.roleImage} />
         )}
-        <Text style={styles.icon}>{roleData.icon}</Text>
+        <Text style={styles.icon}>{roleData.emoji}</Text>
         <View style={styles.titleContainer}>
           <Text style={[styles.roleName, { color: roleData.color }]}>
             {roleData.name}
           </Text>
-          <Text style={styles.team}>Team: {roleData.team}</Text>
+          <Text style={styles.team}>Team: {teamLabel}</Text>
         </View>
       </View>
 
@@ -1,81 +1,58 @@
 /**
  * Game Roles Configuration for LAN Mafia
  *
- * Defines all available roles, their abilities, and game behavior.
- * Used throughout the application for role assignment, UI display, and game logic.
- *
- * Role Types:
- * - KILLER: Mafia members who eliminate players at night
- * - HEALER: Protects players from elimination
- * - POLICE: Investigates players to determine their allegiance
- * - TOWNSPERSON: Regular citizens with no special abilities
- */
-/**
- * Defines all game roles and their metadata.
- * Export:
- * - roleList: array of supported roles (killer, healer, police, civilian)
- * - roleDescriptions: map of role → abilities
- * - roleColors: role-specific UI colors
+ * Roles are defined once, in the server's role registry
+ * (server/roles.js), which every client receives as `roleMetadata` when
+ * it connects. This module keeps that metadata and adds what only the
+ * client has - role card artwork. Used throughout the application for
+ * role display, night action screens and host settings.
  */
 
-export const ROLE_TYPES = {
-  KILLER: "killer",
-  HEALER: "healer",
-  POLICE: "police",
-  TOWNSPERSON: "townsperson",
+// Role card artwork bundled with the app; roles without one show their emoji
+const ROLE_IMAGES = {
+  killer: require("../assets/mafia.jpg"),
+  godfather: require("../assets/mastermind.jpg"),
+  healer: require("../assets/healer.jpg"),
+  police: require("../assets/police.jpg"),
+};
+
+// Shown for a role the server hasn't described (yet)
+const UNKNOWN_ROLE = {
+  name: "Unknown Role",
+  plural: "Unknown Roles",
+  emoji: "❓",
+  color: "#ffffff",
+  backgroundColor: "#222222",
+  alignment: "town",
+  summary: "",
+  description: "",
+  abilities: [],
+  winCondition: "",
+  canAct: false,
 };
 
+// Role metadata from the server, in the order the host settings list it
+let roleMetadata = {};
+
 // Cache role data for better performance
 const roleCache = new Map();
 
-export const ROLES = {
-  [ROLE_TYPES.KILLER]: {
-    name: "Killer",
-    emoji: "🔪",
-    image: require("../assets/mafia.jpg"),
-    description: "Eliminate other players during the night phase",
-    team: "mafia",
-    canAct: true,
-    actionType: "kill",
-    actionDescription: "Choose a player to eliminate",
-    winCondition: "Eliminate all townspeople and outnumber or equal them",
-  },
-
-  [ROLE_TYPES.HEALER]: {
-    name: "Healer",
-    emoji: "💚",
-    image: require("../assets/healer.jpg"),
-    description: "Protect players from being eliminated",
-    team: "town",
-    canAct: true,
-    actionType: "heal",
-    actionDescription: "Choose a player to protect (cannot heal yourself)",
-    winCondition: "Eliminate all killers",
-  },
-
-  [ROLE_TYPES.POLICE]: {
-    name: "Police",
-    emoji: "👮",
-    image: require("../assets/police.jpg"),
-    description: "Investigate players to learn their role",
-    team: "town",
-    canAct: true,
-    actionType: "investigate",
-    actionDescription: "Choose a player to investigate",
-    winCondition: "Eliminate all killers",
-  },
-
-  [ROLE_TYPES.TOWNSPERSON]: {
-    name: "Townsperson",
-    emoji: "👤",
-    description: "Help identify and vote out the killers",
-    team: "town",
-    canAct: false,
-    actionType: null,
-    actionDescription: "Participate in discussions and voting",
-    winCondition: "Eliminate all killers",
-  },
-};
+/**
+ * Store the role metadata the server sent on connect
+ * @param {object} metadata - Role type -> role definition
+ */
+export function setRoleMetadata(metadata) {
+  roleMetadata = metadata || {};
+  roleCache.clear();
+}
+
+/**
+ * Get every known role type, in registry order
+ * @returns {array} Array of role types
+ */
+export function getRoleTypes() {
+  return Object.keys(roleMetadata);
+}
 
 // Game phase labels for UI display
 export const GAME_PHASES = {
@@ -102,56 +79,81 @@ export const PHASE_LABELS = {
 export const TEAMS = {
   MAFIA: "mafia",
   TOWN: "town",
+  NEUTRAL: "neutral",
 };
 
-// Default game configuration
-export const DEFAULT_GAME_CONFIG = {
-  totalPlayers: 8,
-  roles: {
-    [ROLE_TYPES.KILLER]: 2,
-    [ROLE_TYPES.HEALER]: 1,
-    [ROLE_TYPES.POLICE]: 1,
-    [ROLE_TYPES.TOWNSPERSON]: 4,
-  },
-  timers: {
-    nightPhase: 30,
-    discussion: 120,
-    voting: 60,
-    roleReveal: 10,
-  },
-};
+/**
+ * Get the roles the host deals a set number of, in registry order
+ * @returns {array} Every role type except the filler (townsperson)
+ */
+export function getDealtRoleTypes() {
+  return getRoleTypes().filter((roleType) => !roleMetadata[roleType].isFiller);
+}
+
+/**
+ * Get the role that fills every seat the dealt roles leave
+ * @returns {string|undefined} Filler role type
+ */
+export function getFillerRoleType() {
+  return getRoleTypes().find((roleType) => roleMetadata[roleType].isFiller);
+}
 
 /**
  * Get role information by type with caching
- * @param {string} roleType - Role type from ROLE_TYPES
- * @returns {object} Role configuration object
+ * @param {string} roleType - Role type, e.g. "killer"
+ * @returns {object} Role definition plus `team` and `image`
  */
 export function getRoleInfo(roleType) {
   if (!roleCache.has(roleType)) {
-    roleCache.set(roleType, ROLES[roleType] || ROLES[ROLE_TYPES.TOWNSPERSON]);
+    const definition = roleMetadata[roleType] || UNKNOWN_ROLE;
+    roleCache.set(roleType, {
+      ...definition,
+      team: definition.alignment,
+      image: ROLE_IMAGES[roleType],
+    });
   }
   return roleCache.get(roleType);
 }
 
+/**
+ * Get a role's display name, pluralised for counts other than one
+ * @param {string} roleType - Role type
+ * @param {number} count - How many of the role are meant
+ * @returns {string} e.g. "Killer", "Killers", "Police"
+ */
+export function getRoleName(roleType, count = 1) {
+  const role = getRoleInfo(roleType);
+  return count === 1 ? role.name : role.plural;
+}
+
 /**
  * Get all roles for a specific team with caching
- * @param {string} team - Team name ('mafia' or 'town')
+ * @param {string} team - Team name ('mafia', 'town' or 'neutral')
  * @returns {array} Array of role types
  */
 export function getRolesByTeam(team) {
   const cacheKey = `team_${team}`;
   if (!roleCache.has(cacheKey)) {
-    const roles = Object.keys(ROLES).filter(
-      (roleType) => ROLES[roleType].team === team
+    const roles = getRoleTypes().filter(
+      (roleType) => roleMetadata[roleType].alignment === team
     );
     roleCache.set(cacheKey, roles);
   }
   return roleCache.get(cacheKey);
 }
 
+/**
+ * Check if a role is on the mafia's side
+ * @param {string} roleType - Role type
+ * @returns {boolean} True for mafia roles
+ */
+export function isMafiaRole(roleType) {
+  return roleMetadata[roleType]?.alignment === TEAMS.MAFIA;
+}
+
 /**
  * Check if a role can perform night actions with caching
- * @param {string} roleType - Role type from ROLE_TYPES
+ * @param {string} roleType - Role type
  * @returns {boolean} True if role can act at night
  */
 export function canRoleAct(roleType) {
@@ -10,8 +10,10 @@ import RoleRevealScreen from "../screens/RoleRevealScreen";
 import NightPhaseScreen from "../screens/NightPhaseScreen";
 import DiscussionScreen from "../screens/DiscussionScreen";
 import VotingScreen from "../screens/VotingScreen";
+import TrialScreen from "../screens/TrialScreen";
 import ResultScreen from "../screens/ResultScreen";
 import WinScreen from "../screens/WinScreen";
+import SpectatorScreen from "../screens/SpectatorScreen";
 
 const Stack = createNativeStackNavigator();
 
@@ -34,8 +36,10 @@ export default function AppNavigator() {
         <Stack.Screen name="NightPhase" component={NightPhaseScreen} />
         <Stack.Screen name="Discussion" component={DiscussionScreen} />
         <Stack.Screen name="Voting" component={VotingScreen} />
+        <Stack.Screen name="Trial" component={TrialScreen} />
         <Stack.Screen name="Result" component={ResultScreen} />
         <Stack.Screen name="Win" component={WinScreen} />
+        <Stack.Screen name="Spectator" component={SpectatorScreen} />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -11,6 +11,11 @@ import {
 import { socket } from "../utils/socket";
 import TimerBar from "../components/TimerBar";
 import PlayerCard from "../components/PlayerCard";
+import DayChat from "../components/DayChat";
+import GhostChat from "../components/GhostChat";
+import Graveyard, { describeDeath } from "../components/Graveyard";
+import LastWillEditor from "../components/LastWillEditor";
+import DayActions from "../components/DayActions";
 
 const { width } = Dimensions.get("window");
 
@@ -19,6 +24,8 @@ export default function DiscussionScreen({ navigation }) {
   const [timeLeft, setTimeLeft] = useState(120);
   const [nightResults, setNightResults] = useState(null);
   const [investigationResult, setInvestigationResult] = useState(null);
+  const [roleBlocked, setRoleBlocked] = useState(null);
+  const [visitReport, setVisitReport] = useState(null);
   const [fadeAnim] = useState(new Animated.Value(0));
   const [isReady, setIsReady] = useState(false);
   const [readyPlayers, setReadyPlayers] = useState([]);
@@ -80,6 +87,28 @@ export default function DiscussionScreen({ navigation }) {
       setInvestigationResult(result);
     });
 
+    socket.socket.on("roleBlocked", (result) => {
+      console.log("🚫 Discussion: Role-blocked last night");
+      setRoleBlocked(result);
+    });
+
+    // Trackers and lookouts each get a private report of last night's visits
+    socket.socket.on("trackerResult", (result) => {
+      console.log("👣 Discussion: Tracker result received:", result);
+      setVisitReport({ ...result, title: "👣 Your Tracking Result" });
+    });
+
+    socket.socket.on("lookoutResult", (result) => {
+      console.log("🔭 Discussion: Lookout result received:", result);
+      setVisitReport({ ...result, title: "🔭 Your Lookout Result" });
+    });
+
+    // Custom roles report their night privately too
+    socket.socket.on("roleResult", (result) => {
+      console.log("🎭 Discussion: Role result received:", result);
+      setVisitReport({ ...result, title: "🎭 Your Night Result" });
+    });
+
     socket.socket.on("discussionReadyUpdate", (data) => {
       console.log("✅ Discussion: Ready players update:", data);
       setReadyPlayers(data.readyPlayers || []);
@@ -93,6 +122,10 @@ export default function DiscussionScreen({ navigation }) {
       socket.socket.off("gamePhaseChanged");
       socket.socket.off("gameOver");
       socket.socket.off("investigationResult");
+      socket.socket.off("roleBlocked");
+      socket.socket.off("trackerResult");
+      socket.socket.off("lookoutResult");
+      socket.socket.off("roleResult");
       socket.socket.off("discussionReadyUpdate");
     };
   }, [navigation]);
@@ -128,7 +161,7 @@ export default function DiscussionScreen({ navigation }) {
   const renderPlayer = ({ item }) => (
     <PlayerCard
       player={item}
-      showRole={false}
+      showRole={(!item.isAlive || item.isRevealed) && !!item.role} // Revealed on death if the host allows it, or by a day ability
       style={[styles.playerCard, !item.isAlive && styles.deadPlayerCard]}
     />
   );
@@ -160,11 +193,16 @@ export default function DiscussionScreen({ navigation }) {
         <Animated.View style={styles.resultsContainer}>
           <Text style={styles.resultsTitle}>Last Night's Events</Text>
           <Text style={styles.resultsText}>{nightResults.message}</Text>
-          {nightResults.eliminated && (
-            <Text style={styles.eliminatedText}>
-              {nightResults.eliminated} was eliminated
-            </Text>
-          )}
+          {nightResults.deathRecords?.map((record) => (
+            <View key={record.playerId}>
+              <Text style={styles.eliminatedText}>{describeDeath(record)}</Text>
+              {record.lastWill && (
+                <Text style={styles.resultsText}>
+                  📜 &quot;{record.lastWill}&quot;
+                </Text>
+              )}
+            </View>
+          ))}
           {nightResults.investigations &&
             nightResults.investigations.length > 0 && (
               <View style={styles.investigationPublicContainer}>
@@ -178,6 +216,8 @@ export default function DiscussionScreen({ navigation }) {
         </Animated.View>
       )}
 
+      <Graveyard />
+
       {investigationResult && (
         <Animated.View style={styles.investigationContainer}>
           <Text style={styles.investigationTitle}>
@@ -189,6 +229,20 @@ export default function DiscussionScreen({ navigation }) {
         </Animated.View>
       )}
 
+      {roleBlocked && (
+        <Animated.View style={styles.investigationContainer}>
+          <Text style={styles.investigationTitle}>🚫 Role-Blocked</Text>
+          <Text style={styles.investigationText}>{roleBlocked.message}</Text>
+        </Animated.View>
+      )}
+
+      {visitReport && (
+        <Animated.View style={styles.investigationContainer}>
+          <Text style={styles.investigationTitle}>{visitReport.title}</Text>
+          <Text style={styles.investigationText}>{visitReport.message}</Text>
+        </Animated.View>
+      )}
+
       <Text style={styles.instructions}>
         Discuss who you think the killers are. Share information and suspicions
         carefully!
@@ -215,6 +269,11 @@ export default function DiscussionScreen({ navigation }) {
         </View>
       )}
 
+      <DayActions currentPlayer={currentPlayer} />
+      <DayChat currentPlayer={currentPlayer} />
+      <GhostChat currentPlayer={currentPlayer} />
+      {isAlive && <LastWillEditor />}
+
       <View style={styles.playersSection}>
         <Text style={styles.sectionTitle}>
           Alive Players ({alivePlayers.length})
@@ -87,6 +87,8 @@ export default React.memo(function HostLobbyScreen({ navigation, route }) {
         socket.socket.off("playersResponse");
         socket.socket.off("readyStatusUpdated");
         socket.socket.off("gameStarted");
+        socket.socket.off("hostChanged");
+        socket.socket.off("hostDisconnected");
       }
     };
   }, [hostName]);
@@ -127,10 +129,13 @@ export default React.memo(function HostLobbyScreen({ navigation, route }) {
     socket.socket.off("playersResponse");
     socket.socket.off("readyStatusUpdated");
     socket.socket.off("gameStarted");
+    socket.socket.off("hostChanged");
+    socket.socket.off("hostDisconnected");
 
     // Set up fresh event listeners
     socket.socket.on("gameCreated", (data) => {
       console.log("Game created event received:", data);
+      socket.setSession(data);
       setGameCode(data.gameCode);
       setGameCreated(true);
       setIsConnecting(false);
@@ -147,6 +152,12 @@ export default React.memo(function HostLobbyScreen({ navigation, route }) {
       setPlayers(players);
       console.log("📊 LOBBY: After setPlayers called");
 
+      // Host duties can move to another player mid-session
+      const me = players.find((p) => p.socketId === socket.socket?.id);
+      if (me) {
+        setIsHost(me.isHost);
+      }
+
       // Force a re-render check
       setTimeout(() => {
         console.log(
@@ -171,6 +182,22 @@ export default React.memo(function HostLobbyScreen({ navigation, route }) {
       navigation.navigate("NightPhase");
     });
 
+    socket.socket.on("hostDisconnected", (data) => {
+      console.log("👑 Host disconnected:", data);
+    });
+
+    socket.socket.on("hostChanged", (data) => {
+      console.log("👑 Host changed:", data);
+      const isNewHost = data.socketId === socket.socket?.id;
+      setIsHost(isNewHost);
+      Alert.alert(
+        "New Host",
+        isNewHost
+          ? "The host left - you are now hosting this game"
+          : `${data.playerName} is now hosting this game`
+      );
+    });
+
     socket.socket.on("playerJoined", (player) => {
       console.log("Player joined event received:", player);
       Alert.alert("Player Joined", `${player.name} joined the game!`);
@@ -316,6 +343,14 @@ export default React.memo(function HostLobbyScreen({ navigation, route }) {
       showReadyStatus={true}
       isReady={readyPlayers.includes(item.id)}
       onKick={item.isHost ? null : () => handleKickPlayer(item.id)}
+      onMakeCoHost={
+        isHost && !item.isHost
+          ? () =>
+              socket.emit("setCoHost", {
+                playerId: item.isCoHost ? null : item.id,
+              })
+          : null
+      }
     />
   );
 
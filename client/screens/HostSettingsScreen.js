@@ -6,22 +6,91 @@ import {
   TouchableOpacity,
   ScrollView,
   Alert,
+  TextInput,
+  Share,
 } from "react-native";
 import { useFocusEffect } from "@react-navigation/native";
 import { socket } from "../utils/socket";
+import {
+  getRoleInfo,
+  getRoleName,
+  getRolesByTeam,
+  getDealtRoleTypes,
+  getFillerRoleType,
+} from "../constants/roles";
+
+// Settings sent as timers and rules, and kept in presets
+const TIMER_KEYS = [
+  "nightTimer",
+  "discussionTimer",
+  "votingTimer",
+  "trialTimer",
+  "judgementTimer",
+  "finalWordsTimer",
+];
+const RULE_KEYS = [
+  "mafiaKillMode",
+  "allowSelfHeal",
+  "allowConsecutiveHeals",
+  "voteThreshold",
+  "voteTieBreak",
+  "publicVoting",
+  "hammer",
+  "allowSpectatorChat",
+];
+
+const pick = (source, keys) =>
+  Object.fromEntries(
+    keys
+      .filter((key) => source[key] !== undefined)
+      .map((key) => [key, source[key]])
+  );
 
 export default function HostSettingsScreen({ navigation }) {
   const [players, setPlayers] = useState([]);
+  const [presets, setPresets] = useState([]);
+  const [presetName, setPresetName] = useState("");
+  const [importText, setImportText] = useState("");
+  const [showImport, setShowImport] = useState(false);
 
   const [gameSettings, setGameSettings] = useState({
-    killers: 1, // Default 1
-    healers: 1, // Default 1
-    police: 1, // Default 1
+    // Role counts by settings key: one of each core role, the rest off
+    ...Object.fromEntries(
+      getDealtRoleTypes().map((role) => {
+        const { countKey, count } = getRoleInfo(role);
+        return [countKey, Math.min(count.default, 1)];
+      })
+    ),
     nightTimer: 45,
     discussionTimer: 120,
     votingTimer: 60,
+    trialTimer: 30, // Defense of the accused
+    judgementTimer: 30, // Guilty/innocent verdict
+    finalWordsTimer: 10, // Last words of a lynched player
+    mafiaKillMode: "shared", // "shared" or "each"
+    allowSelfHeal: false,
+    allowConsecutiveHeals: false,
+    voteThreshold: "plurality", // "plurality", "majority" or "supermajority"
+    voteTieBreak: "none", // "none", "revote" or "random"
+    publicVoting: false,
+    hammer: false,
+    allowSpectatorChat: false,
   });
 
+  const handlePresetSaved = (preset) => {
+    setPresetName("");
+    setImportText("");
+    setShowImport(false);
+    Alert.alert("Preset Saved", `"${preset.name}" is ready to use.`);
+  };
+
+  // Hand the exported JSON file to the share sheet
+  const handlePresetExported = ({ fileName, contents }) => {
+    Share.share({ title: fileName, message: contents }).catch((error) =>
+      Alert.alert("Error", error.message)
+    );
+  };
+
   useEffect(() => {
     if (!socket?.socket) {
       return;
@@ -40,6 +109,10 @@ export default function HostSettingsScreen({ navigation }) {
     socket.socket.on("playersResponse", handlePlayersResponse);
     socket.socket.on("gameStarted", () => navigation.navigate("NightPhase"));
     socket.socket.on("error", (error) => Alert.alert("Error", error.message));
+    socket.socket.on("presetsUpdated", setPresets);
+    socket.socket.on("presetSaved", handlePresetSaved);
+    socket.socket.on("presetExported", handlePresetExported);
+    socket.socket.emit("getPresets");
 
     // Request current players when component mounts
     if (socket?.socket?.connected) {
@@ -57,6 +130,9 @@ export default function HostSettingsScreen({ navigation }) {
         socket.socket.off("playersResponse", handlePlayersResponse);
         socket.socket.off("gameStarted");
         socket.socket.off("error");
+        socket.socket.off("presetsUpdated", setPresets);
+        socket.socket.off("presetSaved", handlePresetSaved);
+        socket.socket.off("presetExported", handlePresetExported);
       }
     };
   }, []);
@@ -73,32 +149,34 @@ export default function HostSettingsScreen({ navigation }) {
     setGameSettings((prev) => ({ ...prev, [key]: value }));
   };
 
-  const calculateTownspeople = () => {
-    const { killers, healers, police } = gameSettings;
-    const townspeople = Math.max(
-      0,
-      players.length - killers - healers - police
+  // Every role except plain townspeople
+  const countSpecialRoles = () =>
+    getDealtRoleTypes().reduce(
+      (sum, role) => sum + gameSettings[getRoleInfo(role).countKey],
+      0
     );
+
+  const calculateTownspeople = () => {
+    const townspeople = Math.max(0, players.length - countSpecialRoles());
     return townspeople;
   };
 
   const getMaxValue = (role) => {
     const playerCount = players.length || 3; // Fallback to 3 if no players loaded yet
+    const { count } = getRoleInfo(role);
 
-    switch (role) {
-      case "killers":
-        return Math.min(4, Math.floor(playerCount / 2)); // Max 4, but not more than half players
-      case "healers":
-      case "police":
-        return Math.max(0, gameSettings.killers - 1); // Always 1 less than killers
-      default:
-        return 1;
+    // Required roles (killers) grow with the table, up to half of it
+    if (count.min > 0) {
+      return Math.min(count.max, Math.floor(playerCount / 2));
     }
+    // Single-seat roles are either in or out
+    if (count.max <= 1) return count.max;
+    // Other roles stay below the killer count
+    return Math.min(count.max, Math.max(0, gameSettings.killers - 1));
   };
 
   const validateSettings = () => {
-    const { killers, healers, police } = gameSettings;
-    const totalSpecial = killers + healers + police;
+    const totalSpecial = countSpecialRoles();
 
     if (players.length < 3) {
       // Changed from 4 to 3 for testing
@@ -125,23 +203,26 @@ export default function HostSettingsScreen({ navigation }) {
     return true;
   };
 
+  // The current setup in the server's nested settings format
+  const buildSettings = () => ({
+    totalPlayers: players.length,
+    roles: {
+      ...Object.fromEntries(
+        getDealtRoleTypes().map((role) => {
+          const { countKey } = getRoleInfo(role);
+          return [countKey, gameSettings[countKey]];
+        })
+      ),
+      [getRoleInfo(getFillerRoleType()).countKey]: calculateTownspeople(),
+    },
+    timers: pick(gameSettings, TIMER_KEYS),
+    rules: pick(gameSettings, RULE_KEYS),
+  });
+
   const startGame = () => {
     if (!validateSettings()) return;
 
-    const finalSettings = {
-      totalPlayers: players.length,
-      roles: {
-        killers: gameSettings.killers,
-        healers: gameSettings.healers,
-        police: gameSettings.police,
-        townspeople: calculateTownspeople(),
-      },
-      timers: {
-        nightTimer: gameSettings.nightTimer,
-        discussionTimer: gameSettings.discussionTimer,
-        votingTimer: gameSettings.votingTimer,
-      },
-    };
+    const finalSettings = buildSettings();
 
     console.log(
       "🚀 Final settings to send:",
@@ -156,10 +237,59 @@ export default function HostSettingsScreen({ navigation }) {
     socket.socket.emit("startGame", finalSettings);
   };
 
-  const RoleCounter = ({ title, role, icon }) => {
-    const currentValue = gameSettings[role];
+  // Load a preset's role counts, timers and rules into the form
+  const applyPreset = (preset) => {
+    const { totalPlayers, roles, timers, rules } = preset.settings;
+
+    setGameSettings((prev) => ({
+      ...prev,
+      ...Object.fromEntries(
+        getDealtRoleTypes().map((role) => {
+          const { countKey } = getRoleInfo(role);
+          return [countKey, roles[countKey] || 0];
+        })
+      ),
+      ...pick(timers, TIMER_KEYS),
+      ...pick(rules, RULE_KEYS),
+    }));
+
+    if (totalPlayers && totalPlayers !== players.length) {
+      Alert.alert(
+        preset.name,
+        `This preset was made for ${totalPlayers} players. Townspeople fill the difference - check the role counts before starting.`
+      );
+    }
+  };
+
+  // Presets can be saved before everyone has joined, so size them by
+  // their roles (with at least one townsperson) rather than the lobby
+  const savePreset = () => {
+    const settings = buildSettings();
+    const fillerKey = getRoleInfo(getFillerRoleType()).countKey;
+    settings.roles[fillerKey] = Math.max(1, settings.roles[fillerKey]);
+    settings.totalPlayers = countSpecialRoles() + settings.roles[fillerKey];
+
+    socket.socket.emit("savePreset", { name: presetName, settings });
+  };
+
+  const deletePreset = (preset) => {
+    Alert.alert("Delete Preset", `Delete "${preset.name}" for everyone?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: () =>
+          socket.socket.emit("deletePreset", { name: preset.name }),
+      },
+    ]);
+  };
+
+  const RoleCounter = ({ role }) => {
+    const { countKey, count, emoji: icon } = getRoleInfo(role);
+    const title = getRoleName(role, count.max > 1 ? 2 : 1);
+    const currentValue = gameSettings[countKey];
     const maxValue = getMaxValue(role);
-    const canDecrease = currentValue > 1; // Minimum is always 1
+    const canDecrease = currentValue > count.min; // Required roles need their minimum
     const canIncrease = currentValue < maxValue;
 
     return (
@@ -173,7 +303,9 @@ export default function HostSettingsScreen({ navigation }) {
         <View style={styles.buttonContainer}>
           <TouchableOpacity
             style={[styles.button, !canDecrease && styles.buttonDisabled]}
-            onPress={() => canDecrease && updateSetting(role, currentValue - 1)}
+            onPress={() =>
+              canDecrease && updateSetting(countKey, currentValue - 1)
+            }
             disabled={!canDecrease}
           >
             <Text
@@ -193,7 +325,9 @@ export default function HostSettingsScreen({ navigation }) {
 
           <TouchableOpacity
             style={[styles.button, !canIncrease && styles.buttonDisabled]}
-            onPress={() => canIncrease && updateSetting(role, currentValue + 1)}
+            onPress={() =>
+              canIncrease && updateSetting(countKey, currentValue + 1)
+            }
             disabled={!canIncrease}
           >
             <Text
@@ -212,10 +346,20 @@ export default function HostSettingsScreen({ navigation }) {
 
   const TimerSetting = ({ title, setting, icon }) => {
     const currentValue = gameSettings[setting];
-    const minValue =
-      setting === "nightTimer" ? 30 : setting === "discussionTimer" ? 60 : 30;
-    const maxValue = setting === "discussionTimer" ? 300 : 120;
-    const step = 15;
+    const isFinalWords = setting === "finalWordsTimer"; // Short, 5-60s
+    const minValue = isFinalWords
+      ? 5
+      : setting === "nightTimer"
+      ? 30
+      : setting === "discussionTimer"
+      ? 60
+      : 30;
+    const maxValue = isFinalWords
+      ? 60
+      : setting === "discussionTimer"
+      ? 300
+      : 120;
+    const step = isFinalWords ? 5 : 15;
 
     return (
       <View style={styles.timerContainer}>
@@ -264,6 +408,38 @@ export default function HostSettingsScreen({ navigation }) {
     );
   };
 
+  const ChoiceSetting = ({ title, setting, icon, options }) => {
+    const currentValue = gameSettings[setting];
+    const current = options.find((option) => option.value === currentValue);
+
+    return (
+      <View style={styles.timerContainer}>
+        <View style={styles.timerHeader}>
+          <Text style={styles.timerTitle}>
+            {icon} {title}
+          </Text>
+        </View>
+        <View style={styles.choiceContainer}>
+          {options.map((option) => (
+            <TouchableOpacity
+              key={String(option.value)}
+              style={[
+                styles.choiceButton,
+                currentValue === option.value && styles.choiceButtonActive,
+              ]}
+              onPress={() => updateSetting(setting, option.value)}
+            >
+              <Text style={styles.choiceButtonText}>{option.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {current?.description && (
+          <Text style={styles.choiceDescription}>{current.description}</Text>
+        )}
+      </View>
+    );
+  };
+
   return (
     <ScrollView style={styles.container}>
       <Text style={styles.title}>🎮 Game Settings</Text>
@@ -285,15 +461,124 @@ export default function HostSettingsScreen({ navigation }) {
         </Text>
       </View>
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>📚 Presets</Text>
+        <Text style={styles.sectionSubtitle}>
+          Tap a saved setup to load its roles, timers and rules
+        </Text>
+
+        {presets.length === 0 && (
+          <Text style={styles.choiceDescription}>No presets saved yet</Text>
+        )}
+
+        {presets.map((preset) => (
+          <View key={preset.name} style={styles.presetRow}>
+            <TouchableOpacity
+              style={styles.presetInfo}
+              onPress={() => applyPreset(preset)}
+            >
+              <Text style={styles.roleTitle}>{preset.name}</Text>
+              {preset.settings.totalPlayers && (
+                <Text style={styles.maxText}>
+                  {preset.settings.totalPlayers} players
+                </Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.presetAction}
+              onPress={() =>
+                socket.socket.emit("exportPreset", { name: preset.name })
+              }
+            >
+              <Text style={styles.choiceButtonText}>📤</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.presetAction}
+              onPress={() => deletePreset(preset)}
+            >
+              <Text style={styles.choiceButtonText}>🗑️</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+
+        <View style={styles.presetRow}>
+          <TextInput
+            style={styles.presetInput}
+            value={presetName}
+            onChangeText={setPresetName}
+            placeholder="Save current setup as..."
+            placeholderTextColor="#999"
+            maxLength={30}
+          />
+          <TouchableOpacity
+            style={[
+              styles.presetAction,
+              !presetName.trim() && styles.buttonDisabled,
+            ]}
+            onPress={savePreset}
+            disabled={!presetName.trim()}
+          >
+            <Text style={styles.choiceButtonText}>💾</Text>
+          </TouchableOpacity>
+        </View>
+
+        <TouchableOpacity onPress={() => setShowImport(!showImport)}>
+          <Text style={styles.presetLink}>
+            {showImport ? "Cancel import" : "📥 Import a preset file"}
+          </Text>
+        </TouchableOpacity>
+
+        {showImport && (
+          <View>
+            <TextInput
+              style={[styles.presetInput, styles.presetImportInput]}
+              value={importText}
+              onChangeText={setImportText}
+              placeholder="Paste the preset file's JSON here"
+              placeholderTextColor="#999"
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <TouchableOpacity
+              style={[
+                styles.choiceButton,
+                styles.choiceButtonActive,
+                !importText.trim() && styles.buttonDisabled,
+              ]}
+              onPress={() =>
+                socket.socket.emit("importPreset", { contents: importText })
+              }
+              disabled={!importText.trim()}
+            >
+              <Text style={styles.choiceButtonText}>Import Preset</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>🎭 Roles</Text>
         <Text style={styles.sectionSubtitle}>
           Killers can be up to 4, others max {gameSettings.killers - 1}
         </Text>
 
-        <RoleCounter title="Killers" role="killers" icon="🔪" />
-        <RoleCounter title="Healers" role="healers" icon="💊" />
-        <RoleCounter title="Police" role="police" icon="👮" />
+        {[...getRolesByTeam("mafia"), ...getRolesByTeam("town")]
+          .filter((role) => role !== getFillerRoleType())
+          .map((role) => (
+            <RoleCounter key={role} role={role} />
+          ))}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>🃏 Neutral Roles</Text>
+        <Text style={styles.sectionSubtitle}>
+          Neutrals side with nobody and win on their own terms
+        </Text>
+
+        {getRolesByTeam("neutral").map((role) => (
+          <RoleCounter key={role} role={role} />
+        ))}
       </View>
 
       <View style={styles.section}>
@@ -302,14 +587,192 @@ export default function HostSettingsScreen({ navigation }) {
         <TimerSetting title="Night Phase" setting="nightTimer" icon="🌙" />
         <TimerSetting title="Discussion" setting="discussionTimer" icon="💬" />
         <TimerSetting title="Voting" setting="votingTimer" icon="🗳️" />
+        <TimerSetting title="Defense" setting="trialTimer" icon="⚖️" />
+        <TimerSetting title="Judgement" setting="judgementTimer" icon="👨‍⚖️" />
+        <TimerSetting title="Final Words" setting="finalWordsTimer" icon="🕯️" />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>📜 Rules</Text>
+
+        <ChoiceSetting
+          title="Mafia Kills"
+          setting="mafiaKillMode"
+          icon="🔪"
+          options={[
+            {
+              value: "shared",
+              label: "One shared kill",
+              description:
+                "Killers vote on one target each night. Ties go to the target picked first.",
+            },
+            {
+              value: "each",
+              label: "Each killer kills",
+              description: "Every killer eliminates their own target.",
+            },
+          ]}
+        />
+
+        <ChoiceSetting
+          title="Self Heal"
+          setting="allowSelfHeal"
+          icon="💊"
+          options={[
+            {
+              value: false,
+              label: "Off",
+              description: "Healers can only protect other players.",
+            },
+            {
+              value: true,
+              label: "On",
+              description: "Healers may protect themselves.",
+            },
+          ]}
+        />
+
+        <ChoiceSetting
+          title="Repeat Heals"
+          setting="allowConsecutiveHeals"
+          icon="🔁"
+          options={[
+            {
+              value: false,
+              label: "Off",
+              description:
+                "Healers cannot protect the same player two nights in a row.",
+            },
+            {
+              value: true,
+              label: "On",
+              description: "Healers may protect the same player every night.",
+            },
+          ]}
+        />
+
+        <ChoiceSetting
+          title="Lynch Rule"
+          setting="voteThreshold"
+          icon="🗳️"
+          options={[
+            {
+              value: "plurality",
+              label: "Plurality",
+              description: "The player with the most votes goes on trial.",
+            },
+            {
+              value: "majority",
+              label: "Majority",
+              description:
+                "More than half of the living must vote for the same player.",
+            },
+            {
+              value: "supermajority",
+              label: "Two thirds",
+              description:
+                "Two thirds of the living must vote for the same player.",
+            },
+          ]}
+        />
+
+        <ChoiceSetting
+          title="Tied Votes"
+          setting="voteTieBreak"
+          icon="🤝"
+          options={[
+            {
+              value: "none",
+              label: "No elimination",
+              description: "A tie means nobody is put on trial.",
+            },
+            {
+              value: "revote",
+              label: "Revote",
+              description:
+                "The town votes once more between the tied players only.",
+            },
+            {
+              value: "random",
+              label: "Random pick",
+              description: "One of the tied players is picked at random.",
+            },
+          ]}
+        />
+
+        <ChoiceSetting
+          title="Ballots"
+          setting="publicVoting"
+          icon="📢"
+          options={[
+            {
+              value: false,
+              label: "Anonymous",
+              description: "Only the final count is shown once voting ends.",
+            },
+            {
+              value: true,
+              label: "Public",
+              description: "Everyone sees who is voting for whom, live.",
+            },
+          ]}
+        />
+
+        <ChoiceSetting
+          title="Hammer"
+          setting="hammer"
+          icon="🔨"
+          options={[
+            {
+              value: false,
+              label: "Off",
+              description: "Voting runs until the timer or the last vote.",
+            },
+            {
+              value: true,
+              label: "On",
+              description:
+                "Voting ends the moment one player has the votes the lynch rule needs. Has no effect under plurality.",
+            },
+          ]}
+        />
+
+        <ChoiceSetting
+          title="Ghost Chat"
+          setting="allowSpectatorChat"
+          icon="👻"
+          options={[
+            {
+              value: false,
+              label: "Off",
+              description: "Eliminated players watch in silence.",
+            },
+            {
+              value: true,
+              label: "On",
+              description:
+                "Eliminated players get their own chat. The living never see it; everyone can read it after the game.",
+            },
+          ]}
+        />
       </View>
 
       <View style={styles.summary}>
         <Text style={styles.summaryTitle}>📋 Game Summary</Text>
         <Text style={styles.summaryText}>
-          {players.length} players: {gameSettings.killers} killers,{" "}
-          {gameSettings.healers} healers, {gameSettings.police} police,{" "}
-          {calculateTownspeople()} townspeople
+          {players.length} players:{" "}
+          {[...getDealtRoleTypes(), getFillerRoleType()]
+            .map((role) => {
+              const { countKey, isFiller } = getRoleInfo(role);
+              const count = isFiller
+                ? calculateTownspeople()
+                : gameSettings[countKey];
+              return count > 0
+                ? `${count} ${getRoleName(role, count).toLowerCase()}`
+                : null;
+            })
+            .filter(Boolean)
+            .join(", ")}
         </Text>
       </View>
 
@@ -466,6 +929,70 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: "bold",
   },
+  choiceContainer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  choiceButton: {
+    flex: 1,
+    backgroundColor: "#444",
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginHorizontal: 4,
+    alignItems: "center",
+  },
+  choiceButtonActive: {
+    backgroundColor: "#ff6b6b",
+  },
+  choiceButtonText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+  choiceDescription: {
+    color: "#999",
+    fontSize: 12,
+    marginTop: 8,
+  },
+  presetRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 10,
+  },
+  presetInfo: {
+    flex: 1,
+    backgroundColor: "#2a2a2a",
+    padding: 15,
+    borderRadius: 10,
+  },
+  presetAction: {
+    backgroundColor: "#444",
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: "center",
+    alignItems: "center",
+    marginLeft: 8,
+  },
+  presetInput: {
+    flex: 1,
+    backgroundColor: "#2a2a2a",
+    color: "#fff",
+    padding: 15,
+    borderRadius: 10,
+    fontSize: 16,
+  },
+  presetImportInput: {
+    minHeight: 120,
+    marginBottom: 10,
+    fontSize: 12,
+    textAlignVertical: "top",
+  },
+  presetLink: {
+    color: "#4ecdc4",
+    fontSize: 14,
+    marginBottom: 10,
+  },
   summary: {
     backgroundColor: "#2a2a2a",
     padding: 15,
@@ -84,6 +84,9 @@ export default React.memo(function JoinGameScreen({ navigation }) {
         return;
       }
 
+      // Games that already started can only be watched
+      const asSpectator = game.status !== "waiting";
+
       try {
         // Connect to the game host
         socket.connect(game.hostIP);
@@ -101,6 +104,7 @@ export default React.memo(function JoinGameScreen({ navigation }) {
             // Set up listener for join response
             socket.socket.on("joinedGame", (gameData) => {
               console.log("Successfully joined game:", gameData);
+              socket.setSession(gameData);
               console.log("About to navigate to Lobby with params:", {
                 isHost: false,
                 gameCode: gameData.gameCode,
@@ -121,6 +125,14 @@ export default React.memo(function JoinGameScreen({ navigation }) {
               }
             });
 
+            socket.socket.on("spectatorJoined", (spectatorData) => {
+              console.log("Watching game as a spectator:", spectatorData);
+              navigation.navigate("Spectator", {
+                gameCode: spectatorData.gameCode,
+                initialState: spectatorData,
+              });
+            });
+
             socket.socket.on("error", (error) => {
               console.error("Join game error:", error);
               Alert.alert("Error", error.message || "Failed to join game");
@@ -138,7 +150,7 @@ export default React.memo(function JoinGameScreen({ navigation }) {
         });
 
         // Now join the game using the established connection
-        socket.socket.emit("joinGameByCode", {
+        socket.socket.emit(asSpectator ? "joinAsSpectator" : "joinGameByCode", {
           gameCode: game.gameCode,
           playerName: playerName.trim(),
         });
@@ -169,7 +181,7 @@ export default React.memo(function JoinGameScreen({ navigation }) {
           <Text style={styles.gameStatus}>
             {item.status === "waiting"
               ? "🟢 Waiting for players"
-              : "🔴 In progress"}
+              : "🔴 In progress - tap to watch"}
           </Text>
         </View>
       </TouchableOpacity>
@@ -2,7 +2,8 @@
  * Night Phase Screen Component
  *
  * Interface for players with special roles to perform their night actions.
- * Different UI based on player role (killer, healer, police, townsperson).
+ * Titles, instructions and buttons come from each role's night text in
+ * the server's role registry; roles without a night action just sleep.
  */
 
 import React, { useState, useEffect } from "react";
@@ -18,9 +19,12 @@ import {
   Image,
 } from "react-native";
 import { socket } from "../utils/socket";
-import { getRoleInfo } from "../constants/roles";
+import { getRoleInfo, isMafiaRole } from "../constants/roles";
 import TimerBar from "../components/TimerBar";
 import PlayerCard from "../components/PlayerCard";
+import ChatPanel from "../components/ChatPanel";
+import GhostChat from "../components/GhostChat";
+import LastWillEditor from "../components/LastWillEditor";
 
 const { width } = Dimensions.get("window");
 
@@ -30,6 +34,9 @@ export default function NightPhaseScreen({ navigation }) {
   const [playerRole, setPlayerRole] = useState(null);
   const [timeLeft, setTimeLeft] = useState(45);
   const [actionSubmitted, setActionSubmitted] = useState(false);
+  const [submittedTarget, setSubmittedTarget] = useState(null);
+  const [mafiaPicks, setMafiaPicks] = useState(null); // Live mafia night vote
+  const [mafiaMessages, setMafiaMessages] = useState([]); // Killers-only chat
   const [fadeAnim] = useState(new Animated.Value(0));
   const [pulseAnim] = useState(new Animated.Value(1));
 
@@ -66,6 +73,28 @@ export default function NightPhaseScreen({ navigation }) {
 
     socket.socket.on("nightActionResult", handleActionResult);
 
+    // The server rejects actions the rules forbid, e.g. a banned self-heal
+    const handleActionError = (error) => {
+      if (error?.context !== "nightAction") return;
+      setSubmittedTarget(null);
+      handleActionResult({ success: false, error: error.message });
+    };
+    socket.socket.on("error", handleActionError);
+
+    socket.socket.on("mafiaPicksUpdated", (picks) => {
+      console.log("🔪 NightPhase: Mafia picks updated:", picks);
+      setMafiaPicks(picks);
+    });
+
+    socket.socket.on("mafiaChatMessage", (message) => {
+      setMafiaMessages((messages) => [...messages, message]);
+    });
+
+    // Sent when a killer resumes their session mid-night
+    socket.socket.on("mafiaChatHistory", (messages) => {
+      setMafiaMessages(messages);
+    });
+
     socket.socket.on("gamePhaseChanged", (phase) => {
       console.log("🎮 NightPhase: Game phase changed to:", phase);
       if (phase === "discussion") {
@@ -94,6 +123,10 @@ export default function NightPhaseScreen({ navigation }) {
       socket.socket.off("roleAssigned");
       socket.socket.off("timerUpdate");
       socket.socket.off("nightActionResult");
+      socket.socket.off("error", handleActionError);
+      socket.socket.off("mafiaPicksUpdated");
+      socket.socket.off("mafiaChatMessage");
+      socket.socket.off("mafiaChatHistory");
       socket.socket.off("gamePhaseChanged");
       socket.socket.off("gameOver");
     };
@@ -125,8 +158,15 @@ export default function NightPhaseScreen({ navigation }) {
     }
   };
 
+  const roleInfo = getRoleInfo(playerRole);
+
+  // The mafia may change their pick until the night ends
+  const isMafia = isMafiaRole(playerRole);
+  const canChangePick = isMafia;
+
   const submitAction = () => {
-    if (!selectedTarget || actionSubmitted) return;
+    if (!selectedTarget || selectedTarget === submittedTarget) return;
+    if (actionSubmitted && !canChangePick) return;
 
     const actionType = getActionType();
     if (!actionType) return;
@@ -142,21 +182,15 @@ export default function NightPhaseScreen({ navigation }) {
       selectedTarget
     );
     setActionSubmitted(true);
+    setSubmittedTarget(selectedTarget);
   };
 
-  const getActionType = () => {
-    switch (playerRole) {
-      case "killer":
-        return "kill";
-      case "healer":
-        return "heal";
-      case "police":
-        return "investigate";
-      default:
-        return null;
-    }
+  const sendMafiaMessage = (message) => {
+    socket.socket.emit("mafiaChat", { message });
   };
 
+  const getActionType = () => roleInfo.nightAction || null;
+
   const canSelectTarget = () => {
     // Find current player to check if they're alive
     const currentPlayer = players.find((p) => p.socketId === socket.socket.id);
@@ -168,57 +202,31 @@ export default function NightPhaseScreen({ navigation }) {
       playerRole,
       actionSubmitted,
       timeLeft,
-      roleCheck: ["killer", "healer", "police"].includes(playerRole),
+      roleCheck: !!getActionType(),
     });
 
     return (
       isAlive &&
-      ["killer", "healer", "police"].includes(playerRole) &&
-      !actionSubmitted &&
+      !!getActionType() &&
+      (!actionSubmitted || canChangePick) &&
       timeLeft > 0
     );
   };
 
-  const getInstructions = () => {
-    switch (playerRole) {
-      case "killer":
-        return "Choose a player to eliminate tonight";
-      case "healer":
-        return "Choose a player to protect from harm";
-      case "police":
-        return "Choose a player to investigate their role";
-      default:
-        return "Sleep tight! Wait for the morning to come...";
-    }
-  };
+  const getInstructions = () =>
+    roleInfo.night?.instructions ||
+    "Sleep tight! Wait for the morning to come...";
 
-  const getPhaseTitle = () => {
-    switch (playerRole) {
-      case "killer":
-        return "Killer's Turn";
-      case "healer":
-        return "Healer's Turn";
-      case "police":
-        return "Police Investigation";
-      default:
-        return "Night Phase";
-    }
-  };
+  const getPhaseTitle = () => roleInfo.night?.title || "Night Phase";
 
   const getActionButtonText = () => {
-    if (actionSubmitted) return "✓ Action Submitted";
+    if (actionSubmitted && selectedTarget === submittedTarget) {
+      return "✓ Action Submitted";
+    }
     if (!selectedTarget) return "Select a Target";
+    if (actionSubmitted) return "Change Pick";
 
-    switch (playerRole) {
-      case "killer":
-        return "Eliminate Target";
-      case "healer":
-        return "Protect Target";
-      case "police":
-        return "Investigate Target";
-      default:
-        return "Submit Action";
-    }
+    return roleInfo.night?.button || "Submit Action";
   };
 
   const renderPlayer = ({ item }) => {
@@ -226,9 +234,9 @@ export default function NightPhaseScreen({ navigation }) {
     const canSelect = canSelectTarget() && item.isAlive;
     const isSelected = selectedTarget === item.id;
 
-    // For killer and police: cannot target themselves
-    // For healer: can heal anyone including themselves
-    if ((playerRole === "killer" || playerRole === "police") && isMyself) {
+    // Only actions that allow it (healing) may target yourself; whether
+    // they may tonight depends on the host's rules, checked by the server
+    if (roleInfo.canAct && !roleInfo.canTargetSelf && isMyself) {
       return null;
     }
 
@@ -249,7 +257,7 @@ export default function NightPhaseScreen({ navigation }) {
       >
         <PlayerCard
           player={item}
-          showRole={false}
+          showRole={!!item.role} // Server only sends roles we may see (fellow killers)
           isSelected={isSelected}
           style={styles.playerCard}
         />
@@ -262,7 +270,6 @@ export default function NightPhaseScreen({ navigation }) {
     );
   };
 
-  const roleInfo = getRoleInfo(playerRole);
   const hasAction = canSelectTarget();
   const currentPlayer = players.find((p) => p.socketId === socket.socket.id);
   const isAlive = currentPlayer ? currentPlayer.isAlive : true;
@@ -298,13 +305,16 @@ export default function NightPhaseScreen({ navigation }) {
         </View>
       )}
 
+      <GhostChat currentPlayer={currentPlayer} />
+      {isAlive && <LastWillEditor />}
+
       <View style={styles.roleCardContainer}>
         {roleInfo?.image && (
           <Image source={roleInfo.image} style={styles.roleCardImage} />
         )}
         <View style={styles.roleCardContent}>
           <Text style={styles.roleName}>{roleInfo?.name || "Townsperson"}</Text>
-          <Text style={styles.roleDescription}>{roleInfo?.description}</Text>
+          <Text style={styles.roleDescription}>{roleInfo?.summary}</Text>
         </View>
       </View>
 
@@ -332,11 +342,12 @@ export default function NightPhaseScreen({ navigation }) {
             <TouchableOpacity
               style={[
                 styles.actionButton,
-                (!selectedTarget || actionSubmitted) && styles.disabledButton,
-                actionSubmitted && styles.submittedButton,
+                (!selectedTarget || selectedTarget === submittedTarget) &&
+                  styles.disabledButton,
+                selectedTarget === submittedTarget && styles.submittedButton,
               ]}
               onPress={submitAction}
-              disabled={!selectedTarget || actionSubmitted}
+              disabled={!selectedTarget || selectedTarget === submittedTarget}
             >
               <Text style={styles.actionButtonText}>
                 {getActionButtonText()}
@@ -346,6 +357,41 @@ export default function NightPhaseScreen({ navigation }) {
         </>
       )}
 
+      {isMafia && isAlive && mafiaPicks && (
+        <View style={styles.mafiaPicksContainer}>
+          <Text style={styles.mafiaPicksTitle}>
+            {mafiaPicks.mode === "each"
+              ? "🔪 Each killer strikes their own target"
+              : "🔪 Mafia Vote - one shared kill"}
+          </Text>
+          {mafiaPicks.picks.length === 0 && (
+            <Text style={styles.mafiaPickText}>No picks yet</Text>
+          )}
+          {mafiaPicks.picks.map((pick) => (
+            <Text key={pick.playerId} style={styles.mafiaPickText}>
+              {pick.playerName} → {pick.targetName}
+            </Text>
+          ))}
+          {mafiaPicks.leadingTargetName && (
+            <Text style={styles.mafiaLeadingText}>
+              Current target: {mafiaPicks.leadingTargetName}
+            </Text>
+          )}
+        </View>
+      )}
+
+      {isMafia && isAlive && (
+        <ChatPanel
+          title="🤫 Mafia Chat"
+          messages={mafiaMessages}
+          currentPlayerId={currentPlayer?.id}
+          onSend={sendMafiaMessage}
+          isDisabled={timeLeft <= 0}
+          placeholder="Only your fellow mafia can read this..."
+          accentColor="#e74c3c"
+        />
+      )}
+
       {!hasAction && (
         <View style={styles.waitingContainer}>
           <Text style={styles.waitingText}>
@@ -541,6 +587,31 @@ const styles = StyleSheet.create({
     textAlign: "center",
     lineHeight: 22,
   },
+  mafiaPicksContainer: {
+    backgroundColor: "#3d1f2b",
+    padding: 15,
+    borderRadius: 10,
+    marginTop: 15,
+    borderWidth: 1,
+    borderColor: "#e74c3c",
+  },
+  mafiaPicksTitle: {
+    color: "#e74c3c",
+    fontSize: 16,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  mafiaPickText: {
+    color: "#f5c6cb",
+    fontSize: 14,
+    marginBottom: 2,
+  },
+  mafiaLeadingText: {
+    color: "#fff",
+    fontSize: 15,
+    fontWeight: "bold",
+    marginTop: 8,
+  },
   submittedContainer: {
     backgroundColor: "#27ae60",
     padding: 20,
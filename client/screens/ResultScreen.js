@@ -12,6 +12,7 @@ import {
   Dimensions,
 } from "react-native";
 import { socket } from "../utils/socket";
+import { describeDeath } from "../components/Graveyard";
 
 const { width } = Dimensions.get("window");
 
@@ -82,13 +83,56 @@ export default function ResultScreen({ navigation }) {
           </>
         )}
 
+        {!results.accusedId && results.message && (
+          <>
+            <Text style={styles.sectionTitle}>🗳️ Voting Results:</Text>
+            <Text style={styles.resultText}>{results.message}</Text>
+          </>
+        )}
+
+        {results.voteThreshold && results.voteThreshold !== "plurality" && (
+          <Text style={styles.resultText}>
+            Needed {results.requiredVotes} votes ({results.voteThreshold})
+          </Text>
+        )}
+
+        {results.tieBreak === "random" && (
+          <Text style={styles.resultText}>🎲 The tie was broken at random</Text>
+        )}
+
+        {results.accusedId && (
+          <>
+            <Text style={styles.sectionTitle}>⚖️ Judgement:</Text>
+            <Text style={styles.resultText}>{results.message}</Text>
+            {results.guilty && (
+              <>
+                <Text style={styles.resultText}>
+                  Guilty ({results.guilty.length}):{" "}
+                  {results.guilty.join(", ") || "nobody"}
+                </Text>
+                <Text style={styles.resultText}>
+                  Innocent ({results.innocent.length}):{" "}
+                  {results.innocent.join(", ") || "nobody"}
+                </Text>
+              </>
+            )}
+          </>
+        )}
+
         {results.eliminated && (
           <View style={styles.eliminationContainer}>
             <Text style={styles.eliminatedTitle}>💀 Player Eliminated</Text>
             <Text style={styles.eliminatedText}>{results.eliminated.name}</Text>
-            <Text style={styles.roleReveal}>
-              Role: {results.eliminated.role}
-            </Text>
+            {results.deathRecords?.map((record) => (
+              <View key={record.playerId}>
+                <Text style={styles.roleReveal}>{describeDeath(record)}</Text>
+                {record.lastWill && (
+                  <Text style={styles.roleReveal}>
+                    📜 &quot;{record.lastWill}&quot;
+                  </Text>
+                )}
+              </View>
+            ))}
           </View>
         )}
 
@@ -123,7 +123,7 @@ export default function RoleRevealScreen({ navigation }) {
             <>
               <Text style={styles.detailsTitle}>⚡ Your Ability:</Text>
               <Text style={styles.detailsText}>
-                {roleInfo.actionDescription}
+                {roleInfo.night?.instructions}
               </Text>
             </>
           )}
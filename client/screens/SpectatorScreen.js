@@ -0,0 +1,308 @@
+/**
+ * Spectator Screen Component
+ *
+ * Lets someone watch a game they did not get a seat in. Shows only the
+ * public timeline - phase, timer, announcements and the player list as
+ * the server projects it for outsiders - and lets the spectator queue
+ * up for a seat in the next game.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ScrollView,
+  Dimensions,
+} from "react-native";
+import { socket } from "../utils/socket";
+import TimerBar from "../components/TimerBar";
+import PlayerCard from "../components/PlayerCard";
+import DayChat from "../components/DayChat";
+import GhostChat from "../components/GhostChat";
+import Graveyard, { describeDeath } from "../components/Graveyard";
+
+const { width } = Dimensions.get("window");
+
+const PHASE_TITLES = {
+  lobby: "⏳ Waiting for the next game",
+  night: "🌙 Night",
+  discussion: "💬 Discussion",
+  voting: "🗳️ Voting",
+  trial: "⚖️ Trial",
+  judgement: "👨‍⚖️ Judgement",
+  execution: "🕯️ Final Words",
+  results: "📊 Results",
+  game_over: "🏁 Game Over",
+};
+
+export default function SpectatorScreen({ navigation, route }) {
+  const initialState = route?.params?.initialState;
+  const [phase, setPhase] = useState(initialState?.phase || "lobby");
+  const [timeLeft, setTimeLeft] = useState(initialState?.timeLeft ?? null);
+  const [players, setPlayers] = useState(
+    initialState?.gameState?.players || []
+  );
+  const [spectators, setSpectators] = useState([]);
+  const [announcements, setAnnouncements] = useState([]);
+  const [isQueued, setIsQueued] = useState(!!initialState?.queuedForNextGame);
+
+  useEffect(() => {
+    const announce = (text) =>
+      setAnnouncements((current) => [text, ...current].slice(0, 10));
+
+    socket.socket.on("gamePhaseChanged", setPhase);
+    socket.socket.on("timerUpdate", setTimeLeft);
+    socket.socket.on("playersUpdated", (updated) => setPlayers(updated || []));
+    socket.socket.on("spectatorsUpdated", (updated) =>
+      setSpectators(updated || [])
+    );
+
+    socket.socket.on("nightResults", (results) => {
+      if (results?.message) announce(`🌙 ${results.message}`);
+      (results?.deathRecords || []).forEach((record) =>
+        announce(`🪦 ${describeDeath(record)}`)
+      );
+    });
+    socket.socket.on("dayActionUsed", (dayAction) => {
+      if (dayAction?.message) announce(`📣 ${dayAction.message}`);
+    });
+    socket.socket.on("roleAnnouncement", ({ message }) => {
+      announce(`📣 ${message}`);
+    });
+    socket.socket.on("trialStarted", (trial) => {
+      if (trial) announce(`⚖️ ${trial.accusedName} is on trial`);
+    });
+    socket.socket.on("finalWordsStarted", (finalWords) => {
+      if (finalWords)
+        announce(`🕯️ ${finalWords.playerName} speaks their final words`);
+    });
+    socket.socket.on("roundResults", (results) => {
+      announce(
+        results?.message
+          ? `🗳️ ${results.message}`
+          : results?.eliminated
+          ? `🗳️ ${results.eliminated.name} was voted out`
+          : "🗳️ Nobody was voted out"
+      );
+    });
+    socket.socket.on("gameOver", (result) => {
+      announce(`🏁 ${result.reason || "The game is over"}`);
+    });
+    socket.socket.on("gameReset", () => {
+      setPhase("lobby");
+      setTimeLeft(null);
+      setAnnouncements([]);
+    });
+
+    // The host restarted and we had queued - we now hold a seat
+    socket.socket.on("joinedGame", (gameData) => {
+      socket.setSession(gameData);
+      navigation.navigate("HostLobby", {
+        isHost: false,
+        gameCode: gameData.gameCode,
+        playerId: gameData.playerId,
+        hostName: "",
+      });
+    });
+
+    return () => {
+      socket.socket.off("gamePhaseChanged");
+      socket.socket.off("timerUpdate");
+      socket.socket.off("playersUpdated");
+      socket.socket.off("spectatorsUpdated");
+      socket.socket.off("nightResults");
+      socket.socket.off("dayActionUsed");
+      socket.socket.off("roleAnnouncement");
+      socket.socket.off("trialStarted");
+      socket.socket.off("finalWordsStarted");
+      socket.socket.off("roundResults");
+      socket.socket.off("gameOver");
+      socket.socket.off("gameReset");
+      socket.socket.off("joinedGame");
+    };
+  }, [navigation]);
+
+  const toggleQueue = () => {
+    socket.socket.emit("setSpectatorQueue", { queued: !isQueued });
+    setIsQueued(!isQueued);
+  };
+
+  const stopWatching = () => {
+    socket.emit("leaveGame");
+    navigation.navigate("Home");
+  };
+
+  const alivePlayers = players.filter((p) => p.isAlive);
+  const deadPlayers = players.filter((p) => !p.isAlive);
+
+  const renderPlayer = ({ item }) => (
+    <PlayerCard
+      player={item}
+      showRole={!!item.role} // Only roles the server made public
+      style={[styles.playerCard, !item.isAlive && styles.deadPlayerCard]}
+    />
+  );
+
+  return (
+    <ScrollView style={styles.container}>
+      <Text style={styles.badge}>👁 SPECTATING</Text>
+      <Text style={styles.title}>{PHASE_TITLES[phase] || phase}</Text>
+
+      {timeLeft !== null && phase !== "lobby" && (
+        <TimerBar
+          duration={Math.max(timeLeft, 30)}
+          timeLeft={timeLeft}
+          label="Time Remaining"
+          color="#4ecdc4"
+        />
+      )}
+
+      {announcements.length > 0 && (
+        <View style={styles.timeline}>
+          {announcements.map((text, index) => (
+            <Text key={index} style={styles.timelineText}>
+              {text}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      <Text style={styles.sectionTitle}>
+        Alive Players ({alivePlayers.length})
+      </Text>
+      <FlatList
+        data={alivePlayers}
+        renderItem={renderPlayer}
+        keyExtractor={(item) => item.id}
+        numColumns={2}
+        columnWrapperStyle={styles.row}
+        scrollEnabled={false}
+      />
+
+      {deadPlayers.length > 0 && (
+        <>
+          <Text style={styles.sectionTitle}>
+            💀 Eliminated ({deadPlayers.length})
+          </Text>
+          <FlatList
+            data={deadPlayers}
+            renderItem={renderPlayer}
+            keyExtractor={(item) => item.id}
+            horizontal
+            showsHorizontalScrollIndicator={false}
+          />
+        </>
+      )}
+
+      {["discussion", "voting", "trial", "judgement", "execution"].includes(
+        phase
+      ) && <DayChat readOnly />}
+      <GhostChat isSpectator />
+
+      <Graveyard initialRecords={initialState?.graveyard} />
+
+      {spectators.length > 0 && (
+        <Text style={styles.spectatorList}>
+          Watching: {spectators.map((s) => s.name).join(", ")}
+        </Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, isQueued && styles.queuedButton]}
+        onPress={toggleQueue}
+      >
+        <Text style={styles.buttonText}>
+          {isQueued ? "✓ Joining the next game" : "🙋 Play in the next game"}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[styles.button, styles.leaveButton]}
+        onPress={stopWatching}
+      >
+        <Text style={styles.buttonText}>🏠 Stop Watching</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#1c1c1c",
+    padding: 20,
+    paddingTop: 60,
+  },
+  badge: {
+    alignSelf: "center",
+    color: "#4ecdc4",
+    fontSize: 12,
+    fontWeight: "bold",
+    letterSpacing: 2,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: "bold",
+    color: "#fff",
+    textAlign: "center",
+    marginBottom: 20,
+  },
+  timeline: {
+    backgroundColor: "#2c3e50",
+    borderRadius: 10,
+    padding: 15,
+    marginVertical: 15,
+  },
+  timelineText: {
+    color: "#ecf0f1",
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#fff",
+    marginTop: 15,
+    marginBottom: 10,
+  },
+  row: {
+    justifyContent: "space-around",
+  },
+  playerCard: {
+    width: width * 0.4,
+    marginBottom: 10,
+  },
+  deadPlayerCard: {
+    opacity: 0.6,
+    marginRight: 10,
+  },
+  spectatorList: {
+    color: "#95a5a6",
+    fontSize: 13,
+    marginTop: 15,
+    textAlign: "center",
+  },
+  button: {
+    backgroundColor: "#4ecdc4",
+    paddingVertical: 15,
+    borderRadius: 12,
+    alignItems: "center",
+    marginTop: 15,
+  },
+  queuedButton: {
+    backgroundColor: "#27ae60",
+  },
+  leaveButton: {
+    backgroundColor: "#555",
+    marginBottom: 60,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+});
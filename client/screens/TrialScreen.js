@@ -0,0 +1,265 @@
+/**
+ * Trial Screen Component - The accused defends themselves, then the
+ * town judges them guilty or innocent. A condemned player gets their
+ * final words here before the lynch is carried out.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Animated,
+} from "react-native";
+import { socket } from "../utils/socket";
+import TimerBar from "../components/TimerBar";
+import DayChat from "../components/DayChat";
+import GhostChat from "../components/GhostChat";
+
+const PHASE_DISPLAY = {
+  trial: { title: "⚖️ Trial", timerLabel: "Defense Time" },
+  judgement: { title: "👨‍⚖️ Judgement", timerLabel: "Judgement Time" },
+  execution: { title: "🕯️ Final Words", timerLabel: "Final Words" },
+};
+
+export default function TrialScreen({ navigation, route }) {
+  const [trial, setTrial] = useState(route?.params?.trial || null);
+  const [phase, setPhase] = useState("trial");
+  const [players, setPlayers] = useState([]);
+  const [timeLeft, setTimeLeft] = useState(trial?.defenseTime || 30);
+  const [verdict, setVerdict] = useState(null);
+  const [votesCast, setVotesCast] = useState(0);
+  const [finalWords, setFinalWords] = useState(null);
+  const [fadeAnim] = useState(new Animated.Value(0));
+
+  useEffect(() => {
+    Animated.timing(fadeAnim, {
+      toValue: 1,
+      duration: 1000,
+      useNativeDriver: true,
+    }).start();
+
+    setTimeout(() => {
+      socket.emit("getPlayers");
+    }, 100);
+
+    socket.on("playersUpdated", (playersData) => {
+      setPlayers(playersData || []);
+    });
+    socket.on("timerUpdate", setTimeLeft);
+    socket.on("trialStarted", (trialData) => {
+      setTrial(trialData);
+      setPhase("trial");
+    });
+    socket.on("judgementStarted", (trialData) => {
+      setTrial(trialData);
+      setPhase("judgement");
+      setTimeLeft(trialData?.judgementTime || 20);
+    });
+    socket.on("judgementUpdate", (update) => {
+      setVotesCast(update.votesCast);
+    });
+    socket.on("finalWordsStarted", (finalWordsData) => {
+      setFinalWords(finalWordsData);
+      setPhase("execution");
+      setTimeLeft(finalWordsData?.duration || 10);
+    });
+    socket.on("gamePhaseChanged", (newPhase) => {
+      console.log("⚖️ TrialScreen: Phase changed to:", newPhase);
+      if (newPhase === "judgement" || newPhase === "execution") {
+        setPhase(newPhase);
+      } else if (newPhase === "results") {
+        navigation.navigate("Result");
+      } else if (newPhase === "game_over") {
+        navigation.navigate("Win");
+      } else if (newPhase === "night") {
+        navigation.navigate("NightPhase");
+      }
+    });
+
+    return () => {
+      socket.off("playersUpdated");
+      socket.off("timerUpdate");
+      socket.off("trialStarted");
+      socket.off("judgementStarted");
+      socket.off("judgementUpdate");
+      socket.off("finalWordsStarted");
+      socket.off("gamePhaseChanged");
+    };
+  }, [navigation, fadeAnim]);
+
+  const currentPlayer = players.find(
+    (p) => p && socket.socket?.id && p.socketId === socket.socket.id
+  );
+  const isAccused = !!currentPlayer && currentPlayer.id === trial?.accusedId;
+  const canJudge =
+    phase === "judgement" && !!currentPlayer?.isAlive && !isAccused;
+
+  const submitVerdict = (choice) => {
+    if (!canJudge) return;
+    socket.emit("judgementVote", { verdict: choice });
+    setVerdict(choice);
+  };
+
+  return (
+    <Animated.View style={[styles.container, { opacity: fadeAnim }]}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <Text style={styles.title}>{PHASE_DISPLAY[phase].title}</Text>
+
+        <TimerBar
+          duration={
+            phase === "trial"
+              ? trial?.defenseTime || 30
+              : phase === "judgement"
+              ? trial?.judgementTime || 20
+              : finalWords?.duration || 10
+          }
+          timeLeft={timeLeft}
+          label={PHASE_DISPLAY[phase].timerLabel}
+          color="#9b59b6"
+          warningColor="#f39c12"
+          dangerColor="#c0392b"
+        />
+
+        <View style={styles.accusedContainer}>
+          <Text style={styles.accusedLabel}>
+            {phase === "execution" ? "Condemned" : "On trial"}
+          </Text>
+          <Text style={styles.accusedName}>
+            {isAccused ? "You" : trial?.accusedName || "..."}
+          </Text>
+        </View>
+
+        <Text style={styles.instructions}>
+          {phase === "trial"
+            ? isAccused
+              ? "🗣️ The town is listening - make your defense!"
+              : "🤫 Listen to the accused's defense"
+            : phase === "execution"
+            ? isAccused
+              ? "🕯️ You were found guilty - say your final words"
+              : "🕯️ The condemned speaks their final words"
+            : isAccused
+            ? "⏳ The town is deciding your fate..."
+            : "Is the accused guilty?"}
+        </Text>
+
+        {canJudge && (
+          <View style={styles.verdictRow}>
+            <TouchableOpacity
+              style={[
+                styles.verdictButton,
+                styles.guiltyButton,
+                verdict === "guilty" && styles.chosenButton,
+              ]}
+              onPress={() => submitVerdict("guilty")}
+            >
+              <Text style={styles.verdictText}>💀 Guilty</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[
+                styles.verdictButton,
+                styles.innocentButton,
+                verdict === "innocent" && styles.chosenButton,
+              ]}
+              onPress={() => submitVerdict("innocent")}
+            >
+              <Text style={styles.verdictText}>🕊️ Innocent</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {phase === "judgement" && (
+          <Text style={styles.progressText}>
+            {votesCast}/{trial?.eligibleCount || 0} verdicts in
+            {verdict ? " - you can still change yours" : ""}
+          </Text>
+        )}
+
+        <DayChat
+          currentPlayer={currentPlayer}
+          readOnly={phase !== "judgement" && !isAccused}
+        />
+        <GhostChat currentPlayer={currentPlayer} />
+      </ScrollView>
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#1c1c1c",
+    padding: 20,
+    paddingTop: 60,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: "bold",
+    color: "#fff",
+    textAlign: "center",
+    marginBottom: 20,
+  },
+  accusedContainer: {
+    backgroundColor: "#3a1a3a",
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 20,
+    alignItems: "center",
+  },
+  accusedLabel: {
+    color: "#bdc3c7",
+    fontSize: 14,
+    textTransform: "uppercase",
+    letterSpacing: 2,
+  },
+  accusedName: {
+    color: "#fff",
+    fontSize: 26,
+    fontWeight: "bold",
+    marginTop: 5,
+  },
+  instructions: {
+    fontSize: 16,
+    color: "#95a5a6",
+    textAlign: "center",
+    marginBottom: 20,
+    lineHeight: 22,
+  },
+  verdictRow: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+  },
+  verdictButton: {
+    paddingVertical: 15,
+    paddingHorizontal: 25,
+    borderRadius: 30,
+    minWidth: 140,
+    alignItems: "center",
+    opacity: 0.7,
+  },
+  guiltyButton: {
+    backgroundColor: "#c0392b",
+  },
+  innocentButton: {
+    backgroundColor: "#27ae60",
+  },
+  chosenButton: {
+    opacity: 1,
+    borderWidth: 2,
+    borderColor: "#fff",
+  },
+  verdictText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  progressText: {
+    color: "#bdc3c7",
+    fontSize: 14,
+    textAlign: "center",
+    marginTop: 15,
+  },
+});
@@ -11,15 +11,24 @@ import {
 import { socket } from "../utils/socket";
 import TimerBar from "../components/TimerBar";
 import PlayerCard from "../components/PlayerCard";
+import DayChat from "../components/DayChat";
+import GhostChat from "../components/GhostChat";
+import DayActions from "../components/DayActions";
 
 const { width } = Dimensions.get("window");
 
+// Mirrors the server's NO_LYNCH vote target
+const NO_LYNCH = "no_lynch";
+
 export default function VotingScreen({ navigation }) {
   const [players, setPlayers] = useState([]);
   const [selectedPlayer, setSelectedPlayer] = useState(null);
   const [timeLeft, setTimeLeft] = useState(60);
   const [voteSubmitted, setVoteSubmitted] = useState(false);
   const [voteCounts, setVoteCounts] = useState({});
+  const [ballots, setBallots] = useState([]); // Who voted for whom, public voting only
+  const [hammerAt, setHammerAt] = useState(null);
+  const [revote, setRevote] = useState(null);
   const [fadeAnim] = useState(new Animated.Value(0));
 
   useEffect(() => {
@@ -42,7 +51,21 @@ export default function VotingScreen({ navigation }) {
       setPlayers(playersData || []);
     });
     socket.on("timerUpdate", setTimeLeft);
-    socket.on("voteCounts", setVoteCounts);
+    socket.on("voteCounts", (tally) => {
+      setVoteCounts(tally.counts || {});
+      setBallots(tally.ballots || []);
+      setHammerAt(tally.hammerAt);
+    });
+    socket.on("revoteStarted", (revoteData) => {
+      setRevote(revoteData);
+      setSelectedPlayer(null);
+      setVoteSubmitted(false);
+      setVoteCounts({});
+      setBallots([]);
+    });
+    socket.on("trialStarted", (trial) => {
+      navigation.navigate("Trial", { trial });
+    });
     socket.on("gamePhaseChanged", (phase) => {
       console.log("🗳️ VotingScreen: Phase changed to:", phase);
       if (phase === "results") {
@@ -58,6 +81,8 @@ export default function VotingScreen({ navigation }) {
       socket.off("playersUpdated");
       socket.off("timerUpdate");
       socket.off("voteCounts");
+      socket.off("revoteStarted");
+      socket.off("trialStarted");
       socket.off("gamePhaseChanged");
     };
   }, [navigation]);
@@ -65,9 +90,19 @@ export default function VotingScreen({ navigation }) {
   // Safety check for socket availability
   const currentSocketId = socket.socket?.id;
 
-  // Filter out current player and dead players
+  const currentPlayer = players.find(
+    (p) => p && currentSocketId && p.socketId === currentSocketId
+  );
+
+  // Filter out current player and dead players, and during a revote
+  // everyone who was not tied
   const alivePlayers = players.filter(
-    (p) => p && p.isAlive && currentSocketId && p.socketId !== currentSocketId
+    (p) =>
+      p &&
+      p.isAlive &&
+      currentSocketId &&
+      p.socketId !== currentSocketId &&
+      (!revote || revote.candidates.some((c) => c.id === p.id))
   );
 
   // Debug logging for voting phase
@@ -119,7 +154,7 @@ export default function VotingScreen({ navigation }) {
       >
         <PlayerCard
           player={item}
-          showRole={false}
+          showRole={!!item.isRevealed} // A revealed Mayor is public
           isSelected={isSelected}
           style={styles.playerCard}
         />
@@ -145,7 +180,9 @@ export default function VotingScreen({ navigation }) {
       />
 
       <Text style={styles.instructions}>
-        🕵️ Vote to eliminate the player you suspect is a killer!
+        {revote
+          ? "🤝 The vote was tied - vote again between the tied players"
+          : "🕵️ Vote to put the player you suspect is a killer on trial!"}
       </Text>
 
       <Text style={styles.playersTitle}>
@@ -162,6 +199,20 @@ export default function VotingScreen({ navigation }) {
         columnWrapperStyle={styles.row}
       />
 
+      <TouchableOpacity
+        style={[
+          styles.noLynchButton,
+          selectedPlayer === NO_LYNCH && styles.selectedPlayer,
+          voteSubmitted && styles.disabledPlayer,
+        ]}
+        onPress={() => !voteSubmitted && setSelectedPlayer(NO_LYNCH)}
+        disabled={voteSubmitted}
+      >
+        <Text style={styles.noLynchText}>
+          🙅 No Lynch ({voteCounts[NO_LYNCH] || 0})
+        </Text>
+      </TouchableOpacity>
+
       <TouchableOpacity
         style={[
           styles.voteButton,
@@ -174,12 +225,35 @@ export default function VotingScreen({ navigation }) {
         <Text style={styles.voteButtonText}>
           {voteSubmitted
             ? "✓ Vote Submitted"
+            : selectedPlayer === NO_LYNCH
+            ? "🙅 Vote No Lynch"
             : selectedPlayer
             ? "🗳️ Cast Vote"
             : "Select a Player"}
         </Text>
       </TouchableOpacity>
 
+      {hammerAt && (
+        <Text style={styles.hammerText}>
+          🔨 {hammerAt} votes on one player end the vote at once
+        </Text>
+      )}
+
+      {ballots.length > 0 && (
+        <View style={styles.ballotsContainer}>
+          {ballots.map((ballot) => (
+            <Text key={ballot.voterId} style={styles.ballotText}>
+              {ballot.voterName}
+              {ballot.weight > 1 ? ` (×${ballot.weight})` : ""} →{" "}
+              {ballot.targetId === NO_LYNCH
+                ? "No Lynch"
+                : players.find((p) => p.id === ballot.targetId)?.name ||
+                  "unknown"}
+            </Text>
+          ))}
+        </View>
+      )}
+
       {voteSubmitted && (
         <View style={styles.submittedContainer}>
           <Text style={styles.submittedText}>
@@ -187,6 +261,10 @@ export default function VotingScreen({ navigation }) {
           </Text>
         </View>
       )}
+
+      <DayActions currentPlayer={currentPlayer} />
+      <DayChat currentPlayer={currentPlayer} />
+      <GhostChat currentPlayer={currentPlayer} />
     </Animated.View>
   );
 }
@@ -258,6 +336,18 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     marginTop: 2,
   },
+  noLynchButton: {
+    backgroundColor: "#34495e",
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: "center",
+    marginBottom: 15,
+  },
+  noLynchText: {
+    color: "#ecf0f1",
+    fontSize: 15,
+    fontWeight: "bold",
+  },
   voteButton: {
     backgroundColor: "#e74c3c",
     paddingVertical: 15,
@@ -285,6 +375,23 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     textAlign: "center",
   },
+  hammerText: {
+    color: "#f39c12",
+    fontSize: 13,
+    textAlign: "center",
+    marginTop: 12,
+  },
+  ballotsContainer: {
+    backgroundColor: "#2c3e50",
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 12,
+  },
+  ballotText: {
+    color: "#ecf0f1",
+    fontSize: 13,
+    marginBottom: 4,
+  },
   submittedContainer: {
     backgroundColor: "#27ae60",
     padding: 15,
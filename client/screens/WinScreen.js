@@ -3,7 +3,8 @@
  */
 /**
  * Displays game over screen.
- * Announces winning team (civilians or killers).
+ * Announces the winning side - town, mafia or a neutral role - and
+ * everyone who shares the victory.
  * Includes restart or exit options for host and players.
  */
 
@@ -18,11 +19,33 @@ import {
   Dimensions,
 } from "react-native";
 import { socket } from "../utils/socket";
+import ChatPanel from "../components/ChatPanel";
+import { describeDeath } from "../components/Graveyard";
+import { getRoleInfo } from "../constants/roles";
 
 const { width } = Dimensions.get("window");
 
+// Banner for each side that can win; a role that wins alone gets its own
+const WIN_TITLES = {
+  mafia: "🔪 Mafia Victory!",
+  town: "👥 Town Victory!",
+  none: "🤝 No Winner",
+};
+
+/**
+ * Get the banner for the game's winner
+ * @param {string} winner - Winning side, or the role that won alone
+ * @returns {string} Banner text
+ */
+function getWinTitle(winner) {
+  if (WIN_TITLES[winner]) return WIN_TITLES[winner];
+  const role = getRoleInfo(winner);
+  return role.id ? `${role.emoji} ${role.name} Victory!` : WIN_TITLES.town;
+}
+
 export default function WinScreen({ navigation }) {
   const [gameResult, setGameResult] = useState(null);
+  const [isHost, setIsHost] = useState(false);
   const [fadeAnim] = useState(new Animated.Value(0));
   const [celebrateAnim] = useState(new Animated.Value(0));
 
@@ -52,6 +75,13 @@ export default function WinScreen({ navigation }) {
     socket.on("gameOver", (result) => {
       console.log("🏁 WinScreen received gameOver:", result);
       setGameResult(result);
+      const me = result.players?.find((p) => p.socketId === socket.socket?.id);
+      setIsHost(!!me?.isHost);
+    });
+
+    socket.on("hostChanged", (data) => {
+      console.log("👑 Host changed:", data);
+      setIsHost(data.socketId === socket.socket?.id);
     });
 
     socket.on("gameReset", () => {
@@ -62,11 +92,13 @@ export default function WinScreen({ navigation }) {
     return () => {
       socket.off("gameOver");
       socket.off("gameReset");
+      socket.off("hostChanged");
     };
   }, [navigation]);
 
   const returnToLobby = () => {
     socket.emit("leaveGame");
+    socket.clearSession();
     navigation.navigate("Home");
   };
 
@@ -95,6 +127,7 @@ export default function WinScreen({ navigation }) {
       <Text style={styles.playerName}>{item.name}</Text>
       <Text style={styles.playerRole}>{item.role}</Text>
       <Text style={styles.playerStatus}>
+        {gameResult.winners?.includes(item.id) ? "🏆 " : ""}
         {item.isAlive ? "🟢 Survived" : "💀 Eliminated"}
       </Text>
     </View>
@@ -113,13 +146,15 @@ export default function WinScreen({ navigation }) {
         <View
           style={[
             styles.resultContainer,
-            gameResult.winner === "mafia" ? styles.mafiaWin : styles.townWin,
+            gameResult.winner === "mafia"
+              ? styles.mafiaWin
+              : gameResult.winner === "town"
+              ? styles.townWin
+              : styles.neutralWin,
           ]}
         >
           <Text style={styles.winnerTitle}>
-            {gameResult.winner === "mafia"
-              ? "🔪 Mafia Victory!"
-              : "👥 Town Victory!"}
+            {getWinTitle(gameResult.winner)}
           </Text>
 
           <Text style={styles.winReason}>{gameResult.reason}</Text>
@@ -137,13 +172,34 @@ export default function WinScreen({ navigation }) {
         />
       </View>
 
+      {gameResult.graveyard?.length > 0 && (
+        <View style={styles.graveyardSection}>
+          <Text style={styles.playersTitle}>🪦 Graveyard:</Text>
+          {gameResult.graveyard.map((record) => (
+            <Text key={record.playerId} style={styles.graveyardText}>
+              {describeDeath(record)}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {gameResult.ghostChatLog?.length > 0 && (
+        <ChatPanel
+          title="👻 What the ghosts said"
+          messages={gameResult.ghostChatLog}
+          accentColor="#95a5a6"
+        />
+      )}
+
       <View style={styles.buttonContainer}>
-        <TouchableOpacity
-          style={[styles.button, styles.restartButton]}
-          onPress={restartGame}
-        >
-          <Text style={styles.buttonText}>🔄 Play Again</Text>
-        </TouchableOpacity>
+        {isHost && (
+          <TouchableOpacity
+            style={[styles.button, styles.restartButton]}
+            onPress={restartGame}
+          >
+            <Text style={styles.buttonText}>🔄 Play Again</Text>
+          </TouchableOpacity>
+        )}
 
         <TouchableOpacity
           style={[styles.button, styles.lobbyButton]}
@@ -207,6 +263,9 @@ const styles = StyleSheet.create({
   townWin: {
     backgroundColor: "#27ae60",
   },
+  neutralWin: {
+    backgroundColor: "#8e44ad",
+  },
   winnerTitle: {
     fontSize: 24,
     fontWeight: "bold",
@@ -264,6 +323,14 @@ const styles = StyleSheet.create({
     flex: 1,
     textAlign: "right",
   },
+  graveyardSection: {
+    marginBottom: 15,
+  },
+  graveyardText: {
+    color: "#bdc3c7",
+    fontSize: 14,
+    marginBottom: 4,
+  },
   buttonContainer: {
     flexDirection: "row",
     justifyContent: "space-between",
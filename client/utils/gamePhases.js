@@ -19,6 +19,7 @@ export const GAME_PHASES = {
   DAY: "day",
   VOTING: "voting",
   TRIAL: "trial",
+  JUDGEMENT: "judgement",
   EXECUTION: "execution",
   GAME_OVER: "game_over",
 };
@@ -29,6 +30,7 @@ export const PHASE_DURATIONS = {
   [GAME_PHASES.DAY]: 120,
   [GAME_PHASES.VOTING]: 60,
   [GAME_PHASES.TRIAL]: 30,
+  [GAME_PHASES.JUDGEMENT]: 20,
   [GAME_PHASES.EXECUTION]: 10,
 };
 
@@ -39,7 +41,8 @@ export const PHASE_DESCRIPTIONS = {
   [GAME_PHASES.DAY]: "Discuss and find the mafia among you",
   [GAME_PHASES.VOTING]: "Vote to eliminate a suspicious player",
   [GAME_PHASES.TRIAL]: "Final defense before execution",
-  [GAME_PHASES.EXECUTION]: "The town has decided...",
+  [GAME_PHASES.JUDGEMENT]: "The town decides: guilty or innocent?",
+  [GAME_PHASES.EXECUTION]: "The condemned speaks their final words",
   [GAME_PHASES.GAME_OVER]: "Game finished",
 };
 
@@ -50,6 +53,7 @@ export const PHASE_ORDER = [
   GAME_PHASES.DAY,
   GAME_PHASES.VOTING,
   GAME_PHASES.TRIAL,
+  GAME_PHASES.JUDGEMENT,
   GAME_PHASES.EXECUTION,
   // GAME_OVER can happen from any phase
 ];
@@ -84,6 +88,8 @@ export class GamePhaseManager {
         settings.votingDuration || PHASE_DURATIONS[GAME_PHASES.VOTING],
       trialDuration:
         settings.trialDuration || PHASE_DURATIONS[GAME_PHASES.TRIAL],
+      judgementDuration:
+        settings.judgementDuration || PHASE_DURATIONS[GAME_PHASES.JUDGEMENT],
       executionDuration:
         settings.executionDuration || PHASE_DURATIONS[GAME_PHASES.EXECUTION],
     };
@@ -190,6 +196,8 @@ export class GamePhaseManager {
         return this.gameSettings.votingDuration;
       case GAME_PHASES.TRIAL:
         return this.gameSettings.trialDuration;
+      case GAME_PHASES.JUDGEMENT:
+        return this.gameSettings.judgementDuration;
       case GAME_PHASES.EXECUTION:
         return this.gameSettings.executionDuration;
       default:
@@ -290,6 +298,8 @@ export const getPhaseColor = (phase) => {
       return "#3a1a1a";
     case GAME_PHASES.TRIAL:
       return "#3a1a3a";
+    case GAME_PHASES.JUDGEMENT:
+      return "#2a1a3a";
     case GAME_PHASES.EXECUTION:
       return "#1a1a1a";
     case GAME_PHASES.GAME_OVER:
@@ -311,6 +321,8 @@ export const getPhaseIcon = (phase) => {
       return "🗳️";
     case GAME_PHASES.TRIAL:
       return "⚖️";
+    case GAME_PHASES.JUDGEMENT:
+      return "👨‍⚖️";
     case GAME_PHASES.EXECUTION:
       return "💀";
     case GAME_PHASES.GAME_OVER:
@@ -11,6 +11,7 @@
  * - Error handling and reconnection
  * - Host discovery and connection
  * - Automatic IP detection
+ * - Session resume after a dropped connection
  */
 /**
  * Initializes and exports the Socket.IO client connection.
@@ -22,12 +23,15 @@
 
 import { io } from "socket.io-client";
 import { networkDiscovery } from "./networkDiscovery";
+import { setRoleMetadata } from "../constants/roles";
 
 class SocketManager {
   constructor() {
     this.socket = null;
     this.isConnected = false;
     this.hostIP = null;
+    // Session issued by the host so a new socket can reclaim our seat
+    this.session = null;
     // Performance optimizations
     this._eventHandlers = new Map();
     this._connectionCache = new Map();
@@ -137,6 +141,29 @@ class SocketManager {
       this._eventHandlers.set("connect", () => {
         this.isConnected = true;
         console.log(`✅ Successfully connected to host server: ${this.hostIP}`);
+
+        // Every (re)connect gets a new socket id - reclaim our seat
+        if (this.session && this.session.hostIP === this.hostIP) {
+          console.log(`🔑 Resuming session in game ${this.session.gameCode}`);
+          this.socket.emit("resumeSession", {
+            sessionToken: this.session.sessionToken,
+          });
+        }
+      });
+    }
+
+    // The host describes every role it plays with when we connect
+    if (!this._eventHandlers.has("roleMetadata")) {
+      this._eventHandlers.set("roleMetadata", (metadata) => {
+        console.log(`🎭 Received ${Object.keys(metadata).length} roles`);
+        setRoleMetadata(metadata);
+      });
+    }
+
+    if (!this._eventHandlers.has("sessionExpired")) {
+      this._eventHandlers.set("sessionExpired", (data) => {
+        console.log("🔑 Session expired:", data?.message);
+        this.clearSession();
       });
     }
 
@@ -181,6 +208,32 @@ class SocketManager {
       "reconnect_error",
       this._eventHandlers.get("reconnect_error")
     );
+    this.socket.on("sessionExpired", this._eventHandlers.get("sessionExpired"));
+    this.socket.on("roleMetadata", this._eventHandlers.get("roleMetadata"));
+  }
+
+  /**
+   * Remember the session issued on gameCreated / joinedGame
+   * @param {Object} data - Payload containing gameCode, playerId and sessionToken
+   */
+  setSession({ gameCode, playerId, sessionToken }) {
+    if (!sessionToken) return;
+    this.session = { gameCode, playerId, sessionToken, hostIP: this.hostIP };
+  }
+
+  /**
+   * Forget the current session (left the game or it expired)
+   */
+  clearSession() {
+    this.session = null;
+  }
+
+  /**
+   * Get the current session, if any
+   * @returns {Object|null} Session info
+   */
+  getSession() {
+    return this.session;
   }
 
   /**
@@ -367,6 +420,7 @@ class SocketManager {
    * Disconnect from server
    */
   disconnect() {
+    this.clearSession();
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -6,6 +6,7 @@
  */
 
 const path = require("path");
+const { getRoleLimits } = require("./roles");
 
 /**
  * Server configuration object
@@ -38,29 +39,45 @@ const config = {
     maxPlayers: parseInt(process.env.MAX_PLAYERS) || 20,
     minPlayers: parseInt(process.env.MIN_PLAYERS) || 4,
 
+    // Seconds to wait for a dropped host before handing over host duties
+    hostMigrationGracePeriod:
+      parseInt(process.env.HOST_MIGRATION_GRACE_PERIOD) || 30,
+
     // Default timers (in seconds)
     defaultTimers: {
       roleReveal: 10,
       night: 30,
       discussion: 120,
       voting: 60,
+      trial: 30,
+      judgement: 20,
+      finalWords: 10,
       results: 5,
     },
 
     // Game rules
     defaultRules: {
       allowSelfHeal: false,
+      allowConsecutiveHeals: false, // Healers may protect the same player two nights running
       revealRoleOnDeath: true,
       allowSpectatorChat: false,
       randomizeRoleOrder: true,
+      mafiaKillMode: "shared", // "shared": one agreed kill, "each": every killer kills
+      voteThreshold: "plurality", // "plurality", "majority" or "supermajority" of the living
+      voteTieBreak: "none", // "none", "revote" between the tied or "random"
+      publicVoting: false, // Stream who voted for whom as votes are cast
+      hammer: false, // Close voting once a target has the votes needed (not under plurality)
     },
 
-    // Role limits
-    roleLimits: {
-      killers: { min: 1, max: 5 },
-      healers: { min: 0, max: 3 },
-      police: { min: 0, max: 2 },
+    // Role limits, from the role registry (roles.js) - read on use so
+    // custom roles loaded at startup are included
+    get roleLimits() {
+      return getRoleLimits();
     },
+
+    // Directory custom role plugins are loaded from at startup
+    customRolesDirectory:
+      process.env.CUSTOM_ROLES_DIR || path.join(__dirname, "roles"),
   },
 
   // Logging configuration
@@ -72,6 +89,23 @@ const config = {
     maxLogSize: process.env.MAX_LOG_SIZE || "10MB",
   },
 
+  // Crash recovery: in-progress games are snapshotted to disk
+  persistence: {
+    enabled: process.env.PERSIST_GAMES !== "false",
+    snapshotFile:
+      process.env.SNAPSHOT_FILE || path.join(__dirname, "data", "games.json"),
+    // "ask" prompts on an interactive terminal; "always" or "never" do not
+    restoreOnStartup: process.env.RESTORE_GAMES || "ask",
+  },
+
+  // Named setup presets (role counts, timers and rules) shared by all hosts
+  presets: {
+    file:
+      process.env.PRESETS_FILE || path.join(__dirname, "data", "presets.json"),
+    maxPresets: parseInt(process.env.MAX_PRESETS) || 50,
+    maxNameLength: 30,
+  },
+
   // Security settings
   security: {
     // Rate limiting
@@ -87,6 +121,13 @@ const config = {
       minNameLength: 2,
       allowedNameChars: /^[a-zA-Z0-9\s\-_\.]+$/,
       maxMessageLength: 500,
+      maxLastWillLength: 1000,
+    },
+
+    // Per-player chat flood protection
+    chatRateLimit: {
+      windowMs: 10 * 1000, // 10 seconds
+      max: parseInt(process.env.CHAT_RATE_LIMIT_MAX) || 5, // messages per window
     },
   },
 
@@ -101,7 +142,9 @@ const config = {
   performance: {
     // Cleanup intervals (in milliseconds)
     gameCleanupInterval: 30 * 60 * 1000, // 30 minutes
-    disconnectedPlayerTimeout: 5 * 60 * 1000, // 5 minutes
+    // Grace window for a dropped player to resume their session
+    disconnectedPlayerTimeout:
+      parseInt(process.env.DISCONNECTED_PLAYER_TIMEOUT) || 5 * 60 * 1000, // 5 minutes
 
     // Memory limits
     maxConcurrentGames: parseInt(process.env.MAX_CONCURRENT_GAMES) || 10,
@@ -16,6 +16,7 @@
 
 const { shuffle } = require("./utils/shuffle");
 const { buildRoleList } = require("./utils/roleBuilder");
+const { FILLER_ROLE, callRoleHook, getRoleDefinition } = require("./roles");
 
 /**
  * Assign roles to players based on game settings
@@ -35,7 +36,7 @@ function assignRoles(players, settings) {
     playerId: player.id,
     socketId: player.socketId,
     name: player.name,
-    role: shuffledRoles[index] || "townsperson",
+    role: shuffledRoles[index] || FILLER_ROLE,
   }));
 
   console.log(
@@ -47,58 +48,297 @@ function assignRoles(players, settings) {
 }
 
 /**
- * Process night phase actions (kills, heals, investigations)
+ * Resolve the mafia's single shared kill from the killers' picks. The
+ * target with the most picks wins; a tie goes to whichever of the tied
+ * targets was picked first.
+ * @param {Array} kills - Kill actions submitted by killers
+ * @returns {string|null} Agreed target ID
+ */
+function resolveMafiaTarget(kills) {
+  const tally = new Map(); // targetId -> { count, firstPickedAt }
+  kills.forEach((kill) => {
+    const entry = tally.get(kill.target) || {
+      count: 0,
+      firstPickedAt: Infinity,
+    };
+    entry.count++;
+    entry.firstPickedAt = Math.min(
+      entry.firstPickedAt,
+      new Date(kill.timestamp || 0).getTime()
+    );
+    tally.set(kill.target, entry);
+  });
+
+  let best = null;
+  tally.forEach((entry, target) => {
+    if (
+      !best ||
+      entry.count > best.count ||
+      (entry.count === best.count && entry.firstPickedAt < best.firstPickedAt)
+    ) {
+      best = { target, ...entry };
+    }
+  });
+
+  return best ? best.target : null;
+}
+
+/**
+ * Check whether a role kills outside the mafia, never joining the
+ * shared mafia kill
+ * @param {string} role - Role name
+ * @returns {boolean} True for solo killers
+ */
+function isSoloKiller(role) {
+  return !!getRoleDefinition(role)?.killsAlone;
+}
+
+/**
+ * Get the killers' current picks for the live mafia night vote
+ * @param {Array} actions - Night actions submitted so far
+ * @param {Array} players - Current player list
+ * @param {string} mafiaKillMode - "shared" or "each"
+ * @returns {Object} Picks plus the target the mafia would kill right now
+ */
+function getMafiaPicks(actions, players, mafiaKillMode = "shared") {
+  const playerMap = new Map(players.map((p) => [p.id, p]));
+  const kills = actions.filter(
+    (a) => a.action === "kill" && !isSoloKiller(playerMap.get(a.playerId)?.role)
+  );
+  const leadingTargetId =
+    mafiaKillMode === "each" ? null : resolveMafiaTarget(kills);
+
+  return {
+    mode: mafiaKillMode,
+    picks: kills.map((kill) => ({
+      playerId: kill.playerId,
+      playerName: playerMap.get(kill.playerId)?.name || "Unknown",
+      targetId: kill.target,
+      targetName: playerMap.get(kill.target)?.name || "Unknown",
+    })),
+    leadingTargetId,
+    leadingTargetName: leadingTargetId
+      ? playerMap.get(leadingTargetId)?.name || "Unknown"
+      : null,
+  };
+}
+
+/**
+ * Attack a player during the night. Heals stop the attack.
+ * @param {string} playerId - Player being attacked
+ * @param {Object} night - Night being resolved
+ * @returns {boolean} True if the attack killed them
+ */
+function attackPlayer(playerId, night) {
+  if (night.healed.has(playerId) || night.results.deaths.includes(playerId)) {
+    return false;
+  }
+  night.results.deaths.push(playerId);
+  return true;
+}
+
+/**
+ * Night actions and how they resolve. Actions run in priority order
+ * (lowest first) and each applies its effect to the night being
+ * resolved. Once a player is role-blocked, their own action is dropped
+ * before its effect runs; role-blocks themselves cannot be blocked.
+ * `resolve` optionally narrows an action's submissions before they run.
+ * `report` runs once every action has run and the night's visit graph
+ * is complete. `canTargetSelf` allows players to target themselves.
+ */
+const NIGHT_ACTIONS = {
+  block: {
+    priority: 1,
+    effect: (action, night) => {
+      night.blocked.add(action.target);
+    },
+  },
+  heal: {
+    priority: 2,
+    canTargetSelf: true,
+    effect: (action, night) => {
+      night.healed.add(action.target);
+      night.results.heals.push(action.target);
+    },
+  },
+  guard: {
+    priority: 2,
+    effect: (action, night) => {
+      const guards = night.guarded.get(action.target) || [];
+      night.guarded.set(action.target, [...guards, action.playerId]);
+    },
+  },
+  frame: {
+    priority: 3,
+    effect: (action, night) => {
+      night.framed.add(action.target);
+    },
+  },
+  kill: {
+    priority: 4,
+    // The mafia agree on one shared kill unless every killer kills;
+    // anyone else who kills (Serial Killer, Vigilante) strikes alone
+    resolve: (kills, night) => {
+      const isSolo = (kill) =>
+        isSoloKiller(night.playerMap.get(kill.playerId)?.role);
+      const soloKills = kills.filter(isSolo);
+      const mafiaKills = kills.filter((kill) => !isSolo(kill));
+      if (night.mafiaKillMode === "each" || mafiaKills.length === 0) {
+        return kills;
+      }
+      const target = resolveMafiaTarget(mafiaKills);
+      return [mafiaKills.find((kill) => kill.target === target), ...soloKills];
+    },
+    effect: (action, night) => {
+      // A bodyguard takes the attack in their charge's place and kills
+      // the attacker; each bodyguard stops one attack
+      const guards = night.guarded.get(action.target) || [];
+      if (guards.length > 0) {
+        const [bodyguard, ...rest] = guards;
+        night.guarded.set(action.target, rest);
+        attackPlayer(bodyguard, night);
+        attackPlayer(action.playerId, night);
+        return;
+      }
+
+      const killed = attackPlayer(action.target, night);
+      const attacker = night.playerMap.get(action.playerId);
+      const target = night.playerMap.get(action.target);
+
+      // A Vigilante who kills a townsperson dies of guilt - no heal helps
+      if (
+        killed &&
+        getRoleDefinition(attacker?.role)?.diesOnTownKill &&
+        getRoleAlignment(target?.role) === "town" &&
+        !night.results.deaths.includes(action.playerId)
+      ) {
+        night.results.deaths.push(action.playerId);
+      }
+    },
+  },
+  investigate: {
+    priority: 5,
+    effect: (action, night) => {
+      const targetPlayer = night.playerMap.get(action.target);
+      const investigatorPlayer = night.playerMap.get(action.playerId);
+      if (!targetPlayer || !investigatorPlayer) return;
+
+      night.results.investigations.push({
+        investigator: action.playerId,
+        investigatorName: investigatorPlayer.name,
+        target: action.target,
+        targetName: targetPlayer.name,
+        // A frame tonight beats whatever the target would normally show
+        result:
+          night.framed.has(action.target) ||
+          getApparentAlignment(targetPlayer.role, targetPlayer) === "mafia"
+            ? "suspicious"
+            : "innocent",
+        publicMessage: `${investigatorPlayer.name} investigated someone during the night.`,
+      });
+    },
+  },
+  track: {
+    priority: 6,
+    report: (action, night) => {
+      const targetName = night.playerMap.get(action.target)?.name;
+      const visitedNames = night.results.visits
+        .filter((visit) => visit.visitor === action.target)
+        .map((visit) => night.playerMap.get(visit.target)?.name);
+
+      night.results.trackings.push({
+        tracker: action.playerId,
+        target: action.target,
+        targetName,
+        visitedNames,
+      });
+    },
+  },
+  watch: {
+    priority: 6,
+    report: (action, night) => {
+      const targetName = night.playerMap.get(action.target)?.name;
+      const visitorNames = night.results.visits
+        .filter(
+          (visit) =>
+            visit.target === action.target && visit.visitor !== action.playerId
+        )
+        .map((visit) => night.playerMap.get(visit.visitor)?.name);
+
+      night.results.lookouts.push({
+        lookout: action.playerId,
+        target: action.target,
+        targetName,
+        visitorNames,
+      });
+    },
+  },
+};
+
+/**
+ * Process night phase actions through the priority pipeline
  * @param {Array} actions - List of night actions
  * @param {Array} players - Current player list
+ * @param {Object} options - Rule options
+ * @param {string} options.mafiaKillMode - "shared" (one agreed kill) or "each"
  * @returns {Object} Results of night actions
  */
-function processNightActions(actions, players) {
+function processNightActions(actions, players, options = {}) {
+  const { mafiaKillMode = "shared" } = options;
   console.log("🌙 Processing night actions:", actions);
 
   const results = {
     deaths: [],
     heals: [],
     investigations: [],
+    roleBlocked: [],
+    visits: [], // Who targeted whom, once role-blocks are applied
+    trackings: [],
+    lookouts: [],
+    roleMessages: [], // Private notes from custom roles' onNight hooks
     message: "",
   };
 
-  // Group actions by type
-  const kills = actions.filter((a) => a.action === "kill");
-  const heals = actions.filter((a) => a.action === "heal");
-  const investigations = actions.filter((a) => a.action === "investigate");
+  const night = {
+    results,
+    mafiaKillMode,
+    blocked: new Set(),
+    healed: new Set(),
+    guarded: new Map(), // target -> bodyguards still standing in front of them
+    framed: new Set(),
+    playerMap: new Map(players.map((p) => [p.id, p])),
+  };
 
-  // Process heals first (they can prevent deaths)
-  const healedPlayers = new Set();
-  heals.forEach((heal) => {
-    healedPlayers.add(heal.target);
-    results.heals.push(heal.target);
-  });
+  const performed = {}; // action -> submissions that actually ran
+  Object.entries(NIGHT_ACTIONS)
+    .sort(([, a], [, b]) => a.priority - b.priority)
+    .forEach(([type, definition]) => {
+      let submitted = actions.filter(
+        (a) =>
+          a.action === type &&
+          (type === "block" || !night.blocked.has(a.playerId))
+      );
+      if (definition.resolve) {
+        submitted = definition.resolve(submitted, night);
+      }
+      submitted.forEach((action) => {
+        results.visits.push({
+          visitor: action.playerId,
+          target: action.target,
+          action: type,
+        });
+        if (definition.effect) definition.effect(action, night);
+      });
+      performed[type] = submitted;
+    });
 
-  // Process kills (check against heals)
-  kills.forEach((kill) => {
-    if (!healedPlayers.has(kill.target)) {
-      results.deaths.push(kill.target);
-    }
+  // Reports read the finished visit graph
+  Object.entries(NIGHT_ACTIONS).forEach(([type, definition]) => {
+    if (!definition.report) return;
+    performed[type].forEach((action) => definition.report(action, night));
   });
 
-  // Process investigations using Map for better performance
-  const playerMap = new Map(players.map((p) => [p.id, p]));
-
-  investigations.forEach((investigation) => {
-    const targetPlayer = playerMap.get(investigation.target);
-    const investigatorPlayer = playerMap.get(investigation.playerId);
-
-    if (targetPlayer && investigatorPlayer) {
-      results.investigations.push({
-        investigator: investigation.playerId,
-        investigatorName: investigatorPlayer.name,
-        target: investigation.target,
-        targetName: targetPlayer.name,
-        result: targetPlayer.role === "killer" ? "suspicious" : "innocent",
-        publicMessage: `${investigatorPlayer.name} investigated someone during the night.`,
-      });
-    }
-  });
+  results.roleBlocked = Array.from(night.blocked);
 
   // Generate result message
   if (results.deaths.length > 0) {
@@ -110,8 +350,8 @@ function processNightActions(actions, players) {
     } eliminated during the night.`;
   } else {
     // Check if there were kills but they were healed
-    const wasKillAttempted = kills.length > 0;
-    const wasHealed = heals.length > 0;
+    const wasKillAttempted = performed.kill.length > 0;
+    const wasHealed = performed.heal.length > 0;
 
     if (wasKillAttempted && wasHealed) {
       results.message =
@@ -124,71 +364,378 @@ function processNightActions(actions, players) {
   return results;
 }
 
+// Vote target meaning the town chooses not to eliminate anyone today
+const NO_LYNCH = "no_lynch";
+
+/**
+ * Day abilities, used during discussion or voting. Roles whose
+ * definition names one as their `dayAction` have it; `phases` says when
+ * it is open, `canUse(player, usedToday)` checks the player may still use
+ * it, and `apply` carries it out and returns the public announcement
+ * (false refuses).
+ */
+const DAY_ACTIONS = {
+  reveal: {
+    phases: ["discussion", "voting"],
+    canUse: (player) => !player.isRevealed,
+    apply: (player) => {
+      player.isRevealed = true;
+      return `${player.name} has revealed themselves as the ${
+        getRoleDefinition(player.role).name
+      }!`;
+    },
+  },
+};
+
+/**
+ * The part of the night a custom role's onNight hook works with: the
+ * acting player and their target, plus the same moves the built-in
+ * actions make. Attacks respect heals; blocks only stop actions that
+ * resolve later in the night.
+ * @param {Object} action - The custom role's night action
+ * @param {Object} night - Night being resolved
+ * @returns {Object} Night tools
+ */
+function getNightTools(action, night) {
+  return {
+    actor: night.playerMap.get(action.playerId),
+    target: night.playerMap.get(action.target),
+    getPlayer: (playerId) => night.playerMap.get(playerId),
+    attack: (playerId) => attackPlayer(playerId, night),
+    heal: (playerId) => {
+      night.healed.add(playerId);
+      night.results.heals.push(playerId);
+    },
+    block: (playerId) => night.blocked.add(playerId),
+    frame: (playerId) => night.framed.add(playerId),
+    tell: (playerId, message) =>
+      night.results.roleMessages.push({ playerId, message }),
+  };
+}
+
+/**
+ * Add a custom role's night action, resolved by its onNight hook
+ * @param {string} type - Night action type
+ * @param {string} role - Role whose hook resolves it
+ * @param {Object} options - { priority, canTargetSelf }
+ */
+function registerCustomNightAction(type, role, options) {
+  NIGHT_ACTIONS[type] = {
+    priority: options.priority,
+    canTargetSelf: !!options.canTargetSelf,
+    effect: (action, night) => {
+      callRoleHook(role, "onNight", action, getNightTools(action, night));
+    },
+  };
+}
+
+/**
+ * Add a custom role's day action, carried out by its onDayAction hook
+ * @param {string} type - Day action type
+ * @param {string} role - Role whose hook carries it out
+ */
+function registerCustomDayAction(type, role) {
+  DAY_ACTIONS[type] = {
+    phases: ["discussion", "voting"],
+    canUse: (player, usedToday) => getDayUsesLeft(player.role, usedToday) > 0,
+    apply: (player, players) =>
+      callRoleHook(role, "onDayAction", player, { players }),
+  };
+}
+
+/**
+ * Run the onDeath hook of a player's role
+ * @param {Object} player - Player who just died
+ * @param {Object} context - { cause, players }
+ * @returns {string|null} Public announcement from the hook, if any
+ */
+function runDeathHook(player, context) {
+  const message = callRoleHook(player.role, "onDeath", player, context);
+  return typeof message === "string" && message ? message : null;
+}
+
+/**
+ * Get how many votes a player's ballot counts for
+ * @param {Object} player - Voting player
+ * @returns {number} Vote weight
+ */
+function getVoteWeight(player) {
+  const weight = getRoleDefinition(player?.role)?.revealedVoteWeight;
+  return weight && player.isRevealed ? weight : 1;
+}
+
+/**
+ * Count weighted votes per target
+ * @param {Array} votes - Votes cast ({playerId, targetId})
+ * @param {Array} players - Current player list
+ * @returns {Object} targetId -> weighted vote count
+ */
+function tallyVotes(votes, players) {
+  const playerMap = new Map(players.map((p) => [p.id, p]));
+  return (votes || []).reduce((counts, vote) => {
+    counts[vote.targetId] =
+      (counts[vote.targetId] || 0) +
+      getVoteWeight(playerMap.get(vote.playerId));
+    return counts;
+  }, {});
+}
+
+/**
+ * Number of votes a candidate needs to be eliminated
+ * @param {string} voteThreshold - "plurality", "majority" or "supermajority"
+ * @param {number} voterCount - Living players who may vote
+ * @returns {number} Required vote count
+ */
+function getRequiredVotes(voteThreshold, voterCount) {
+  switch (voteThreshold) {
+    case "majority":
+      return Math.floor(voterCount / 2) + 1;
+    case "supermajority":
+      return Math.ceil((voterCount * 2) / 3);
+    default:
+      return 1; // Plurality - the leader only needs a vote
+  }
+}
+
 /**
  * Process voting phase results
  * @param {Array} votes - List of player votes
  * @param {Array} players - Current player list
+ * @param {Object} options - Vote rules
+ * @param {string} options.voteThreshold - "plurality", "majority" or "supermajority"
+ * @param {string} options.voteTieBreak - "none", "revote" or "random"
+ * @param {boolean} options.isRevote - This is already the tie-break revote
  * @returns {Object} Voting results
  */
-function processVotes(votes, players) {
-  if (!votes || votes.length === 0) {
-    return {
-      eliminated: null,
-      voteCounts: {},
-      topCandidates: [],
-      message: "No votes were cast.",
-      maxVotes: 0,
-    };
-  }
-
-  // Count votes more efficiently
-  const voteCounts = votes.reduce((counts, vote) => {
-    counts[vote.targetId] = (counts[vote.targetId] || 0) + 1;
-    return counts;
-  }, {});
+function processVotes(votes, players, options = {}) {
+  const {
+    voteThreshold = "plurality",
+    voteTieBreak = "none",
+    isRevote = false,
+  } = options;
+  const voterCount = players.filter((p) => p.isAlive).length;
+  const requiredVotes = getRequiredVotes(voteThreshold, voterCount);
+
+  const voteCounts = tallyVotes(votes, players);
+
+  // Ballots worth more than one vote, so the weighting is visible
+  const voteWeights = {};
+  (votes || []).forEach((vote) => {
+    const weight = getVoteWeight(players.find((p) => p.id === vote.playerId));
+    if (weight > 1) voteWeights[vote.playerId] = weight;
+  });
 
   // Find maximum votes and candidates efficiently
   const entries = Object.entries(voteCounts);
-  const maxVotes = Math.max(...entries.map(([, count]) => count));
+  const maxVotes = entries.length
+    ? Math.max(...entries.map(([, count]) => count))
+    : 0;
   const topCandidates = entries
     .filter(([, count]) => count === maxVotes)
     .map(([playerId]) => playerId);
 
-  let eliminated = null;
-  let message = "";
-
-  if (topCandidates.length === 1 && maxVotes > 0) {
-    // Single player with most votes
-    const eliminatedId = topCandidates[0];
-    eliminated = players.find((p) => p.id === eliminatedId);
-    message = `${eliminated.name} was eliminated by majority vote.`;
-  } else if (topCandidates.length > 1) {
-    // Tie vote - no elimination
-    message = "The vote was tied. No one was eliminated.";
-  } else {
-    // No votes cast
-    message = "No votes were cast. No one was eliminated.";
-  }
-
   const results = {
     votes: voteCounts,
-    eliminated,
-    message,
+    voteWeights,
+    eliminated: null,
+    message: "",
     maxVotes,
+    topCandidates,
+    voteThreshold,
+    requiredVotes,
+    noLynch: false,
+    tieBreak: null,
+    revoteCandidates: null,
   };
 
+  if (maxVotes === 0) {
+    results.message = "No votes were cast. No one was eliminated.";
+  } else if (maxVotes < requiredVotes) {
+    results.message = `No one reached the ${requiredVotes} votes needed. No one was eliminated.`;
+  } else if (topCandidates.includes(NO_LYNCH)) {
+    // An explicit no-lynch wins any tie it is part of
+    results.noLynch = true;
+    results.message = "The town voted not to eliminate anyone.";
+  } else if (topCandidates.length === 1) {
+    results.eliminated = players.find((p) => p.id === topCandidates[0]);
+    results.message = `${results.eliminated.name} was eliminated by ${voteThreshold} vote.`;
+  } else if (voteTieBreak === "random") {
+    const pickedId = shuffle(topCandidates)[0];
+    results.eliminated = players.find((p) => p.id === pickedId);
+    results.tieBreak = "random";
+    results.message = `The vote was tied. ${results.eliminated.name} was chosen at random.`;
+  } else if (voteTieBreak === "revote" && !isRevote) {
+    results.tieBreak = "revote";
+    results.revoteCandidates = topCandidates;
+    results.message =
+      "The vote was tied. The town will vote again between the tied players.";
+  } else {
+    results.message = "The vote was tied. No one was eliminated.";
+  }
+
   return results;
 }
 
 /**
- * Check if the game has ended and determine winner
+ * Find a vote target that already holds the votes needed to lynch, which
+ * closes the vote at once when the hammer rule is on. A plurality vote
+ * has no fixed target to reach, so it never hammers.
+ * @param {Array} votes - Votes cast so far
+ * @param {Array} players - Current player list
+ * @param {string} voteThreshold - "plurality", "majority" or "supermajority"
+ * @returns {string|null} Target ID (or NO_LYNCH) that was hammered
+ */
+function findHammerTarget(votes, players, voteThreshold = "plurality") {
+  const hammerAt = getHammerVotes(voteThreshold, players);
+  if (!hammerAt) return null;
+  const playerMap = new Map(players.map((p) => [p.id, p]));
+  const counts = {};
+
+  for (const vote of votes) {
+    counts[vote.targetId] =
+      (counts[vote.targetId] || 0) +
+      getVoteWeight(playerMap.get(vote.playerId));
+    if (counts[vote.targetId] >= hammerAt) return vote.targetId;
+  }
+  return null;
+}
+
+/**
+ * Votes on one target that bring the hammer down
+ * @param {string} voteThreshold - "plurality", "majority" or "supermajority"
+ * @param {Array} players - Current player list
+ * @returns {number|null} Vote count, or null under plurality
+ */
+function getHammerVotes(voteThreshold, players) {
+  if (!["majority", "supermajority"].includes(voteThreshold)) return null;
+  return getRequiredVotes(
+    voteThreshold,
+    players.filter((p) => p.isAlive).length
+  );
+}
+
+/**
+ * Check whether a role belongs to the mafia - they share the mafia chat
+ * and win together
+ * @param {string} role - Role name
+ * @returns {boolean} True for mafia roles
+ */
+function isMafiaRole(role) {
+  return getRoleDefinition(role)?.alignment === "mafia";
+}
+
+/**
+ * Get the side a role plays for
+ * @param {string} role - Role name
+ * @returns {string} "mafia", "neutral" or "town"
+ */
+function getRoleAlignment(role) {
+  return getRoleDefinition(role)?.alignment || "town";
+}
+
+/**
+ * Get the side a role appears to play for when investigated. A custom
+ * role's apparentAlignment hook can decide per player.
+ * @param {string} role - Role name
+ * @param {Object} player - Player being investigated (optional)
+ * @returns {string} "mafia", "neutral" or "town"
+ */
+function getApparentAlignment(role, player = null) {
+  return (
+    callRoleHook(role, "apparentAlignment", player) ||
+    getRoleDefinition(role)?.apparentAlignment ||
+    getRoleAlignment(role)
+  );
+}
+
+/**
+ * Get how many more times a role's night ability can be used
+ * @param {string} role - Role name
+ * @param {number} used - Times the player has used it this game
+ * @returns {number|null} Uses left, or null if the ability is unlimited
+ */
+function getUsesLeft(role, used = 0) {
+  const limit = getRoleDefinition(role)?.abilityUses;
+  if (!limit) return null;
+  return Math.max(0, limit - used);
+}
+
+/**
+ * Players whose limited-use night ability went off, and is now spent.
+ * An action that was role-blocked never became a visit, so costs nothing.
+ * @param {Object} results - Results from processNightActions
+ * @param {Array} players - Current player list
+ * @returns {Array<string>} IDs of the players who spent a use
+ */
+function getSpentAbilityUsers(results, players) {
+  const playerMap = new Map(players.map((p) => [p.id, p]));
+  return results.visits
+    .map((visit) => visit.visitor)
+    .filter((id) => getUsesLeft(playerMap.get(id)?.role) !== null);
+}
+
+/**
+ * Get how many more times a role's day ability can be used today
+ * @param {string} role - Role name
+ * @param {number} usedToday - Times the player has used it today
+ * @returns {number} Uses left today
+ */
+function getDayUsesLeft(role, usedToday = 0) {
+  const limit = getRoleDefinition(role)?.dayActionUses ?? 1;
+  return Math.max(0, limit - usedToday);
+}
+
+/**
+ * Check whether a player's role wins by a given goal
+ * @param {Object} player - Player to check
+ * @param {string} goal - "team", "lynched", "last_standing", "survive"
+ *   or "custom"
+ * @returns {boolean} True if the role has that goal
+ */
+function hasGoal(player, goal) {
+  return getRoleDefinition(player?.role)?.goal === goal;
+}
+
+/**
+ * Build the result of a finished game. Survivors who are still alive
+ * share whatever victory ends it.
+ * @param {Array} players - Current player list
+ * @param {string} winner - Winning side or role
+ * @param {string} reason - Why the game ended
+ * @param {Array} winningPlayers - Players the victory belongs to
+ * @returns {Object} Win condition result
+ */
+function buildWinResult(players, winner, reason, winningPlayers) {
+  const survivors = players.filter((p) => p.isAlive && hasGoal(p, "survive"));
+  return {
+    gameOver: true,
+    winner,
+    reason,
+    winners: [...new Set([...winningPlayers, ...survivors].map((p) => p.id))],
+  };
+}
+
+/**
+ * Check if the game has ended and determine winner. Each role wins by
+ * its definition's goal: with its side, by being lynched, as the last
+ * one standing, or by surviving to share someone else's win.
  * @param {Array} players - Current player list
+ * @param {Object} context - What just happened
+ * @param {string} context.lynchedId - Player the town just lynched
  * @returns {Object} Win condition result
  */
-function checkWinCondition(players) {
+function checkWinCondition(players, context = {}) {
   const alivePlayers = players.filter((p) => p.isAlive);
-  const aliveKillers = alivePlayers.filter((p) => p.role === "killer");
-  const aliveTownspeople = alivePlayers.filter((p) => p.role !== "killer");
+  const aliveMafia = alivePlayers.filter((p) => isMafiaRole(p.role));
+  // Lone killers who must outlast everyone to win
+  const aliveLoneKillers = alivePlayers.filter((p) =>
+    hasGoal(p, "last_standing")
+  );
+  const aliveTownspeople = alivePlayers.filter(
+    (p) => getRoleAlignment(p.role) === "town"
+  );
+  // Everyone the mafia still has to match in numbers
+  const aliveOthers = alivePlayers.filter((p) => !isMafiaRole(p.role));
 
   console.log("🔍 Win condition debug:");
   console.log(
@@ -199,35 +746,95 @@ function checkWinCondition(players) {
     "Alive players:",
     alivePlayers.map((p) => ({ name: p.name, role: p.role }))
   );
-  console.log(
-    "Alive killers:",
-    aliveKillers.map((p) => ({ name: p.name, role: p.role }))
-  );
-  console.log(
-    "Alive townspeople:",
-    aliveTownspeople.map((p) => ({ name: p.name, role: p.role }))
-  );
 
   console.log(
-    `🏆 Win check: ${aliveKillers.length} killers, ${aliveTownspeople.length} townspeople`
+    `🏆 Win check: ${aliveMafia.length} mafia, ${aliveLoneKillers.length} lone killers, ${aliveTownspeople.length} townspeople`
   );
 
-  // Mafia wins if they equal or outnumber townspeople
-  if (aliveKillers.length >= aliveTownspeople.length) {
-    return {
-      gameOver: true,
-      winner: "mafia",
-      reason: "The killers have taken control of the town!",
-    };
+  // A Jester wins the moment the town lynches them, and the game ends
+  const lynched = players.find((p) => p.id === context.lynchedId);
+  if (hasGoal(lynched, "lynched")) {
+    return buildWinResult(
+      players,
+      lynched.role,
+      `${lynched.name} the ${
+        getRoleDefinition(lynched.role).name
+      } fooled the town into lynching them!`,
+      [lynched]
+    );
   }
 
-  // Town wins if all killers are eliminated
-  if (aliveKillers.length === 0) {
-    return {
-      gameOver: true,
-      winner: "town",
-      reason: "All killers have been eliminated!",
-    };
+  // A Serial Killer wins as the last one standing (Survivors aside)
+  const aliveContenders = alivePlayers.filter((p) => !hasGoal(p, "survive"));
+  if (
+    aliveContenders.length === 1 &&
+    hasGoal(aliveContenders[0], "last_standing")
+  ) {
+    const [winner] = aliveContenders;
+    return buildWinResult(
+      players,
+      winner.role,
+      `${winner.name} the ${
+        getRoleDefinition(winner.role).name
+      } is the last one standing!`,
+      aliveContenders
+    );
+  }
+
+  // Custom roles decide their own wins, dead or alive
+  const customWinner = players
+    .filter((p) => hasGoal(p, "custom"))
+    .map((p) => ({
+      player: p,
+      reason: callRoleHook(p.role, "checkWin", p, {
+        players,
+        lynchedId: context.lynchedId || null,
+      }),
+    }))
+    .find(({ reason }) => reason);
+  if (customWinner) {
+    const { player, reason } = customWinner;
+    return buildWinResult(
+      players,
+      player.role,
+      typeof reason === "string"
+        ? reason
+        : `${player.name} the ${getRoleDefinition(player.role).name} wins!`,
+      [player]
+    );
+  }
+
+  if (aliveMafia.length === 0 && aliveLoneKillers.length === 0) {
+    // Town wins if every killer is gone and someone from the town is left
+    if (aliveTownspeople.length > 0) {
+      return buildWinResult(
+        players,
+        "town",
+        "All killers have been eliminated!",
+        players.filter((p) => getRoleAlignment(p.role) === "town")
+      );
+    }
+
+    return buildWinResult(
+      players,
+      "none",
+      "Nobody from the town or the mafia is left standing.",
+      []
+    );
+  }
+
+  // Mafia wins if they equal or outnumber everyone else and no Serial
+  // Killer is left to challenge them
+  if (
+    aliveLoneKillers.length === 0 &&
+    aliveMafia.length >= aliveOthers.length
+  ) {
+    return buildWinResult(
+      players,
+      "mafia",
+      "The killers have taken control of the town!",
+      players.filter((p) => isMafiaRole(p.role))
+    );
   }
 
   // Game continues
@@ -242,12 +849,15 @@ function checkWinCondition(players) {
  * Check if all night actions are complete
  * @param {Array} players - Current player list
  * @param {Array} actions - Submitted night actions
+ * @param {Object} abilityUses - playerId -> limited-use abilities spent
  * @returns {boolean} True if all required actions are submitted
  */
-function areAllNightActionsComplete(players, actions) {
+function areAllNightActionsComplete(players, actions, abilityUses = {}) {
   const alivePlayers = players.filter((p) => p.isAlive);
-  const playersWithActions = alivePlayers.filter((p) =>
-    ["killer", "healer", "police"].includes(p.role)
+  const playersWithActions = alivePlayers.filter(
+    (p) =>
+      getRoleDefinition(p.role)?.nightAction &&
+      getUsesLeft(p.role, abilityUses[p.id]) !== 0
   );
 
   const submittedActions = new Set(actions.map((a) => a.playerId));
@@ -272,6 +882,47 @@ function areAllNightActionsComplete(players, actions) {
   return allComplete;
 }
 
+/**
+ * Resolve the town's guilty/innocent judgement of an accused player.
+ * Guilty verdicts must outnumber innocent ones to convict; players who
+ * abstain are not counted and a tie acquits. A revealed Mayor's verdict
+ * carries their vote weight.
+ * @param {Array} verdicts - Submitted verdicts ({playerId, verdict})
+ * @param {Object} accused - Player on trial
+ * @param {Array} players - Current player list
+ * @returns {Object} Judgement results
+ */
+function processJudgement(verdicts, accused, players) {
+  const jurorsFor = (verdict) =>
+    verdicts
+      .filter((v) => v.verdict === verdict)
+      .map((v) => players.find((p) => p.id === v.playerId))
+      .filter(Boolean);
+  const weigh = (jurors) =>
+    jurors.reduce((sum, juror) => sum + getVoteWeight(juror), 0);
+
+  const guiltyJurors = jurorsFor("guilty");
+  const innocentJurors = jurorsFor("innocent");
+  const guilty = guiltyJurors.map((juror) => juror.name);
+  const innocent = innocentJurors.map((juror) => juror.name);
+  const guiltyVotes = weigh(guiltyJurors);
+  const innocentVotes = weigh(innocentJurors);
+  const convicted = guiltyVotes > innocentVotes;
+
+  return {
+    accusedId: accused.id,
+    convicted,
+    eliminated: convicted ? accused : null,
+    guilty,
+    innocent,
+    guiltyVotes,
+    innocentVotes,
+    message: convicted
+      ? `${accused.name} was found guilty (${guiltyVotes}-${innocentVotes}) and eliminated.`
+      : `${accused.name} was found innocent (${innocentVotes}-${guiltyVotes}) and spared.`,
+  };
+}
+
 /**
  * Check if all votes are complete
  * @param {Array} alivePlayers - Players who can vote
@@ -284,10 +935,31 @@ function areAllVotesComplete(alivePlayers, votes) {
 }
 
 module.exports = {
+  NO_LYNCH,
+  isMafiaRole,
+  isSoloKiller,
+  getRoleAlignment,
+  getApparentAlignment,
+  getUsesLeft,
+  getSpentAbilityUsers,
+  getDayUsesLeft,
   assignRoles,
+  resolveMafiaTarget,
+  getMafiaPicks,
+  NIGHT_ACTIONS,
   processNightActions,
+  DAY_ACTIONS,
+  registerCustomNightAction,
+  registerCustomDayAction,
+  runDeathHook,
+  getVoteWeight,
+  tallyVotes,
+  getRequiredVotes,
   processVotes,
+  findHammerTarget,
+  getHammerVotes,
   checkWinCondition,
   areAllNightActionsComplete,
   areAllVotesComplete,
+  processJudgement,
 };
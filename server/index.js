@@ -21,9 +21,13 @@ const express = require("express");
 const http = require("http");
 const cors = require("cors");
 const { Server } = require("socket.io");
-const { setupSocketEvents } = require("./socketEvents");
-const gameState = require("./state");
+const { setupSocketEvents, restoreGames } = require("./socketEvents");
+const roomManager = require("./roomManager");
+const { getPlayersView } = require("./projection");
 const gameDiscovery = require("./utils/gameDiscovery");
+const persistence = require("./utils/persistence");
+const presetStore = require("./utils/presets");
+const { loadRolePlugins } = require("./utils/rolePlugins");
 const logger = require("./utils/logger");
 const {
   sendErrorResponse,
@@ -45,6 +49,9 @@ config.initialize();
 // Setup global error handlers
 setupGlobalErrorHandlers();
 
+// Load house-rule roles before any game (or restored game) uses them
+loadRolePlugins(config.get("game.customRolesDirectory"));
+
 // Configure CORS for cross-origin requests
 app.use(cors(config.get("server.cors")));
 
@@ -61,11 +68,15 @@ const io = new Server(server, {
 // Basic HTTP endpoint for health check
 app.get("/", (req, res) => {
   try {
+    const rooms = roomManager.getRooms();
     res.json({
       message: "LAN Mafia Game Server",
       status: "running",
-      players: gameState.getPlayerCount(),
-      gamePhase: gameState.getCurrentPhase(),
+      games: rooms.map((room) => room.getSummary()),
+      players: rooms.reduce(
+        (total, room) => total + room.state.getPlayerCount(),
+        0
+      ),
       version: "1.0.0",
     });
   } catch (error) {
@@ -93,25 +104,23 @@ app.get("/health", (req, res) => {
 // HTTP-based game discovery endpoint for mobile clients
 app.get("/discover-games", (req, res) => {
   try {
-    const games = [];
-
-    // If this server is hosting a game, include it
-    if (gameState.isGameActive() || gameState.getPlayerCount() > 0) {
-      const localIP = getLocalIPAddress()[0] || "localhost";
-      games.push({
-        gameCode:
-          gameState.getGameCode() ||
-          "GAME-" + Math.random().toString(36).substr(2, 4).toUpperCase(),
-        hostName: gameState.getHostName() || "Host",
-        playerCount: gameState.getPlayerCount(),
-        maxPlayers: gameState.getSettings().maxPlayers || 8,
+    const localIP = getLocalIPAddress()[0] || "localhost";
+
+    // Include every game this server is hosting
+    const games = roomManager
+      .getRooms()
+      .filter((room) => room.state.getPlayerCount() > 0)
+      .map((room) => ({
+        gameCode: room.code,
+        hostName: room.state.getHostName() || "Host",
+        playerCount: room.state.getPlayerCount(),
+        maxPlayers: room.settings.getSetting("totalPlayers") || 8,
         status:
-          gameState.getCurrentPhase() === "waiting" ? "waiting" : "in-progress",
+          room.state.getCurrentPhase() === "lobby" ? "waiting" : "in-progress",
         hostIP: localIP,
         port: 3000,
         timestamp: Date.now(),
-      });
-    }
+      }));
 
     res.json({
       success: true,
@@ -131,20 +140,46 @@ app.get("/discover-games", (req, res) => {
   }
 });
 
-// Get current game state endpoint
+// Get current game state endpoint (?gameCode=ABC123)
 app.get("/game-state", (req, res) => {
   try {
+    const room = roomManager.getRoom(req.query.gameCode);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Game not found on this server" },
+      });
+    }
+
     res.json({
-      players: gameState.getPlayers(),
-      phase: gameState.getCurrentPhase(),
-      settings: gameState.getSettings(),
-      isGameActive: gameState.isGameActive(),
+      gameCode: room.code,
+      players: getPlayersView(room), // Public view - no hidden roles
+      phase: room.state.getCurrentPhase(),
+      settings: room.settings.getCurrentSettings(),
+      isGameActive: room.state.isGameActive(),
     });
   } catch (error) {
     sendErrorResponse(res, error);
   }
 });
 
+// Download a setup preset as a shareable JSON file
+app.get("/presets/:name", (req, res) => {
+  try {
+    const file = presetStore.exportPreset(req.params.name);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "No preset with that name on this server" },
+      });
+    }
+
+    res.attachment(file.fileName).type("json").send(file.contents);
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
 // Development endpoints (only available in non-production)
 if (process.env.NODE_ENV !== "production") {
   // Test endpoint for running server tests
@@ -189,10 +224,12 @@ if (process.env.NODE_ENV !== "production") {
   // Reset game state endpoint
   app.post("/dev/reset", (req, res) => {
     try {
-      gameState.reset();
+      roomManager.closeAllRooms();
+      persistence.clear();
+      gameDiscovery.stopHosting();
       res.json({
         success: true,
-        message: "Game state reset successfully",
+        message: "All games closed successfully",
       });
     } catch (error) {
       sendErrorResponse(res, error);
@@ -220,29 +257,36 @@ function getLocalIPAddress() {
   return results;
 }
 
-// Start the server
+// Start the server once any games saved before a restart are restored
 const PORT = config.get("server.port");
 const HOST = config.get("server.host");
-server.listen(PORT, HOST, () => {
-  const localIPs = getLocalIPAddress();
+restoreGames(io)
+  .catch((error) => logger.error("Failed to restore saved games:", error))
+  .finally(() => {
+    server.listen(PORT, HOST, () => {
+      const localIPs = getLocalIPAddress();
 
-  logger.server("LAN Mafia Game Server Started");
-  logger.server(`Server running on port ${PORT}`);
-  logger.server("Available on:");
-  logger.server(`   - http://localhost:${PORT}`);
+      logger.server("LAN Mafia Game Server Started");
+      logger.server(`Server running on port ${PORT}`);
+      logger.server("Available on:");
+      logger.server(`   - http://localhost:${PORT}`);
 
-  localIPs.forEach((ip) => {
-    logger.server(`   - http://${ip}:${PORT}`);
-  });
+      localIPs.forEach((ip) => {
+        logger.server(`   - http://${ip}:${PORT}`);
+      });
 
-  logger.server("Players can connect using any of the above IP addresses");
-  logger.server("Use Ctrl+C to stop the server");
-});
+      logger.server("Players can connect using any of the above IP addresses");
+      logger.server("Use Ctrl+C to stop the server");
+    });
+  });
 
 // Graceful shutdown handling
 process.on("SIGINT", () => {
   logger.server("Shutting down LAN Mafia server...");
 
+  // Save running games so they can be restored on the next start
+  persistence.save(roomManager.getRooms());
+
   // Stop game discovery service to free UDP ports
   gameDiscovery.stopHosting();
 
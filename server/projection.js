@@ -0,0 +1,225 @@
+/**
+ * State Projection for LAN Mafia
+ *
+ * Builds each viewer's view of a game so hidden information (roles,
+ * night actions, investigation results) never leaves the server unless
+ * the rules make it public.
+ */
+
+const { isMafiaRole, NIGHT_ACTIONS } = require("./gameLogic");
+const { ROLE_DEFINITIONS, FILLER_ROLE, getRoleName } = require("./roles");
+
+/**
+ * Check whether a viewer may see a player's role
+ * @param {Object} target - Player whose role is in question
+ * @param {Object|null} viewer - Player receiving the view (null for public)
+ * @param {GameRoom} room - Room the players belong to
+ * @returns {boolean} True if the role is visible to the viewer
+ */
+function canSeeRole(target, viewer, room) {
+  if (!target.role) return false;
+
+  // Everyone knows their own role
+  if (viewer && viewer.id === target.id) return true;
+
+  // All roles are revealed once the game is over
+  if (room.state.getCurrentPhase() === "game_over") return true;
+
+  // Dead players' roles are public when the host enabled it
+  if (!target.isAlive && room.settings.getSetting("rules.revealRoleOnDeath")) {
+    return true;
+  }
+
+  // A role revealed by a day ability (the Mayor) is public
+  if (target.isRevealed) return true;
+
+  // The mafia know each other
+  if (viewer && isMafiaRole(viewer.role) && isMafiaRole(target.role)) {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Project a single player for a viewer
+ * @param {Object} target - Player to project
+ * @param {Object|null} viewer - Player receiving the view
+ * @param {GameRoom} room - Room the players belong to
+ * @returns {Object} Player copy with the role hidden when not visible
+ */
+function projectPlayer(target, viewer, room) {
+  // Session tokens are only ever handed to their owner on join, and a
+  // custom role's private state never leaves the server
+  const { sessionToken, roleState, ...publicFields } = target;
+  return {
+    ...publicFields,
+    role: canSeeRole(target, viewer, room) ? target.role : null,
+  };
+}
+
+/**
+ * Get the player list as seen by a viewer
+ * @param {GameRoom} room - Room to project
+ * @param {Object|null} viewer - Player receiving the view
+ * @returns {Array} Projected players
+ */
+function getPlayersView(room, viewer = null) {
+  return room.state
+    .getPlayers()
+    .map((player) => projectPlayer(player, viewer, room));
+}
+
+/**
+ * Get the complete game state as seen by a viewer
+ * @param {GameRoom} room - Room to project
+ * @param {Object|null} viewer - Player receiving the view
+ * @returns {Object} Projected game state
+ */
+function getGameStateView(room, viewer = null) {
+  return {
+    ...room.state.getGameState(),
+    players: getPlayersView(room, viewer),
+  };
+}
+
+/**
+ * Project a death record, keeping the role hidden unless the rules
+ * reveal roles on death or the game is over
+ * @param {Object} record - Death record from GameState.killPlayer
+ * @param {GameRoom} room - Room the death happened in
+ * @returns {Object} Public death record
+ */
+function getDeathRecordView(record, room) {
+  const revealed =
+    room.state.getCurrentPhase() === "game_over" ||
+    !!room.settings.getSetting("rules.revealRoleOnDeath");
+  return { ...record, role: revealed ? record.role : null };
+}
+
+/**
+ * Get the public graveyard of a room
+ * @param {GameRoom} room - Room to project
+ * @returns {Array} Public death records, oldest first
+ */
+function getGraveyardView(room) {
+  return room.state
+    .getGraveyard()
+    .map((record) => getDeathRecordView(record, room));
+}
+
+/**
+ * Get the public part of the night results. Who was healed, who was
+ * role-blocked and who visited whom stays private; investigators,
+ * trackers, lookouts and blocked players get their own result.
+ * @param {Object} results - Results from processNightActions
+ * @param {GameRoom} room - Room the night happened in
+ * @returns {Object} Public night results
+ */
+function getPublicNightResults(results, room) {
+  const {
+    heals,
+    investigations,
+    roleBlocked,
+    visits,
+    trackings,
+    lookouts,
+    roleMessages,
+    deathRecords = [],
+    ...publicResults
+  } = results;
+  return {
+    ...publicResults,
+    investigations: investigations.map((inv) => ({
+      publicMessage: inv.publicMessage,
+    })),
+    deathRecords: deathRecords.map((record) =>
+      getDeathRecordView(record, room)
+    ),
+  };
+}
+
+/**
+ * Get the public voting results, hiding the eliminated player's role
+ * unless the rules reveal it, and how each juror judged unless voting
+ * is public
+ * @param {Object} results - Results from processVotes
+ * @param {GameRoom} room - Room the vote happened in
+ * @returns {Object} Public voting results
+ */
+function getPublicRoundResults(results, room) {
+  const { guilty, innocent, ...publicResults } = results;
+  if (guilty && room.settings.getSetting("rules.publicVoting")) {
+    Object.assign(publicResults, { guilty, innocent });
+  }
+
+  const deathRecords = (results.deathRecords || []).map((record) =>
+    getDeathRecordView(record, room)
+  );
+  if (!results.eliminated) return { ...publicResults, deathRecords };
+
+  return {
+    ...publicResults,
+    eliminated: projectPlayer(results.eliminated, null, room),
+    deathRecords,
+  };
+}
+
+/**
+ * Get the role registry as clients see it: every definition plus what
+ * the night rules make of it. Which roles exist is public; who holds
+ * them is not, so this is the same for every viewer.
+ * @returns {Object} Role name -> role metadata
+ */
+function getRoleMetadataView() {
+  return Object.fromEntries(
+    Object.entries(ROLE_DEFINITIONS).map(([role, definition]) => {
+      const nightAction = NIGHT_ACTIONS[definition.nightAction];
+      return [
+        role,
+        {
+          ...definition,
+          id: role,
+          plural: getRoleName(role, 2),
+          isFiller: role === FILLER_ROLE,
+          // JSON has no Infinity - an unlimited count is sent as null
+          count: {
+            ...definition.count,
+            max: Number.isFinite(definition.count.max)
+              ? definition.count.max
+              : null,
+          },
+          canAct: !!nightAction,
+          actionPriority: nightAction ? nightAction.priority : null,
+          canTargetSelf: !!nightAction?.canTargetSelf,
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Get the public list of spectators
+ * @param {GameRoom} room - Room to project
+ * @returns {Array} Spectator names and queue status
+ */
+function getSpectatorsView(room) {
+  return room.state.getSpectators().map(({ id, name, queuedForNextGame }) => ({
+    id,
+    name,
+    queuedForNextGame,
+  }));
+}
+
+module.exports = {
+  canSeeRole,
+  projectPlayer,
+  getPlayersView,
+  getGameStateView,
+  getPublicNightResults,
+  getPublicRoundResults,
+  getDeathRecordView,
+  getGraveyardView,
+  getSpectatorsView,
+  getRoleMetadataView,
+};
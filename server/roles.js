@@ -0,0 +1,516 @@
+/**
+ * Role Registry for LAN Mafia
+ *
+ * Every role is defined once, here: the side it plays for, what it does
+ * at night and during the day, how many can be in a game, how police
+ * see it, how it wins and how clients display it. The rest of the
+ * server reads its rules from this registry, and clients receive it as
+ * `roleMetadata` when they connect - adding a role is one definition.
+ *
+ * Definition fields:
+ * - name / plural: display names ("Police" is its own plural)
+ * - countKey: key of the role's count in the game settings
+ * - alignment: "mafia", "town" or "neutral"
+ * - apparentAlignment: what police see instead of the real alignment
+ * - goal: "team" (win with the alignment), "lynched", "last_standing",
+ *   "survive" (share any win while alive) or "custom" (a plugin's
+ *   checkWin hook decides)
+ * - count: { min, max, default } number of the role in a game
+ * - nightAction: NIGHT_ACTIONS type the role performs, if any
+ * - killsAlone: kills never join the mafia's shared kill
+ * - abilityUses: nights the night action works per game (unlimited if unset)
+ * - diesOnTownKill: dies of guilt after killing a townsperson
+ * - dayAction / revealedVoteWeight: DAY_ACTIONS type, and the vote
+ *   weight once the role has revealed
+ * - dayActionUses: times a plugin's day action works each day (1 if unset)
+ * - emoji, color, backgroundColor, summary, description, abilities,
+ *   winCondition, night { title, instructions, button }, dayActionLabel:
+ *   client display
+ */
+
+const ROLE_DEFINITIONS = {
+  killer: {
+    name: "Killer",
+    countKey: "killers",
+    alignment: "mafia",
+    goal: "team",
+    count: { min: 1, max: 5, default: 2 },
+    nightAction: "kill",
+    emoji: "🔪",
+    color: "#ff0000",
+    backgroundColor: "#330000",
+    summary: "Eliminate other players during the night phase",
+    description:
+      "You are part of the Mafia. Eliminate townspeople during the night.",
+    abilities: [
+      "Choose someone to eliminate each night",
+      "Win when killers equal or outnumber town",
+    ],
+    winCondition: "Eliminate all townspeople and outnumber or equal them",
+    night: {
+      title: "Killer's Turn",
+      instructions: "Choose a player to eliminate tonight",
+      button: "Eliminate Target",
+    },
+  },
+
+  godfather: {
+    name: "Godfather",
+    countKey: "godfathers",
+    alignment: "mafia",
+    apparentAlignment: "town",
+    goal: "team",
+    count: { min: 0, max: 1, default: 0 },
+    nightAction: "kill",
+    emoji: "🎩",
+    color: "#b30000",
+    backgroundColor: "#2a0000",
+    summary: "Lead the mafia - police see you as innocent",
+    description:
+      "You lead the Mafia. Police investigations see you as innocent.",
+    abilities: [
+      "Choose someone to eliminate each night",
+      "Appear innocent when investigated",
+    ],
+    winCondition: "Eliminate all townspeople and outnumber or equal them",
+    night: {
+      title: "Godfather's Orders",
+      instructions: "Choose a player to eliminate tonight",
+      button: "Eliminate Target",
+    },
+  },
+
+  framer: {
+    name: "Framer",
+    countKey: "framers",
+    alignment: "mafia",
+    goal: "team",
+    count: { min: 0, max: 1, default: 0 },
+    nightAction: "frame",
+    emoji: "🖼️",
+    color: "#cc4444",
+    backgroundColor: "#2a0a0a",
+    summary: "Make a player look suspicious to police tonight",
+    description:
+      "You work for the Mafia, planting evidence on innocent players.",
+    abilities: [
+      "Frame one player each night",
+      "Police see your target as suspicious that night",
+    ],
+    winCondition: "Eliminate all townspeople and outnumber or equal them",
+    night: {
+      title: "Framer's Work",
+      instructions:
+        "Choose a player to frame - police will find them suspicious",
+      button: "Frame Target",
+    },
+  },
+
+  healer: {
+    name: "Healer",
+    countKey: "healers",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: 3, default: 1 },
+    nightAction: "heal",
+    emoji: "💊",
+    color: "#00ff00",
+    backgroundColor: "#003300",
+    summary: "Protect players from being eliminated",
+    description: "You can save someone from elimination each night.",
+    abilities: [
+      "Protect one player each night",
+      "Cannot heal the same person twice in a row",
+    ],
+    winCondition: "Eliminate all killers",
+    night: {
+      title: "Healer's Turn",
+      instructions: "Choose a player to protect from harm",
+      button: "Protect Target",
+    },
+  },
+
+  police: {
+    name: "Police",
+    plural: "Police",
+    countKey: "police",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: 2, default: 1 },
+    nightAction: "investigate",
+    emoji: "👮",
+    color: "#0000ff",
+    backgroundColor: "#000033",
+    summary: "Investigate players to learn their role",
+    description: "You can investigate players to learn their allegiance.",
+    abilities: [
+      "Investigate one player each night",
+      "Learn if they are suspicious or innocent",
+    ],
+    winCondition: "Eliminate all killers",
+    night: {
+      title: "Police Investigation",
+      instructions: "Choose a player to investigate their role",
+      button: "Investigate Target",
+    },
+  },
+
+  escort: {
+    name: "Escort",
+    countKey: "escorts",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: 2, default: 0 },
+    nightAction: "block",
+    emoji: "💃",
+    color: "#ff69b4",
+    backgroundColor: "#330a22",
+    summary: "Distract players so their night action fails",
+    description: "You can distract a player so they cannot act tonight.",
+    abilities: [
+      "Role-block one player each night",
+      "Their night action is cancelled",
+    ],
+    winCondition: "Eliminate all killers",
+    night: {
+      title: "Escort's Visit",
+      instructions:
+        "Choose a player to distract - their action won't happen tonight",
+      button: "Block Target",
+    },
+  },
+
+  tracker: {
+    name: "Tracker",
+    countKey: "trackers",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: 1, default: 0 },
+    nightAction: "track",
+    emoji: "👣",
+    color: "#8e6e53",
+    backgroundColor: "#2a2018",
+    summary: "Follow a player and learn whom they visit",
+    description: "You can follow a player to see where they go at night.",
+    abilities: ["Follow one player each night", "Learn whom they visited"],
+    winCondition: "Eliminate all killers",
+    night: {
+      title: "Tracker's Trail",
+      instructions: "Choose a player to follow - you'll learn whom they visit",
+      button: "Follow Target",
+    },
+  },
+
+  lookout: {
+    name: "Lookout",
+    countKey: "lookouts",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: 1, default: 0 },
+    nightAction: "watch",
+    emoji: "🔭",
+    color: "#5dade2",
+    backgroundColor: "#0f2533",
+    summary: "Watch a player's house and learn who visits them",
+    description: "You can watch a player's house to see who comes by.",
+    abilities: ["Watch one player each night", "Learn who visited them"],
+    winCondition: "Eliminate all killers",
+    night: {
+      title: "Lookout's Watch",
+      instructions: "Choose a player to watch - you'll learn who visits them",
+      button: "Watch Target",
+    },
+  },
+
+  bodyguard: {
+    name: "Bodyguard",
+    countKey: "bodyguards",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: 1, default: 0 },
+    nightAction: "guard",
+    emoji: "🛡️",
+    color: "#708090",
+    backgroundColor: "#1c2126",
+    summary: "Guard a player with your life and kill their attacker",
+    description: "You can guard a player and give your life for theirs.",
+    abilities: [
+      "Guard one player each night",
+      "Die in their place and kill their attacker",
+    ],
+    winCondition: "Eliminate all killers",
+    night: {
+      title: "Bodyguard's Post",
+      instructions:
+        "Choose a player to guard - you'll die in their place if attacked",
+      button: "Guard Target",
+    },
+  },
+
+  vigilante: {
+    name: "Vigilante",
+    countKey: "vigilantes",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: 1, default: 0 },
+    nightAction: "kill",
+    killsAlone: true,
+    abilityUses: 2,
+    diesOnTownKill: true,
+    emoji: "🔫",
+    color: "#d35400",
+    backgroundColor: "#33170a",
+    summary: "Take justice into your own hands with a limited number of shots",
+    description: "You can shoot a player - but only a couple of times.",
+    abilities: [
+      "Two shots per game",
+      "Shooting a townsperson kills you with guilt",
+    ],
+    winCondition: "Eliminate all killers",
+    night: {
+      title: "Vigilante's Justice",
+      instructions:
+        "Choose a player to shoot - your shots are limited, and killing a townsperson will cost you your life",
+      button: "Shoot Target",
+    },
+  },
+
+  mayor: {
+    name: "Mayor",
+    countKey: "mayors",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: 1, default: 0 },
+    dayAction: "reveal",
+    revealedVoteWeight: 3,
+    emoji: "🎖️",
+    color: "#b8860b",
+    backgroundColor: "#2e2206",
+    summary: "Reveal yourself to the town and lead the vote",
+    description: "You can reveal yourself to lead the town's vote.",
+    abilities: [
+      "Reveal yourself once during the day",
+      "Your vote then counts three times",
+    ],
+    winCondition: "Eliminate all killers",
+    dayActionLabel: "Reveal yourself as Mayor",
+  },
+
+  jester: {
+    name: "Jester",
+    countKey: "jesters",
+    alignment: "neutral",
+    goal: "lynched",
+    count: { min: 0, max: 1, default: 0 },
+    emoji: "🃏",
+    color: "#9b59b6",
+    backgroundColor: "#220a2a",
+    summary: "Trick the town into lynching you",
+    description: "You win if the town lynches you. Act suspicious!",
+    abilities: ["Win the moment you are lynched", "Your win ends the game"],
+    winCondition: "Get yourself lynched",
+  },
+
+  serial_killer: {
+    name: "Serial Killer",
+    countKey: "serialKillers",
+    alignment: "neutral",
+    apparentAlignment: "mafia",
+    goal: "last_standing",
+    count: { min: 0, max: 1, default: 0 },
+    nightAction: "kill",
+    killsAlone: true,
+    emoji: "🗡️",
+    color: "#8b0000",
+    backgroundColor: "#1a0000",
+    summary: "Kill alone each night, apart from the mafia",
+    description: "You kill alone, for yourself. Outlast everyone.",
+    abilities: ["Kill one player each night", "Win as the last one standing"],
+    winCondition: "Be the last one standing",
+    night: {
+      title: "Serial Killer's Hunt",
+      instructions: "Choose your next victim - you strike alone",
+      button: "Eliminate Target",
+    },
+  },
+
+  survivor: {
+    name: "Survivor",
+    countKey: "survivors",
+    alignment: "neutral",
+    goal: "survive",
+    count: { min: 0, max: 2, default: 0 },
+    emoji: "🏕️",
+    color: "#c2b280",
+    backgroundColor: "#2a2618",
+    summary: "Side with whoever keeps you alive",
+    description: "You don't care who wins - just stay alive.",
+    abilities: [
+      "No night action",
+      "Share any victory if you are alive at the end",
+    ],
+    winCondition: "Be alive when the game ends",
+  },
+
+  // Fills every seat the other roles leave. A 3-player test game may
+  // have none.
+  townsperson: {
+    name: "Townsperson",
+    plural: "Townspeople",
+    countKey: "townspeople",
+    alignment: "town",
+    goal: "team",
+    count: { min: 0, max: Infinity, default: 4 },
+    emoji: "👤",
+    color: "#ffaa00",
+    backgroundColor: "#332200",
+    summary: "Help identify and vote out the killers",
+    description: "You are an innocent citizen trying to identify the killers.",
+    abilities: ["Vote during the day phase", "Use discussion to find killers"],
+    winCondition: "Eliminate all killers",
+  },
+};
+
+// The role that fills the seats left over once special roles are dealt
+const FILLER_ROLE = "townsperson";
+
+// Hooks custom roles (utils/rolePlugins.js) may provide
+const ROLE_HOOK_NAMES = [
+  "onNight",
+  "onDayAction",
+  "onDeath",
+  "checkWin",
+  "apparentAlignment",
+];
+
+// Role name -> hooks, for roles registered by plugins
+const ROLE_HOOKS = {};
+
+/**
+ * Add a role to the registry
+ * @param {string} role - Role name
+ * @param {Object} definition - Role definition (see the fields above)
+ * @param {Object} hooks - Optional hook functions, by ROLE_HOOK_NAMES
+ */
+function registerRole(role, definition, hooks = {}) {
+  ROLE_DEFINITIONS[role] = definition;
+  ROLE_HOOKS[role] = hooks;
+}
+
+/**
+ * Remove a role added with registerRole
+ * @param {string} role - Role name
+ */
+function unregisterRole(role) {
+  delete ROLE_DEFINITIONS[role];
+  delete ROLE_HOOKS[role];
+}
+
+/**
+ * Check whether a role has a hook
+ * @param {string} role - Role name
+ * @param {string} hook - Hook name
+ * @returns {boolean} True if the role provides the hook
+ */
+function hasRoleHook(role, hook) {
+  return typeof ROLE_HOOKS[role]?.[hook] === "function";
+}
+
+/**
+ * Call one of a role's hooks. A hook that throws is logged and treated
+ * as if it returned nothing, so a broken plugin can't stop a game.
+ * @param {string} role - Role name
+ * @param {string} hook - Hook name
+ * @param {...*} args - Arguments for the hook
+ * @returns {*} The hook's return value, or undefined
+ */
+function callRoleHook(role, hook, ...args) {
+  if (!hasRoleHook(role, hook)) return undefined;
+  try {
+    return ROLE_HOOKS[role][hook](...args);
+  } catch (error) {
+    console.error(`❌ ${hook} hook of role ${role} failed:`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Get a role's definition
+ * @param {string} role - Role name
+ * @returns {Object|undefined} Role definition
+ */
+function getRoleDefinition(role) {
+  return ROLE_DEFINITIONS[role];
+}
+
+/**
+ * Get a role's display name, pluralised for counts other than one
+ * @param {string} role - Role name
+ * @param {number} count - How many of the role are meant
+ * @returns {string} e.g. "Killer", "Killers", "Police"
+ */
+function getRoleName(role, count = 1) {
+  const { name, plural } = ROLE_DEFINITIONS[role];
+  return count === 1 ? name : plural || `${name}s`;
+}
+
+/**
+ * List the roles whose definitions match a test, in registry order
+ * @param {Function} test - Called with (definition, role)
+ * @returns {Array<string>} Matching role names
+ */
+function getRolesWhere(test) {
+  return Object.keys(ROLE_DEFINITIONS).filter((role) =>
+    test(ROLE_DEFINITIONS[role], role)
+  );
+}
+
+/**
+ * List the settings count keys of the roles that match a test
+ * @param {Function} test - Called with (definition, role)
+ * @returns {Array<string>} Count keys, e.g. ["killers", "godfathers"]
+ */
+function getCountKeysWhere(test) {
+  return getRolesWhere(test).map((role) => ROLE_DEFINITIONS[role].countKey);
+}
+
+/**
+ * Read how many of a role the settings ask for. Accepts both the flat
+ * (legacy) and the nested `roles` settings format.
+ * @param {Object} settings - Game settings
+ * @param {string} role - Role name
+ * @returns {number} Role count, or the role's default if unset
+ */
+function getRoleCount(settings, role) {
+  const { countKey, count } = ROLE_DEFINITIONS[role];
+  return settings[countKey] ?? settings.roles?.[countKey] ?? count.default;
+}
+
+/**
+ * Count limits for every role the host picks a number of
+ * @returns {Object} countKey -> { min, max }
+ */
+function getRoleLimits() {
+  return Object.fromEntries(
+    getRolesWhere((definition, role) => role !== FILLER_ROLE).map((role) => {
+      const { countKey, count } = ROLE_DEFINITIONS[role];
+      return [countKey, { min: count.min, max: count.max }];
+    })
+  );
+}
+
+module.exports = {
+  ROLE_DEFINITIONS,
+  FILLER_ROLE,
+  ROLE_HOOK_NAMES,
+  registerRole,
+  unregisterRole,
+  hasRoleHook,
+  callRoleHook,
+  getRoleDefinition,
+  getRoleName,
+  getRolesWhere,
+  getCountKeysWhere,
+  getRoleCount,
+  getRoleLimits,
+};
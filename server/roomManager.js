@@ -0,0 +1,298 @@
+/**
+ * Room Manager for LAN Mafia
+ *
+ * Lets one server process host several independent games at once.
+ * Each room is keyed by its game code and owns its own game state,
+ * settings, phase timer and Socket.IO room.
+ */
+
+const { GameState } = require("./state");
+const { GameSettings } = require("./settings");
+const config = require("./config");
+const { createGameStateError } = require("./utils/errorHandler");
+
+/**
+ * A single game table
+ */
+class GameRoom {
+  constructor(code) {
+    this.code = code;
+    this.channel = `game:${code}`; // Socket.IO room name
+    this.mafiaChannel = `${this.channel}:mafia`; // Living killers, at night only
+    this.ghostChannel = `${this.channel}:ghosts`; // Eliminated players
+    this.state = new GameState();
+    this.settings = new GameSettings();
+    this.phaseTimer = null;
+    this.timeLeft = null; // Seconds left on the phase timer
+    this.sessionTimers = new Map(); // playerId -> reconnect grace timeout
+    this.hostMigrationTimer = null; // Pending hand-over from a dropped host
+    this.nightPhaseProcessing = false; // Prevent double processing
+    this.pausedTimer = null; // Held while a restored room waits for players
+    this.chatTimestamps = new Map(); // playerId -> recent chat send times
+    this.createdAt = new Date();
+
+    this.state.setGameCode(code);
+  }
+
+  /**
+   * Safely clear the running phase timer
+   */
+  clearTimer() {
+    if (this.phaseTimer) {
+      console.log(`🧹 Clearing game timer for room ${this.code}`);
+      clearInterval(this.phaseTimer);
+      this.phaseTimer = null;
+    }
+    this.timeLeft = null;
+  }
+
+  /**
+   * Start the reconnect grace window for a disconnected player
+   * @param {string} playerId - Disconnected player
+   * @param {number} duration - Grace window in milliseconds
+   * @param {Function} onExpire - Called if the player does not come back
+   */
+  startSessionTimer(playerId, duration, onExpire) {
+    this.clearSessionTimer(playerId);
+    this.sessionTimers.set(
+      playerId,
+      setTimeout(() => {
+        this.sessionTimers.delete(playerId);
+        onExpire();
+      }, duration)
+    );
+  }
+
+  clearSessionTimer(playerId) {
+    const timer = this.sessionTimers.get(playerId);
+    if (timer) {
+      clearTimeout(timer);
+      this.sessionTimers.delete(playerId);
+    }
+  }
+
+  /**
+   * Wait for a dropped host to return before handing over host duties
+   * @param {number} duration - Grace period in milliseconds
+   * @param {Function} onExpire - Called if the host does not come back
+   */
+  startHostMigrationTimer(duration, onExpire) {
+    this.clearHostMigrationTimer();
+    this.hostMigrationTimer = setTimeout(() => {
+      this.hostMigrationTimer = null;
+      onExpire();
+    }, duration);
+  }
+
+  clearHostMigrationTimer() {
+    if (this.hostMigrationTimer) {
+      clearTimeout(this.hostMigrationTimer);
+      this.hostMigrationTimer = null;
+    }
+  }
+
+  /**
+   * Record a chat message from a player unless they are over the
+   * chat rate limit
+   * @param {string} playerId - Sending player
+   * @returns {boolean} True if the message may be sent
+   */
+  allowChatMessage(playerId) {
+    const { windowMs, max } = config.get("security.chatRateLimit");
+    const now = Date.now();
+    const recent = (this.chatTimestamps.get(playerId) || []).filter(
+      (sentAt) => now - sentAt < windowMs
+    );
+
+    if (recent.length >= max) {
+      this.chatTimestamps.set(playerId, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.chatTimestamps.set(playerId, recent);
+    return true;
+  }
+
+  /**
+   * Emit an event to every socket in this room
+   * @param {Server} io - Socket.io server instance
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   */
+  emit(io, event, data) {
+    io.to(this.channel).emit(event, data);
+  }
+
+  /**
+   * Plain-data copy of the room for crash-safe snapshots
+   */
+  toSnapshot() {
+    return {
+      code: this.code,
+      createdAt: this.createdAt,
+      timeLeft: this.timeLeft,
+      state: this.state.toSnapshot(),
+      settings: this.settings.getCurrentSettings(),
+    };
+  }
+
+  /**
+   * Get a short summary for discovery and health endpoints
+   */
+  getSummary() {
+    return {
+      gameCode: this.code,
+      hostName: this.state.getHostName(),
+      playerCount: this.state.getPlayerCount(),
+      phase: this.state.getCurrentPhase(),
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+class RoomManager {
+  constructor() {
+    this.rooms = new Map();
+    this._socketRooms = new Map(); // socketId -> game code
+  }
+
+  /**
+   * Generate a game code that is not used by any open room
+   */
+  generateCode() {
+    let code;
+    do {
+      code = Math.random().toString(36).substring(2, 8).toUpperCase();
+    } while (code.length !== 6 || this.rooms.has(code));
+    return code;
+  }
+
+  /**
+   * Create a new room with a fresh game code
+   * @returns {GameRoom} The created room
+   */
+  createRoom() {
+    const maxGames = config.get("performance.maxConcurrentGames") || 10;
+    if (this.rooms.size >= maxGames) {
+      throw createGameStateError(
+        `Server is already hosting the maximum of ${maxGames} games`
+      );
+    }
+
+    const room = new GameRoom(this.generateCode());
+    this.rooms.set(room.code, room);
+    console.log(`🏠 Room ${room.code} created (${this.rooms.size} open)`);
+    return room;
+  }
+
+  /**
+   * Recreate a room from a snapshot taken before a restart
+   * @param {Object} snapshot - Output of GameRoom.toSnapshot()
+   * @returns {GameRoom} The restored room
+   */
+  restoreRoom(snapshot) {
+    const room = new GameRoom(snapshot.code);
+    room.createdAt = new Date(snapshot.createdAt);
+    room.state.restoreSnapshot(snapshot.state);
+    room.settings.updateSettings(snapshot.settings);
+    room.pausedTimer = { timeLeft: snapshot.timeLeft };
+
+    this.rooms.set(room.code, room);
+    console.log(`♻️ Room ${room.code} restored (${this.rooms.size} open)`);
+    return room;
+  }
+
+  /**
+   * Get a room by game code
+   * @param {string} code - Game code
+   * @returns {GameRoom|null}
+   */
+  getRoom(code) {
+    if (!code || typeof code !== "string") return null;
+    return this.rooms.get(code.trim().toUpperCase()) || null;
+  }
+
+  /**
+   * Get the room a socket is currently bound to
+   * @param {string} socketId - Socket ID
+   * @returns {GameRoom|null}
+   */
+  getRoomBySocketId(socketId) {
+    const code = this._socketRooms.get(socketId);
+    return code ? this.getRoom(code) : null;
+  }
+
+  /**
+   * Find the room and player a session token belongs to
+   * @param {string} sessionToken - Token issued on join
+   * @returns {{room: GameRoom, player: Object}|null}
+   */
+  findSession(sessionToken) {
+    if (!sessionToken || typeof sessionToken !== "string") return null;
+
+    for (const room of this.rooms.values()) {
+      const player = room.state.getPlayerBySessionToken(sessionToken);
+      if (player) return { room, player };
+    }
+    return null;
+  }
+
+  /**
+   * Get every open room
+   */
+  getRooms() {
+    return [...this.rooms.values()];
+  }
+
+  getRoomCount() {
+    return this.rooms.size;
+  }
+
+  /**
+   * Bind a socket to a room so later events are routed there
+   */
+  bindSocket(socketId, code) {
+    this._socketRooms.set(socketId, code);
+  }
+
+  unbindSocket(socketId) {
+    this._socketRooms.delete(socketId);
+  }
+
+  /**
+   * Close a room, stopping its timer and releasing its sockets
+   * @param {string} code - Game code
+   * @returns {GameRoom|null} The closed room
+   */
+  closeRoom(code) {
+    const room = this.getRoom(code);
+    if (!room) return null;
+
+    room.clearTimer();
+    room.clearHostMigrationTimer();
+    [...room.sessionTimers.keys()].forEach((playerId) =>
+      room.clearSessionTimer(playerId)
+    );
+    for (const [socketId, roomCode] of this._socketRooms) {
+      if (roomCode === room.code) {
+        this._socketRooms.delete(socketId);
+      }
+    }
+    this.rooms.delete(room.code);
+
+    console.log(`🏚️ Room ${room.code} closed (${this.rooms.size} open)`);
+    return room;
+  }
+
+  /**
+   * Close every open room
+   */
+  closeAllRooms() {
+    this.getRooms().forEach((room) => this.closeRoom(room.code));
+  }
+}
+
+// Export singleton instance
+const roomManager = new RoomManager();
+module.exports = roomManager;
@@ -11,6 +11,85 @@
  */
 
 const config = require("./config");
+const {
+  ROLE_DEFINITIONS,
+  FILLER_ROLE,
+  getCountKeysWhere,
+  getRoleName,
+} = require("./roles");
+
+// Accepted values for the day vote rules
+const VOTE_THRESHOLDS = ["plurality", "majority", "supermajority"];
+const VOTE_TIE_BREAKS = ["none", "revote", "random"];
+
+// Role counts on the mafia's side, and those on neither side
+// (read on use, so roles added by plugins at startup count too)
+const getMafiaRoleCounts = () =>
+  getCountKeysWhere((definition) => definition.alignment === "mafia");
+const getNeutralRoleCounts = () =>
+  getCountKeysWhere((definition) => definition.alignment === "neutral");
+const FILLER_COUNT = ROLE_DEFINITIONS[FILLER_ROLE].countKey;
+
+/**
+ * Add up the counts of the listed roles
+ * @param {Object} roles - Role counts
+ * @param {Array<string>} names - Role count keys to add
+ * @returns {number} Combined count
+ */
+function sumRoles(roles, names) {
+  return names.reduce((sum, name) => sum + (roles[name] || 0), 0);
+}
+
+/**
+ * Count every role except plain townspeople
+ * @param {Object} roles - Role counts
+ * @returns {number} Special role count
+ */
+function countSpecialRoles(roles) {
+  return Object.entries(roles)
+    .filter(([role]) => role !== FILLER_COUNT)
+    .reduce((sum, [, count]) => sum + (count || 0), 0);
+}
+
+/**
+ * Count the roles on the town's side
+ * @param {Object} roles - Role counts
+ * @returns {number} Town role count
+ */
+function countTownRoles(roles) {
+  return Object.entries(roles)
+    .filter(
+      ([role]) =>
+        !getMafiaRoleCounts().includes(role) &&
+        !getNeutralRoleCounts().includes(role)
+    )
+    .reduce((sum, [, count]) => sum + (count || 0), 0);
+}
+
+/**
+ * Describe the dealt roles by alignment, e.g.
+ * "Mafia: 2 Killers | Town: 1 Healer, 5 Townspeople | Neutral: 1 Jester"
+ * @param {Object} roles - Role counts
+ * @returns {string} Role distribution
+ */
+function describeRoleDistribution(roles) {
+  return ["mafia", "town", "neutral"]
+    .map((alignment) => {
+      const dealt = Object.entries(ROLE_DEFINITIONS)
+        .filter(
+          ([, definition]) =>
+            definition.alignment === alignment && roles[definition.countKey]
+        )
+        .map(([role, { countKey }]) => {
+          const count = roles[countKey];
+          return `${count} ${getRoleName(role, count)}`;
+        });
+      const label = alignment.charAt(0).toUpperCase() + alignment.slice(1);
+      return dealt.length ? `${label}: ${dealt.join(", ")}` : null;
+    })
+    .filter(Boolean)
+    .join(" | ");
+}
 
 class GameSettings {
   constructor() {
@@ -35,35 +114,53 @@ class GameSettings {
             discussionTimer: 120,
             votingTimer: 60,
             roleRevealTimer: 10,
+            trialTimer: 30,
+            judgementTimer: 20,
+            finalWordsTimer: 10,
           },
           rules: config.get("game.defaultRules") || {
             allowSelfHeal: false,
+            allowConsecutiveHeals: false,
             revealRoleOnDeath: true,
             allowSpectatorChat: false,
             randomizeRoleOrder: true,
+            mafiaKillMode: "shared",
+            voteThreshold: "plurality",
+            voteTieBreak: "none",
+            publicVoting: false,
+            hammer: false,
           },
         }
       : {};
 
     this._defaultSettings = {
       totalPlayers: configDefaults.totalPlayers || 8,
-      roles: {
-        killers: 2,
-        healers: 1,
-        police: 1,
-        townspeople: 4,
-      },
+      roles: Object.fromEntries(
+        Object.values(ROLE_DEFINITIONS).map(({ countKey, count }) => [
+          countKey,
+          count.default,
+        ])
+      ),
       timers: configDefaults.timers || {
         nightTimer: 30,
         discussionTimer: 120,
         votingTimer: 60,
         roleRevealTimer: 10,
+        trialTimer: 30,
+        judgementTimer: 20,
+        finalWordsTimer: 10,
       },
       rules: configDefaults.rules || {
         allowSelfHeal: false,
+        allowConsecutiveHeals: false,
         revealRoleOnDeath: true,
         allowSpectatorChat: false,
         randomizeRoleOrder: true,
+        mafiaKillMode: "shared",
+        voteThreshold: "plurality",
+        voteTieBreak: "none",
+        publicVoting: false,
+        hammer: false,
       },
     };
 
@@ -103,13 +200,20 @@ class GameSettings {
     if (settings.roles) {
       const roles = settings.roles;
 
-      // Ensure minimum viable game
-      validated.roles = {
-        killers: Math.max(1, Math.min(5, roles.killers || 1)),
-        healers: Math.max(0, Math.min(3, roles.healers || 0)),
-        police: Math.max(0, Math.min(2, roles.police || 0)),
-        townspeople: Math.max(1, roles.townspeople || 1),
-      };
+      // Ensure minimum viable game - every count within its role's limits
+      validated.roles = Object.fromEntries(
+        Object.values(ROLE_DEFINITIONS).map(({ countKey, count }) => [
+          countKey,
+          Math.max(
+            count.min,
+            Math.min(count.max, roles[countKey] || count.min)
+          ),
+        ])
+      );
+      validated.roles[FILLER_COUNT] = Math.max(
+        1,
+        validated.roles[FILLER_COUNT]
+      );
 
       // Ensure role counts match total players
       const totalRoles = Object.values(validated.roles).reduce(
@@ -119,25 +223,20 @@ class GameSettings {
       if (totalRoles !== validated.totalPlayers) {
         // Adjust townspeople to match total
         validated.roles.townspeople =
-          validated.totalPlayers -
-          (validated.roles.killers +
-            validated.roles.healers +
-            validated.roles.police);
+          validated.totalPlayers - countSpecialRoles(validated.roles);
         validated.roles.townspeople = Math.max(1, validated.roles.townspeople);
       }
 
-      // Ensure killers don't outnumber townspeople initially
-      const townTotal =
-        validated.roles.healers +
-        validated.roles.police +
-        validated.roles.townspeople;
-      if (validated.roles.killers >= townTotal) {
-        validated.roles.killers = Math.max(1, townTotal - 1);
+      // Ensure the mafia don't outnumber townspeople initially
+      const townTotal = countTownRoles(validated.roles);
+      const mafiaTotal = sumRoles(validated.roles, getMafiaRoleCounts());
+      if (mafiaTotal >= townTotal) {
+        validated.roles.killers = Math.max(
+          1,
+          townTotal - 1 - (mafiaTotal - validated.roles.killers)
+        );
         validated.roles.townspeople =
-          validated.totalPlayers -
-          (validated.roles.killers +
-            validated.roles.healers +
-            validated.roles.police);
+          validated.totalPlayers - countSpecialRoles(validated.roles);
       }
     }
 
@@ -160,16 +259,43 @@ class GameSettings {
           5,
           Math.min(60, settings.timers.roleRevealTimer || 10)
         ),
+        trialTimer: Math.max(
+          10,
+          Math.min(120, settings.timers.trialTimer || 30)
+        ),
+        judgementTimer: Math.max(
+          10,
+          Math.min(120, settings.timers.judgementTimer || 20)
+        ),
+        finalWordsTimer: Math.max(
+          5,
+          Math.min(60, settings.timers.finalWordsTimer || 10)
+        ),
       };
     }
 
-    // Validate rules (boolean values)
+    // Validate rules - rules left out keep their current value
     if (settings.rules) {
+      const rules = {
+        ...this.getDefaultSettings().rules,
+        ...this.currentSettings?.rules,
+        ...settings.rules,
+      };
       validated.rules = {
-        allowSelfHeal: Boolean(settings.rules.allowSelfHeal),
-        revealRoleOnDeath: Boolean(settings.rules.revealRoleOnDeath),
-        allowSpectatorChat: Boolean(settings.rules.allowSpectatorChat),
-        randomizeRoleOrder: Boolean(settings.rules.randomizeRoleOrder),
+        allowSelfHeal: Boolean(rules.allowSelfHeal),
+        allowConsecutiveHeals: Boolean(rules.allowConsecutiveHeals),
+        revealRoleOnDeath: Boolean(rules.revealRoleOnDeath),
+        allowSpectatorChat: Boolean(rules.allowSpectatorChat),
+        randomizeRoleOrder: Boolean(rules.randomizeRoleOrder),
+        mafiaKillMode: rules.mafiaKillMode === "each" ? "each" : "shared",
+        voteThreshold: VOTE_THRESHOLDS.includes(rules.voteThreshold)
+          ? rules.voteThreshold
+          : "plurality",
+        voteTieBreak: VOTE_TIE_BREAKS.includes(rules.voteTieBreak)
+          ? rules.voteTieBreak
+          : "none",
+        publicVoting: Boolean(rules.publicVoting),
+        hammer: Boolean(rules.hammer),
       };
     }
 
@@ -235,12 +361,9 @@ class GameSettings {
       return { valid: false, reason: "Must have at least one killer" };
     }
 
-    // Check killer balance
-    const townTotal =
-      settings.roles.healers +
-      settings.roles.police +
-      settings.roles.townspeople;
-    if (settings.roles.killers >= townTotal) {
+    // Check mafia balance
+    const townTotal = countTownRoles(settings.roles);
+    if (sumRoles(settings.roles, getMafiaRoleCounts()) >= townTotal) {
       return { valid: false, reason: "Too many killers for balanced gameplay" };
     }
 
@@ -265,7 +388,7 @@ class GameSettings {
 
     return {
       playerCount: settings.totalPlayers,
-      roleDistribution: `${settings.roles.killers}K, ${settings.roles.healers}H, ${settings.roles.police}P, ${settings.roles.townspeople}T`,
+      roleDistribution: describeRoleDistribution(settings.roles),
       timers: `Night: ${settings.timers.nightTimer}s, Discussion: ${settings.timers.discussionTimer}s, Vote: ${settings.timers.votingTimer}s`,
       specialRules:
         Object.entries(settings.rules)
@@ -276,6 +399,5 @@ class GameSettings {
   }
 }
 
-// Export singleton instance
-const gameSettings = new GameSettings();
-module.exports = gameSettings;
+// Export the class - each game room owns its own instance
+module.exports = { GameSettings };
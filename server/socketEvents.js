@@ -18,54 +18,209 @@
  */
 
 const gameLogic = require("./gameLogic");
-const gameState = require("./state");
-const settings = require("./settings");
+const roomManager = require("./roomManager");
+const projection = require("./projection");
+const { getRoleDefinition } = require("./roles");
+const config = require("./config");
 const logger = require("./utils/logger");
 const gameDiscovery = require("./utils/gameDiscovery");
-
-// Global timer tracking
-let currentPhaseTimer = null;
-
-// Helper function to safely clear timers
-const clearGameTimer = () => {
-  if (currentPhaseTimer) {
-    console.log("🧹 Clearing game timer");
-    clearInterval(currentPhaseTimer);
-    currentPhaseTimer = null;
-  }
-};
+const persistence = require("./utils/persistence");
+const presetStore = require("./utils/presets");
 
 // Helper functions for common operations
 const helpers = {
-  // Emit to all players with error handling
-  emitToAll: (io, event, data) => {
+  // Emit to all players in a room with error handling
+  emitToRoom: (io, room, event, data) => {
     try {
-      io.emit(event, data);
+      room.emit(io, event, data);
     } catch (error) {
-      logger.error(`Failed to emit ${event}:`, error);
+      logger.error(`Failed to emit ${event} to room ${room.code}:`, error);
     }
   },
 
-  // Get current players safely
-  getCurrentPlayers: () => {
-    try {
-      return gameState.getPlayers();
-    } catch (error) {
-      logger.error("Error getting players:", error);
-      return [];
+  // Validate player exists and is host
+  validateHost: (socket, room) => {
+    const player = room.state.getPlayerBySocketId(socket.id);
+    return player && room.state.isHost(socket.id);
+  },
+
+  // Emit a separately built view to each socket in the room, so every
+  // recipient only gets what they are allowed to see
+  emitToEachViewer: (io, room, event, buildView) => {
+    const socketIds = io.sockets.adapter.rooms.get(room.channel) || [];
+    socketIds.forEach((socketId) => {
+      try {
+        const viewer = room.state.getPlayerBySocketId(socketId);
+        io.to(socketId).emit(event, buildView(viewer));
+      } catch (error) {
+        logger.error(`Failed to emit ${event} to ${socketId}:`, error);
+      }
+    });
+  },
+
+  // Emit player list to all clients in the room, redacted per viewer
+  broadcastPlayerUpdate: (io, room) => {
+    helpers.emitToEachViewer(io, room, "playersUpdated", (viewer) =>
+      projection.getPlayersView(room, viewer)
+    );
+  },
+
+  // Emit the spectator list to everyone in the room
+  broadcastSpectatorUpdate: (io, room) => {
+    helpers.emitToRoom(
+      io,
+      room,
+      "spectatorsUpdated",
+      projection.getSpectatorsView(room)
+    );
+  },
+
+  // Snapshot every open room so games survive a server restart
+  persistGames: () => {
+    persistence.save(roomManager.getRooms());
+  },
+
+  // Get the room this socket plays in, or fail the event
+  getRoomForSocket: (socket) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) {
+      throw createGameStateError("You are not in a game");
     }
+    return room;
   },
 
-  // Validate player exists and is host
-  validateHost: (socket) => {
-    const player = gameState.getPlayerBySocketId(socket.id);
-    return player && gameState.isHost(socket.id);
+  // Route this socket's events and broadcasts to a room
+  enterRoom: (socket, room) => {
+    roomManager.bindSocket(socket.id, room.code);
+    socket.join(room.channel);
+  },
+
+  // Put each player's socket in exactly the team chats they may read:
+  // the mafia chat for living killers at night, the ghost chat for
+  // eliminated players when the host allows it
+  syncChatChannels: (io, room) => {
+    const isNight = room.state.getCurrentPhase() === "night";
+    room.state.getPlayers().forEach((player) => {
+      // A seat left for another room still names its old socket
+      const playerSocket = io.sockets.sockets.get(player.socketId);
+      if (!playerSocket || !player.isConnected) return;
+
+      if (isNight && player.isAlive && gameLogic.isMafiaRole(player.role)) {
+        playerSocket.join(room.mafiaChannel);
+      } else {
+        playerSocket.leave(room.mafiaChannel);
+      }
+
+      if (canUseGhostChat(room, player)) {
+        playerSocket.join(room.ghostChannel);
+      } else {
+        playerSocket.leave(room.ghostChannel);
+      }
+    });
+
+    room.state.getSpectators().forEach((spectator) => {
+      const spectatorSocket = io.sockets.sockets.get(spectator.socketId);
+      if (!spectatorSocket) return;
+
+      if (canUseGhostChat(room, spectator)) {
+        spectatorSocket.join(room.ghostChannel);
+      } else {
+        spectatorSocket.leave(room.ghostChannel);
+      }
+    });
+  },
+
+  // Close a room and stop advertising it
+  closeRoom: (io, room) => {
+    io.in(room.mafiaChannel).socketsLeave(room.mafiaChannel);
+    io.in(room.ghostChannel).socketsLeave(room.ghostChannel);
+    io.in(room.channel).socketsLeave(room.channel);
+    roomManager.closeRoom(room.code);
+    gameDiscovery.stopHosting(room.code);
+    helpers.persistGames();
+  },
+
+  // Close a room once none of its players is connected any more
+  closeRoomIfEmpty: (io, room) => {
+    const players = room.state.getPlayers();
+    if (!players.some((p) => p.isConnected)) {
+      logger.game(`Room ${room.code} is empty - closing it`);
+      helpers.closeRoom(io, room);
+    }
+  },
+
+  // Hand host duties to the co-host or the longest-connected player
+  migrateHost: (io, room) => {
+    room.clearHostMigrationTimer();
+
+    const newHost = room.state.getHostSuccessor();
+    if (!newHost) return null;
+
+    const previousHost = room.state.getHost();
+    room.state.transferHost(newHost.id);
+    logger.game(`${newHost.name} is now the host of ${room.code}`);
+
+    gameDiscovery.updateGameInfo(room.code, { hostName: newHost.name });
+    helpers.emitToRoom(io, room, "hostChanged", {
+      playerId: newHost.id,
+      playerName: newHost.name,
+      socketId: newHost.socketId,
+      previousHostName: previousHost ? previousHost.name : null,
+    });
+    helpers.broadcastPlayerUpdate(io, room);
+    helpers.persistGames();
+    return newHost;
   },
 
-  // Emit player list to all clients
-  broadcastPlayerUpdate: (io) => {
-    const players = helpers.getCurrentPlayers();
-    helpers.emitToAll(io, "playersUpdated", players);
+  // Give an absent host a grace period, then hand their duties over
+  scheduleHostMigration: (io, room) => {
+    const gracePeriod = config.get("game.hostMigrationGracePeriod");
+    room.startHostMigrationTimer(gracePeriod * 1000, () => {
+      if (!room.state.getHost()?.isConnected) {
+        helpers.migrateHost(io, room);
+      }
+    });
+    return gracePeriod;
+  },
+
+  // Take a socket out of the room it currently sits in (before it hosts
+  // or joins another one). A departing host hands the room over, and a
+  // player walking out of a running game abandons their seat.
+  leaveCurrentRoom: (io, socket) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    roomManager.unbindSocket(socket.id);
+    socket.leave(room.channel);
+    socket.leave(room.mafiaChannel);
+    socket.leave(room.ghostChannel);
+
+    if (room.state.removeSpectator(socket.id)) {
+      helpers.broadcastSpectatorUpdate(io, room);
+      return;
+    }
+
+    const player = room.state.getPlayerBySocketId(socket.id);
+    const wasHost = room.state.isHost(socket.id);
+    const inLobby = room.state.getCurrentPhase() === "lobby";
+    if (inLobby) {
+      room.state.removePlayer(socket.id);
+    } else if (player) {
+      room.state.markPlayerDisconnected(socket.id);
+      room.state.revokeSession(player.id);
+    }
+
+    if (wasHost) {
+      logger.game(`Host left room ${room.code}`);
+      helpers.migrateHost(io, room);
+    }
+    if (!inLobby && player) {
+      abandonSeat(io, room, player);
+    }
+
+    helpers.broadcastPlayerUpdate(io, room);
+    helpers.persistGames();
+    helpers.closeRoomIfEmpty(io, room);
   },
 };
 
@@ -73,6 +228,9 @@ const {
   validatePlayerName,
   validateGameSettings,
   validatePlayerAction,
+  validateChatMessage,
+  validateChatDeletion,
+  validateLastWill,
 } = require("./utils/validation");
 const {
   handleSocketError,
@@ -82,6 +240,16 @@ const {
   createPlayerError,
 } = require("./utils/errorHandler");
 
+// Phases in which living players may use the day chat. During the
+// trial and the execution only the accused may speak.
+const DAY_CHAT_PHASES = [
+  "discussion",
+  "voting",
+  "trial",
+  "judgement",
+  "execution",
+];
+
 /**
  * Setup all socket event handlers
  * @param {Server} io - Socket.io server instance
@@ -90,8 +258,8 @@ function setupSocketEvents(io) {
   io.on("connection", (socket) => {
     logger.player(`Player connected: ${socket.id}`);
 
-    // Send current game state to newly connected player
-    socket.emit("gameStateUpdated", gameState.getGameState());
+    // Every client renders roles from the server's registry
+    socket.emit("roleMetadata", projection.getRoleMetadataView());
 
     // Player hosting a new game
     socket.on("hostGame", (data) => {
@@ -106,26 +274,21 @@ function setupSocketEvents(io) {
 
         logger.game(`${nameValidation.sanitizedName} is hosting a new game`);
 
-        // Clear any existing timers before starting new game
-        clearGameTimer();
+        // A socket sits at one table at a time
+        helpers.leaveCurrentRoom(io, socket);
 
-        // Initialize new game
-        gameState.resetGame();
-        gameState.setHost(socket.id, nameValidation.sanitizedName);
+        // Initialize new game in its own room with a unique game code
+        const room = roomManager.createRoom();
+        const gameCode = room.code;
+        room.state.setHost(socket.id, nameValidation.sanitizedName);
 
         // Add host as first player
-        const player = gameState.addPlayer(
+        const player = room.state.addPlayer(
           socket.id,
           nameValidation.sanitizedName,
           true
         );
-
-        // Generate unique game code
-        const gameCode = Math.random()
-          .toString(36)
-          .substring(2, 8)
-          .toUpperCase();
-        gameState.setGameCode(gameCode);
+        helpers.enterRoom(socket, room);
 
         // Start network discovery broadcasting
         gameDiscovery.startHosting({
@@ -137,12 +300,14 @@ function setupSocketEvents(io) {
         });
 
         // Broadcast updated player list
-        io.emit("playersUpdated", gameState.getPlayers());
+        helpers.broadcastPlayerUpdate(io, room);
+        helpers.persistGames();
 
         socket.emit("gameCreated", {
           gameCode: gameCode,
           hostId: player.id,
           isHost: true,
+          sessionToken: player.sessionToken,
         });
 
         logger.game(`Game created with code: ${gameCode}`);
@@ -154,51 +319,31 @@ function setupSocketEvents(io) {
     // Player joining an existing game
     socket.on("joinGame", (data) => {
       try {
-        const { playerName } = data;
-
-        // Validate player name
-        const nameValidation = validatePlayerName(playerName);
-        if (!nameValidation.valid) {
-          throw createValidationError(nameValidation, "joinGame");
-        }
-
-        logger.game(`${nameValidation.sanitizedName} is joining the game`);
-
-        // Check if game is joinable
-        if (!gameState.canJoinGame()) {
-          throw createGameStateError("Game is not accepting new players");
-        }
-
-        // Check for duplicate names
-        const existingPlayers = gameState.getPlayers();
-        if (
-          existingPlayers.some(
-            (p) =>
-              p.name.toLowerCase() ===
-              nameValidation.sanitizedName.toLowerCase()
-          )
-        ) {
-          throw createValidationError(
-            { message: "Player name already taken" },
-            "joinGame"
-          );
+        const { playerName, gameCode } = data;
+
+        // Without a code, fall back to the only game on this server
+        const openRooms = roomManager.getRooms();
+        const room = gameCode
+          ? roomManager.getRoom(gameCode)
+          : openRooms.length === 1
+          ? openRooms[0]
+          : null;
+        if (!room) {
+          throw createGameStateError("Game not found on this server");
         }
 
-        // Add player to game
-        const player = gameState.addPlayer(
-          socket.id,
-          nameValidation.sanitizedName,
-          false
-        );
+        const player = joinRoom(io, socket, room, playerName, "joinGame");
 
         // Send player their info
         socket.emit("playerJoined", {
+          gameCode: room.code,
           playerId: player.id,
           isHost: false,
+          sessionToken: player.sessionToken,
         });
 
         // Broadcast updated player list to all clients
-        io.emit("playersUpdated", gameState.getPlayers());
+        helpers.broadcastPlayerUpdate(io, room);
       } catch (error) {
         handleSocketError(socket, error, "joinGame");
       }
@@ -208,10 +353,11 @@ function setupSocketEvents(io) {
     socket.on("getPlayers", (data) => {
       try {
         console.log("getPlayers request received:", data);
-        const players = gameState.getPlayers();
-        console.log("Sending players response:", players);
-        console.log("Broadcasting to all clients...");
-        io.emit("playersUpdated", players); // Broadcast to all clients instead of just this socket
+        const room = roomManager.getRoomBySocketId(socket.id);
+        if (!room) return;
+
+        console.log("Broadcasting to all clients in room...");
+        helpers.broadcastPlayerUpdate(io, room); // Broadcast to the room instead of just this socket
       } catch (error) {
         handleSocketError(socket, error, "getPlayers");
       }
@@ -221,19 +367,19 @@ function setupSocketEvents(io) {
     socket.on("getGameResult", () => {
       try {
         console.log("getGameResult request received from socket:", socket.id);
-        const currentPhase = gameState.getCurrentPhase();
+        const room = roomManager.getRoomBySocketId(socket.id);
+        if (!room) return;
+
+        const currentPhase = room.state.getCurrentPhase();
 
         if (currentPhase === "game_over") {
-          // Check if we have a stored game result
-          const players = gameState.getPlayers();
-          const winCheck = gameLogic.checkWinCondition(players);
+          // Prefer the stored result - a Jester's win can't be recomputed
+          const winCheck =
+            room.state.getWinResult() ||
+            gameLogic.checkWinCondition(room.state.getPlayers());
 
           if (winCheck.gameOver) {
-            const gameOverData = {
-              winner: winCheck.winner,
-              reason: winCheck.reason,
-              players: players,
-            };
+            const gameOverData = getGameOverData(room, winCheck);
 
             console.log("Sending game result to client:", gameOverData);
             socket.emit("gameOver", gameOverData);
@@ -248,7 +394,8 @@ function setupSocketEvents(io) {
     socket.on("getCurrentRole", () => {
       try {
         console.log("getCurrentRole request received from socket:", socket.id);
-        const player = gameState.getPlayerBySocketId(socket.id);
+        const room = roomManager.getRoomBySocketId(socket.id);
+        const player = room?.state.getPlayerBySocketId(socket.id);
         if (player && player.role) {
           console.log(`Sending role ${player.role} to player ${player.name}`);
           socket.emit("roleAssigned", player.role);
@@ -263,7 +410,8 @@ function setupSocketEvents(io) {
     // Update game settings (auto-save from host)
     socket.on("updateGameSettings", (data) => {
       try {
-        if (!gameState.isHost(socket.id)) {
+        const room = helpers.getRoomForSocket(socket);
+        if (!room.state.isHost(socket.id)) {
           throw createPermissionError(socket.id, "update game settings");
         }
 
@@ -271,7 +419,7 @@ function setupSocketEvents(io) {
         console.log("Updating game settings:", newSettings);
 
         // Store settings for when game starts
-        settings.updateSettings(newSettings);
+        room.settings.updateSettings(newSettings);
 
         // Acknowledge the update
         socket.emit("settingsUpdated", {
@@ -285,10 +433,118 @@ function setupSocketEvents(io) {
       }
     });
 
+    // Saved setup presets, shared by every host on this server
+    socket.on("getPresets", () => {
+      try {
+        socket.emit("presetsUpdated", presetStore.list());
+      } catch (error) {
+        handleSocketError(socket, error, "getPresets");
+      }
+    });
+
+    // Host saving the current setup under a name (same name replaces it)
+    socket.on("savePreset", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        if (!room.state.isHost(socket.id)) {
+          throw createPermissionError(socket.id, "save a preset");
+        }
+
+        const result = presetStore.save(data?.name, data?.settings);
+        if (!result.valid) {
+          throw createValidationError(result, "savePreset");
+        }
+
+        logger.game(`Preset "${result.preset.name}" saved from ${room.code}`);
+        socket.emit("presetSaved", result.preset);
+        io.emit("presetsUpdated", presetStore.list());
+      } catch (error) {
+        handleSocketError(socket, error, "savePreset");
+      }
+    });
+
+    socket.on("deletePreset", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        if (!room.state.isHost(socket.id)) {
+          throw createPermissionError(socket.id, "delete a preset");
+        }
+
+        if (!presetStore.remove(data?.name)) {
+          throw createGameStateError(`No preset named ${data?.name}`);
+        }
+
+        logger.game(`Preset "${data.name}" deleted from ${room.code}`);
+        io.emit("presetsUpdated", presetStore.list());
+      } catch (error) {
+        handleSocketError(socket, error, "deletePreset");
+      }
+    });
+
+    // A preset as a versioned JSON file, for sharing
+    socket.on("exportPreset", (data) => {
+      try {
+        const file = presetStore.exportPreset(data?.name);
+        if (!file) {
+          throw createGameStateError(`No preset named ${data?.name}`);
+        }
+
+        socket.emit("presetExported", file);
+      } catch (error) {
+        handleSocketError(socket, error, "exportPreset");
+      }
+    });
+
+    socket.on("importPreset", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        if (!room.state.isHost(socket.id)) {
+          throw createPermissionError(socket.id, "import a preset");
+        }
+
+        const result = presetStore.importPreset(data?.contents);
+        if (!result.valid) {
+          throw createValidationError(result, "importPreset");
+        }
+
+        logger.game(`Preset "${result.preset.name}" imported in ${room.code}`);
+        socket.emit("presetSaved", result.preset);
+        io.emit("presetsUpdated", presetStore.list());
+      } catch (error) {
+        handleSocketError(socket, error, "importPreset");
+      }
+    });
+
+    // Host designating who takes over if they drop (null clears it)
+    socket.on("setCoHost", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        if (!room.state.isHost(socket.id)) {
+          throw createPermissionError(socket.id, "choose a co-host");
+        }
+
+        const { playerId = null } = data || {};
+        const coHost = room.state.setCoHost(playerId);
+        if (playerId && !coHost) {
+          throw createPlayerError("Cannot make that player co-host", playerId);
+        }
+
+        logger.game(
+          coHost
+            ? `${coHost.name} is now co-host of ${room.code}`
+            : `Co-host cleared in ${room.code}`
+        );
+        helpers.broadcastPlayerUpdate(io, room);
+      } catch (error) {
+        handleSocketError(socket, error, "setCoHost");
+      }
+    });
+
     // Host starting the game with settings
     socket.on("startGame", (gameSettings) => {
       try {
-        if (!gameState.isHost(socket.id)) {
+        const room = helpers.getRoomForSocket(socket);
+        if (!room.state.isHost(socket.id)) {
           throw createPermissionError(socket.id, "start the game");
         }
 
@@ -312,17 +568,17 @@ function setupSocketEvents(io) {
         logger.game("Game starting with settings:", gameSettings);
 
         // Apply game settings
-        settings.updateSettings(gameSettings);
+        room.settings.updateSettings(gameSettings);
 
         // Assign roles to all players
         const roleAssignments = gameLogic.assignRoles(
-          gameState.getPlayers(),
+          room.state.getPlayers(),
           gameSettings
         );
-        gameState.setRoleAssignments(roleAssignments);
+        room.state.setRoleAssignments(roleAssignments);
 
         // Update game phase - skip role reveal, go directly to night
-        gameState.setPhase("night");
+        room.state.setPhase("night");
 
         // Send role assignments to each player
         roleAssignments.forEach((assignment) => {
@@ -332,14 +588,16 @@ function setupSocketEvents(io) {
           }
         });
 
+        gameDiscovery.updateGameInfo(room.code, { status: "in-progress" });
+
         // Broadcast game start with night phase
-        io.emit("gameStarted", {
+        helpers.emitToRoom(io, room, "gameStarted", {
           phase: "night",
           settings: gameSettings,
         });
 
         // Start night phase immediately
-        startNightPhase(io);
+        startNightPhase(io, room);
       } catch (error) {
         handleSocketError(socket, error, "startGame");
       }
@@ -353,7 +611,8 @@ function setupSocketEvents(io) {
           `Night action received: ${action} on ${target} from socket ${socket.id}`
         );
 
-        const player = gameState.getPlayerBySocketId(socket.id);
+        const room = helpers.getRoomForSocket(socket);
+        const player = room.state.getPlayerBySocketId(socket.id);
 
         if (!player) {
           throw createPlayerError("Player not found", socket.id);
@@ -370,11 +629,28 @@ function setupSocketEvents(io) {
           );
         }
 
-        // Validate action
+        if (room.state.getCurrentPhase() !== "night") {
+          throw createGameStateError(
+            "Night actions are only allowed at night",
+            room.state
+          );
+        }
+
+        // Validate action against the role, the rules and last night
         const actionValidation = validatePlayerAction(
           action,
           player.id,
-          target
+          target,
+          {
+            role: player.role,
+            rules: room.settings.getSetting("rules"),
+            players: room.state.getPlayers(),
+            previousActions: room.state.getPreviousNightActions(),
+            usesLeft: gameLogic.getUsesLeft(
+              player.role,
+              room.state.getAbilityUses(player.id)
+            ),
+          }
         );
         if (!actionValidation.valid) {
           throw createValidationError(actionValidation, "nightAction");
@@ -390,176 +666,578 @@ function setupSocketEvents(io) {
           role: player.role,
         };
         console.log(`🌙 Adding night action:`, nightAction);
-        gameState.addNightAction(nightAction);
+        room.state.addNightAction(nightAction);
+        helpers.persistGames();
 
-        const currentNightActions = gameState.getNightActions();
-        console.log(`🌙 Current night actions:`, currentNightActions);
-
-        // Check if all night actions are complete
-        const allComplete = gameLogic.areAllNightActionsComplete(
-          gameState.getPlayers(),
-          currentNightActions
-        );
-        console.log(`🌙 All night actions complete?`, allComplete);
-
-        if (allComplete) {
-          console.log(
-            "🌙 All players completed actions early - stopping timer and proceeding"
-          );
-          // Clear the current phase timer since all actions are complete
-          if (currentPhaseTimer) {
-            clearInterval(currentPhaseTimer);
-            currentPhaseTimer = null;
-            console.log("⏰ Phase timer cleared - all actions complete");
-          }
-          processNightPhase(io);
+        if (gameLogic.isMafiaRole(player.role)) {
+          broadcastMafiaPicks(io, room);
         }
+
+        console.log(`🌙 Current night actions:`, room.state.getNightActions());
+        checkNightProgress(io, room);
       } catch (error) {
         handleSocketError(socket, error, "nightAction");
       }
     });
 
-    // Handle voting
-    socket.on("vote", (data) => {
+    // Private chat between living killers during the night
+    socket.on("mafiaChat", (data) => {
       try {
-        const { targetId } = data;
-        const player = gameState.getPlayerBySocketId(socket.id);
+        const room = helpers.getRoomForSocket(socket);
+        const player = room.state.getPlayerBySocketId(socket.id);
 
-        if (!player || !player.isAlive) {
-          throw createPlayerError(
-            "Cannot vote - player not found or dead",
-            player?.id
-          );
+        if (!player) {
+          throw createPlayerError("Player not found", socket.id);
         }
 
-        // Validate vote
-        const voteValidation = validatePlayerAction(
-          "vote",
-          player.id,
-          targetId
-        );
-        if (!voteValidation.valid) {
-          throw createValidationError(voteValidation, "vote");
+        if (!gameLogic.isMafiaRole(player.role) || !player.isAlive) {
+          throw createPermissionError(player.id, "use the mafia chat");
         }
 
-        logger.game(`${player.name} voted for ${targetId}`);
+        if (room.state.getCurrentPhase() !== "night") {
+          throw createGameStateError(
+            "The mafia chat is only open at night",
+            room.state
+          );
+        }
 
-        // Record the vote
-        gameState.addVote(player.id, targetId);
+        const messageValidation = validateChatMessage(data?.message);
+        if (!messageValidation.valid) {
+          throw createValidationError(messageValidation, "mafiaChat");
+        }
 
-        // Check if all votes are in
-        if (
-          gameLogic.areAllVotesComplete(
-            gameState.getAlivePlayers(),
-            gameState.getVotes()
-          )
-        ) {
-          console.log(
-            "🗳️ All players voted early - stopping timer and proceeding"
+        if (!room.allowChatMessage(player.id)) {
+          throw createPlayerError(
+            "You are sending messages too quickly",
+            player.id
           );
-          // Clear the current phase timer since all votes are complete
-          if (currentPhaseTimer) {
-            clearInterval(currentPhaseTimer);
-            currentPhaseTimer = null;
-            console.log("⏰ Phase timer cleared - all votes complete");
-          }
-          processVotingPhase(io);
         }
+
+        const chatMessage = room.state.addChatMessage(
+          "mafia",
+          player,
+          messageValidation.sanitizedMessage
+        );
+        io.to(room.mafiaChannel).emit("mafiaChatMessage", chatMessage);
+        helpers.persistGames();
       } catch (error) {
-        handleSocketError(socket, error, "vote");
+        handleSocketError(socket, error, "mafiaChat");
       }
     });
 
-    // Discussion phase ready status
-    socket.on("discussionReady", (data) => {
+    // Public chat for living players during discussion and voting
+    socket.on("dayChat", (data) => {
       try {
-        const player = gameState.getPlayerBySocketId(socket.id);
+        const room = helpers.getRoomForSocket(socket);
+        const player = room.state.getPlayerBySocketId(socket.id);
 
-        if (!player || !player.isAlive) {
-          throw createPlayerError(
-            "Cannot set ready status - player not found or dead",
-            player?.id
-          );
+        if (!player) {
+          throw createPlayerError("Player not found", socket.id);
         }
 
-        if (gameState.getCurrentPhase() !== "discussion") {
-          throw createGameStateError("Not in discussion phase");
+        if (!player.isAlive) {
+          throw createPermissionError(player.id, "use the day chat");
         }
 
-        console.log(`💬 ${player.name} is ready to proceed to voting`);
+        const phase = room.state.getCurrentPhase();
+        if (!DAY_CHAT_PHASES.includes(phase)) {
+          throw createGameStateError(
+            "The day chat is only open during the day",
+            room.state
+          );
+        }
 
-        // Add to ready list if not already there
-        if (!gameState.discussionReadyPlayers) {
-          gameState.discussionReadyPlayers = [];
+        if (
+          phase === "trial" &&
+          room.state.getTrial()?.accusedId !== player.id
+        ) {
+          throw createGameStateError(
+            "Only the accused may speak during their defense",
+            room.state
+          );
         }
 
-        if (!gameState.discussionReadyPlayers.includes(player.id)) {
-          gameState.discussionReadyPlayers.push(player.id);
+        if (
+          phase === "execution" &&
+          room.state.getFinalWords()?.playerId !== player.id
+        ) {
+          throw createGameStateError(
+            "Only the condemned may speak their final words",
+            room.state
+          );
         }
 
-        // Check if all alive players are ready
-        const alivePlayers = gameState.getAlivePlayers();
-        const allReady = alivePlayers.every((p) =>
-          gameState.discussionReadyPlayers.includes(p.id)
-        );
+        if (room.state.isChatMuted(player.id)) {
+          throw createPlayerError("The host has muted you", player.id);
+        }
 
-        console.log(
-          `💬 Discussion ready players: ${gameState.discussionReadyPlayers.length}/${alivePlayers.length}`
-        );
+        const messageValidation = validateChatMessage(data?.message);
+        if (!messageValidation.valid) {
+          throw createValidationError(messageValidation, "dayChat");
+        }
 
-        if (allReady && alivePlayers.length > 0) {
-          console.log(
-            "💬 All players ready for voting - stopping timer and proceeding"
+        if (!room.allowChatMessage(player.id)) {
+          throw createPlayerError(
+            "You are sending messages too quickly",
+            player.id
           );
-          // Clear the current phase timer since all players are ready
-          if (currentPhaseTimer) {
-            clearInterval(currentPhaseTimer);
-            currentPhaseTimer = null;
-            console.log("⏰ Discussion timer cleared - all players ready");
-          }
-
-          // Clear the ready status for next round
-          gameState.discussionReadyPlayers = [];
-
-          startVotingPhase(io);
-        } else {
-          // Broadcast ready status update
-          io.emit("discussionReadyUpdate", {
-            readyCount: gameState.discussionReadyPlayers.length,
-            totalCount: alivePlayers.length,
-            readyPlayers: gameState.discussionReadyPlayers,
-          });
         }
+
+        const message = messageValidation.sanitizedMessage;
+        const chatMessage = room.state.addChatMessage("day", player, message, {
+          mentions: findMentions(room, message),
+        });
+        helpers.emitToRoom(io, room, "dayChatMessage", chatMessage);
+        helpers.persistGames();
       } catch (error) {
-        handleSocketError(socket, error, "discussionReady");
+        handleSocketError(socket, error, "dayChat");
       }
     });
 
-    // Ready status management
-    socket.on("setReadyStatus", (data) => {
+    // Chat between eliminated players, never readable by the living
+    socket.on("ghostChat", (data) => {
       try {
-        const { gameCode, isReady } = data;
-        console.log(`Player ${socket.id} set ready status to:`, isReady);
+        const room = helpers.getRoomForSocket(socket);
+        const player =
+          room.state.getPlayerBySocketId(socket.id) ||
+          room.state.getSpectatorBySocketId(socket.id);
 
-        if (isReady) {
-          gameState.setPlayerReady(socket.id);
-        } else {
-          gameState.setPlayerNotReady(socket.id);
+        if (!player) {
+          throw createPlayerError("Player not found", socket.id);
         }
 
-        // Broadcast updated ready status to all players
-        const readyPlayers = gameState.getReadyPlayers();
-        io.emit("readyStatusUpdated", { readyPlayers });
+        if (!room.settings.getSetting("rules.allowSpectatorChat")) {
+          throw createGameStateError(
+            "The host has turned off the ghost chat",
+            room.state
+          );
+        }
 
-        console.log("Ready players:", readyPlayers);
-      } catch (error) {
-        handleSocketError(socket, error, "setReadyStatus");
-      }
-    });
+        if (!canUseGhostChat(room, player)) {
+          throw createPermissionError(player.id, "use the ghost chat");
+        }
 
-    // Game discovery events
-    socket.on("scanForGames", async () => {
-      try {
+        const messageValidation = validateChatMessage(data?.message);
+        if (!messageValidation.valid) {
+          throw createValidationError(messageValidation, "ghostChat");
+        }
+
+        if (!room.allowChatMessage(player.id)) {
+          throw createPlayerError(
+            "You are sending messages too quickly",
+            player.id
+          );
+        }
+
+        const chatMessage = room.state.addChatMessage(
+          "ghost",
+          player,
+          messageValidation.sanitizedMessage
+        );
+        io.to(room.ghostChannel).emit("ghostChatMessage", chatMessage);
+        helpers.persistGames();
+      } catch (error) {
+        handleSocketError(socket, error, "ghostChat");
+      }
+    });
+
+    socket.on("getGhostChatHistory", () => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        const player =
+          room.state.getPlayerBySocketId(socket.id) ||
+          room.state.getSpectatorBySocketId(socket.id);
+        socket.emit("ghostChatHistory", getGhostChatView(room, player));
+      } catch (error) {
+        handleSocketError(socket, error, "getGhostChatHistory");
+      }
+    });
+
+    socket.on("getDayChatHistory", () => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        socket.emit("dayChatHistory", getDayChatView(room));
+      } catch (error) {
+        handleSocketError(socket, error, "getDayChatHistory");
+      }
+    });
+
+    // Write or edit the player's private last will
+    socket.on("setLastWill", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        const player = room.state.getPlayerBySocketId(socket.id);
+
+        if (!player || !player.isAlive) {
+          throw createPlayerError(
+            "Only living players can write a last will",
+            player?.id
+          );
+        }
+
+        const willValidation = validateLastWill(data?.text);
+        if (!willValidation.valid) {
+          throw createValidationError(willValidation, "setLastWill");
+        }
+
+        room.state.setLastWill(player.id, willValidation.sanitizedText);
+        socket.emit("lastWillSaved", { text: willValidation.sanitizedText });
+        helpers.persistGames();
+      } catch (error) {
+        handleSocketError(socket, error, "setLastWill");
+      }
+    });
+
+    socket.on("getLastWill", () => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        const player = room.state.getPlayerBySocketId(socket.id);
+
+        if (!player) {
+          throw createPlayerError("Player not found", socket.id);
+        }
+
+        socket.emit("lastWillSaved", {
+          text: room.state.getLastWill(player.id),
+        });
+      } catch (error) {
+        handleSocketError(socket, error, "getLastWill");
+      }
+    });
+
+    // Everyone who has died so far, for the graveyard list
+    socket.on("getGraveyard", () => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        socket.emit("graveyardUpdated", projection.getGraveyardView(room));
+      } catch (error) {
+        handleSocketError(socket, error, "getGraveyard");
+      }
+    });
+
+    // Host moderation: mute or unmute a player in the day chat
+    socket.on("muteChatPlayer", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        if (!helpers.validateHost(socket, room)) {
+          throw createPermissionError(socket.id, "mute players");
+        }
+
+        const { playerId, muted } = data || {};
+        const target = room.state.getPlayerById(playerId);
+        if (!target) {
+          throw createPlayerError("Player not found", playerId);
+        }
+
+        room.state.setChatMuted(target.id, !!muted);
+        logger.game(
+          `${target.name} was ${muted ? "muted" : "unmuted"} in ${room.code}`
+        );
+
+        helpers.emitToRoom(io, room, "chatMuteUpdated", {
+          playerId: target.id,
+          playerName: target.name,
+          muted: !!muted,
+        });
+        helpers.persistGames();
+      } catch (error) {
+        handleSocketError(socket, error, "muteChatPlayer");
+      }
+    });
+
+    // Host moderation: remove a day chat message
+    socket.on("deleteChatMessage", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        if (!helpers.validateHost(socket, room)) {
+          throw createPermissionError(socket.id, "delete messages");
+        }
+
+        const chatMessage = room.state.getChatMessage(data?.messageId);
+        const deletion = validateChatDeletion(chatMessage);
+        if (!deletion.valid) {
+          throw createValidationError(deletion, "deleteChatMessage");
+        }
+        room.state.deleteChatMessage(chatMessage.id);
+
+        helpers.emitToRoom(io, room, "dayChatMessageDeleted", {
+          messageId: chatMessage.id,
+        });
+        helpers.persistGames();
+      } catch (error) {
+        handleSocketError(socket, error, "deleteChatMessage");
+      }
+    });
+
+    // Handle voting
+    socket.on("vote", (data) => {
+      try {
+        const { targetId } = data;
+        const room = helpers.getRoomForSocket(socket);
+        const player = room.state.getPlayerBySocketId(socket.id);
+
+        if (!player || !player.isAlive) {
+          throw createPlayerError(
+            "Cannot vote - player not found or dead",
+            player?.id
+          );
+        }
+
+        if (room.state.getCurrentPhase() !== "voting") {
+          throw createGameStateError(
+            "Nominations are only open during voting",
+            room.state
+          );
+        }
+
+        // Validate vote
+        const voteValidation = validatePlayerAction(
+          "vote",
+          player.id,
+          targetId
+        );
+        if (!voteValidation.valid) {
+          throw createValidationError(voteValidation, "vote");
+        }
+
+        if (targetId !== gameLogic.NO_LYNCH) {
+          const target = room.state.getPlayerById(targetId);
+          const revoteCandidates = room.state.getRevoteCandidates();
+          if (!target || !target.isAlive) {
+            throw createPlayerError("Cannot vote for that player", player.id);
+          }
+          if (revoteCandidates && !revoteCandidates.includes(targetId)) {
+            throw createGameStateError(
+              "The revote is only between the tied players",
+              room.state
+            );
+          }
+        }
+
+        logger.game(`${player.name} voted for ${targetId}`);
+
+        // Record the vote
+        room.state.addVote(player.id, targetId);
+        helpers.persistGames();
+        broadcastVoteTally(io, room);
+
+        checkVotingProgress(io, room);
+      } catch (error) {
+        handleSocketError(socket, error, "vote");
+      }
+    });
+
+    // Day abilities such as the Mayor's reveal
+    socket.on("dayAction", (data) => {
+      try {
+        const action = data?.action;
+        const room = helpers.getRoomForSocket(socket);
+        const player = room.state.getPlayerBySocketId(socket.id);
+
+        if (!player || !player.isAlive) {
+          throw createPlayerError(
+            "Cannot act - player not found or dead",
+            player?.id
+          );
+        }
+
+        const definition = gameLogic.DAY_ACTIONS[action];
+        if (!definition) {
+          throw createValidationError(
+            { valid: false, message: "Invalid day action" },
+            "dayAction"
+          );
+        }
+        if (getRoleDefinition(player.role)?.dayAction !== action) {
+          throw createPermissionError(player.id, `use ${action}`);
+        }
+        if (!definition.phases.includes(room.state.getCurrentPhase())) {
+          throw createGameStateError(
+            "That ability can only be used during the day",
+            room.state
+          );
+        }
+        if (
+          !definition.canUse(player, room.state.getDayActionUses(player.id))
+        ) {
+          throw createValidationError(
+            { valid: false, message: "You have already used that ability" },
+            "dayAction"
+          );
+        }
+
+        const message = definition.apply(player, room.state.getPlayers());
+        if (message === false) {
+          throw createValidationError(
+            { valid: false, message: "You cannot use that ability right now" },
+            "dayAction"
+          );
+        }
+        // A custom role's hook that failed (or had nothing to announce)
+        // must not pass for a used ability
+        if (typeof message !== "string" || !message.trim()) {
+          logger.error(`Day action ${action} of ${player.role} failed`);
+          throw createGameStateError(
+            "That ability failed - nothing happened",
+            room.state
+          );
+        }
+        room.state.recordDayActionUse(player.id);
+        logger.game(`${player.name} used ${action} in room ${room.code}`);
+
+        helpers.emitToRoom(io, room, "dayActionUsed", {
+          action,
+          playerId: player.id,
+          playerName: player.name,
+          message,
+        });
+        helpers.broadcastPlayerUpdate(io, room);
+        helpers.persistGames();
+
+        // A reveal can change the weight of a vote already cast
+        if (room.state.getCurrentPhase() === "voting") {
+          broadcastVoteTally(io, room);
+          checkVotingProgress(io, room);
+        }
+      } catch (error) {
+        handleSocketError(socket, error, "dayAction");
+      }
+    });
+
+    // Guilty/innocent verdict on the accused
+    socket.on("judgementVote", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        const player = room.state.getPlayerBySocketId(socket.id);
+        const trial = room.state.getTrial();
+
+        if (!player || !player.isAlive) {
+          throw createPlayerError(
+            "Cannot judge - player not found or dead",
+            player?.id
+          );
+        }
+
+        if (room.state.getCurrentPhase() !== "judgement" || !trial) {
+          throw createGameStateError(
+            "There is no judgement in progress",
+            room.state
+          );
+        }
+
+        if (trial.accusedId === player.id) {
+          throw createPermissionError(player.id, "judge their own trial");
+        }
+
+        const verdict = data?.verdict;
+        if (verdict !== "guilty" && verdict !== "innocent") {
+          throw createValidationError(
+            { valid: false, message: "Verdict must be guilty or innocent" },
+            "judgementVote"
+          );
+        }
+
+        logger.game(`${player.name} judged the accused ${verdict}`);
+        room.state.addVerdict(player.id, verdict);
+        helpers.persistGames();
+
+        checkJudgementProgress(io, room);
+      } catch (error) {
+        handleSocketError(socket, error, "judgementVote");
+      }
+    });
+
+    // Discussion phase ready status
+    socket.on("discussionReady", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        const gameState = room.state;
+        const player = gameState.getPlayerBySocketId(socket.id);
+
+        if (!player || !player.isAlive) {
+          throw createPlayerError(
+            "Cannot set ready status - player not found or dead",
+            player?.id
+          );
+        }
+
+        if (gameState.getCurrentPhase() !== "discussion") {
+          throw createGameStateError("Not in discussion phase");
+        }
+
+        console.log(`💬 ${player.name} is ready to proceed to voting`);
+
+        // Add to ready list if not already there
+        if (!gameState.discussionReadyPlayers) {
+          gameState.discussionReadyPlayers = [];
+        }
+
+        if (!gameState.discussionReadyPlayers.includes(player.id)) {
+          gameState.discussionReadyPlayers.push(player.id);
+          helpers.persistGames();
+        }
+
+        // Check if all alive players are ready
+        const alivePlayers = gameState.getAlivePlayers();
+        const allReady = alivePlayers.every((p) =>
+          gameState.discussionReadyPlayers.includes(p.id)
+        );
+
+        console.log(
+          `💬 Discussion ready players: ${gameState.discussionReadyPlayers.length}/${alivePlayers.length}`
+        );
+
+        if (allReady && alivePlayers.length > 0) {
+          console.log(
+            "💬 All players ready for voting - stopping timer and proceeding"
+          );
+          // Clear the current phase timer since all players are ready
+          room.clearTimer();
+          console.log("⏰ Discussion timer cleared - all players ready");
+
+          // Clear the ready status for next round
+          gameState.discussionReadyPlayers = [];
+
+          startVotingPhase(io, room);
+        } else {
+          // Broadcast ready status update
+          helpers.emitToRoom(io, room, "discussionReadyUpdate", {
+            readyCount: gameState.discussionReadyPlayers.length,
+            totalCount: alivePlayers.length,
+            readyPlayers: gameState.discussionReadyPlayers,
+          });
+        }
+      } catch (error) {
+        handleSocketError(socket, error, "discussionReady");
+      }
+    });
+
+    // Ready status management
+    socket.on("setReadyStatus", (data) => {
+      try {
+        const { isReady } = data;
+        console.log(`Player ${socket.id} set ready status to:`, isReady);
+
+        const room = helpers.getRoomForSocket(socket);
+        if (isReady) {
+          room.state.setPlayerReady(socket.id);
+        } else {
+          room.state.setPlayerNotReady(socket.id);
+        }
+
+        // Broadcast updated ready status to all players
+        const readyPlayers = room.state.getReadyPlayers();
+        helpers.emitToRoom(io, room, "readyStatusUpdated", { readyPlayers });
+
+        console.log("Ready players:", readyPlayers);
+      } catch (error) {
+        handleSocketError(socket, error, "setReadyStatus");
+      }
+    });
+
+    // Game discovery events
+    socket.on("scanForGames", async () => {
+      try {
         const games = await gameDiscovery.scanForGames(2000);
         socket.emit("gameListUpdated", games);
       } catch (error) {
@@ -571,7 +1249,13 @@ function setupSocketEvents(io) {
     socket.on("getPlayers", (data) => {
       try {
         console.log("getPlayers request received:", data);
-        const players = gameState.getPlayers();
+        const room = roomManager.getRoomBySocketId(socket.id);
+        const players = room
+          ? projection.getPlayersView(
+              room,
+              room.state.getPlayerBySocketId(socket.id)
+            )
+          : [];
         console.log("Sending players response:", players);
         socket.emit("playersResponse", players);
       } catch (error) {
@@ -583,17 +1267,15 @@ function setupSocketEvents(io) {
     socket.on("continueGame", () => {
       try {
         console.log("🎮 Player requested to continue game");
-        const currentPhase = gameState.getPhase();
+        const room = helpers.getRoomForSocket(socket);
+        const currentPhase = room.state.getCurrentPhase();
 
         if (currentPhase === "results") {
           console.log("🎮 Continuing from results to next night phase");
           // Clear the auto-continue timer if it exists
-          if (currentPhaseTimer) {
-            clearTimeout(currentPhaseTimer);
-            currentPhaseTimer = null;
-            console.log("⏰ Cleared auto-continue timer");
-          }
-          startNightPhase(io);
+          room.clearTimer();
+          console.log("⏰ Cleared auto-continue timer");
+          startNightPhase(io, room);
         } else {
           console.log(
             "🎮 Continue game requested but not in results phase:",
@@ -609,25 +1291,44 @@ function setupSocketEvents(io) {
     socket.on("leaveGame", () => {
       try {
         console.log("👋 Player leaving game:", socket.id);
-        const player = gameState.getPlayerBySocketId(socket.id);
+        const room = roomManager.getRoomBySocketId(socket.id);
+        const player = room?.state.getPlayerBySocketId(socket.id);
+
+        if (room?.state.getSpectatorBySocketId(socket.id)) {
+          helpers.leaveCurrentRoom(io, socket);
+          return;
+        }
 
         if (player) {
-          logger.game(`${player.name} is leaving the game`);
-          gameState.removePlayer(socket.id);
+          logger.game(`${player.name} is leaving game ${room.code}`);
+          const wasHost = room.state.isHost(socket.id);
+          room.state.removePlayer(socket.id);
+          roomManager.unbindSocket(socket.id);
+          socket.leave(room.channel);
+
+          if (wasHost) {
+            helpers.migrateHost(io, room);
+          }
+          helpers.persistGames();
 
           // Broadcast updated player list
-          helpers.broadcastPlayerUpdate(io);
+          helpers.broadcastPlayerUpdate(io, room);
 
           // Check if game should end due to insufficient players
-          const remainingPlayers = gameState.getPlayers();
-          if (remainingPlayers.length < 3 && gameState.getPhase() !== "lobby") {
+          const remainingPlayers = room.state.getPlayers();
+          if (
+            remainingPlayers.length < 3 &&
+            !["lobby", "game_over"].includes(room.state.getCurrentPhase())
+          ) {
             console.log("🏁 Game ending due to insufficient players");
-            endGame(io, {
+            endGame(io, room, {
               winner: "none",
               reason: "Game ended due to insufficient players",
               gameOver: true,
             });
           }
+
+          helpers.closeRoomIfEmpty(io, room);
         }
       } catch (error) {
         handleSocketError(socket, error, "leaveGame");
@@ -637,6 +1338,8 @@ function setupSocketEvents(io) {
     // Restart game
     socket.on("restartGame", () => {
       try {
+        const room = helpers.getRoomForSocket(socket);
+        const gameState = room.state;
         const player = gameState.getPlayerBySocketId(socket.id);
 
         if (!player || !gameState.isHost(socket.id)) {
@@ -644,23 +1347,24 @@ function setupSocketEvents(io) {
         }
 
         console.log("🔄 Host restarting game");
-        logger.game(`${player.name} (host) is restarting the game`);
+        logger.game(`${player.name} (host) is restarting game ${room.code}`);
 
         // Clear any running timers
-        clearGameTimer();
+        room.clearTimer();
 
-        // Reset game state but keep players
-        const currentPlayers = gameState.getPlayers();
+        // Reset game state but keep players (and their sessions)
         gameState.resetGame();
-
-        // Re-add players (keep the host)
-        currentPlayers.forEach((p) => {
-          gameState.addPlayer(p.socketId, p.name, p.isHost);
+        promoteQueuedSpectators(io, room);
+        helpers.syncChatChannels(io, room);
+        gameDiscovery.updateGameInfo(room.code, {
+          playerCount: gameState.getPlayerCount(),
+          status: "waiting",
         });
+        helpers.persistGames();
 
         // Broadcast reset
-        io.emit("gameReset");
-        io.emit("playersUpdated", gameState.getPlayers());
+        helpers.emitToRoom(io, room, "gameReset");
+        helpers.broadcastPlayerUpdate(io, room);
 
         console.log("🔄 Game reset completed");
       } catch (error) {
@@ -672,135 +1376,581 @@ function setupSocketEvents(io) {
       try {
         const { gameCode, playerName } = data;
 
-        // Validate player name
-        const nameValidation = validatePlayerName(playerName);
-        if (!nameValidation.valid) {
-          throw createValidationError(nameValidation, "joinGameByCode");
+        // Route to the room hosting the requested game
+        const room = roomManager.getRoom(gameCode);
+        if (!room) {
+          throw createGameStateError("Game not found on this server");
         }
 
-        // Check if this server hosts the requested game
-        const currentGameCode = gameState.getGameCode();
-        if (currentGameCode !== gameCode) {
+        const player = joinRoom(io, socket, room, playerName, "joinGameByCode");
+
+        // Send success response
+        socket.emit("joinedGame", {
+          gameCode: room.code,
+          playerId: player.id,
+          isHost: false,
+          sessionToken: player.sessionToken,
+        });
+
+        // Broadcast updated player list
+        helpers.broadcastPlayerUpdate(io, room);
+      } catch (error) {
+        handleSocketError(socket, error, "joinGameByCode");
+      }
+    });
+
+    // Watch a game without taking a seat. Works in any phase; spectators
+    // may queue up to play once the host restarts.
+    socket.on("joinAsSpectator", (data) => {
+      try {
+        const { gameCode, playerName, queueForNextGame } = data || {};
+
+        const room = roomManager.getRoom(gameCode);
+        if (!room) {
           throw createGameStateError("Game not found on this server");
         }
 
-        // Check if game is joinable
-        if (!gameState.canJoinGame()) {
-          throw createGameStateError("Game is not accepting new players");
+        const nameValidation = validatePlayerName(playerName);
+        if (!nameValidation.valid) {
+          throw createValidationError(nameValidation, "joinAsSpectator");
         }
 
-        // Check for duplicate names
-        const existingPlayers = gameState.getPlayers();
-        if (
-          existingPlayers.some(
-            (p) =>
-              p.name.toLowerCase() ===
-              nameValidation.sanitizedName.toLowerCase()
-          )
-        ) {
+        if (room.state.isNameTaken(nameValidation.sanitizedName)) {
           throw createValidationError(
             { message: "Player name already taken" },
-            "joinGameByCode"
+            "joinAsSpectator"
           );
         }
 
-        // Add player to game
-        const player = gameState.addPlayer(
+        // A socket sits at one table at a time
+        helpers.leaveCurrentRoom(io, socket);
+
+        const spectator = room.state.addSpectator(
           socket.id,
           nameValidation.sanitizedName,
-          false
+          !!queueForNextGame
         );
-
-        // Update discovery info
-        gameDiscovery.updateGameInfo({
-          playerCount: gameState.getPlayerCount(),
+        helpers.enterRoom(socket, room);
+        helpers.syncChatChannels(io, room);
+
+        logger.game(`${spectator.name} is spectating game ${room.code}`);
+
+        socket.emit("spectatorJoined", {
+          gameCode: room.code,
+          spectatorId: spectator.id,
+          queuedForNextGame: spectator.queuedForNextGame,
+          phase: room.state.getCurrentPhase(),
+          timeLeft: room.timeLeft,
+          gameState: projection.getGameStateView(room),
+          graveyard: projection.getGraveyardView(room),
         });
+        if (canUseGhostChat(room, spectator)) {
+          socket.emit("ghostChatHistory", getGhostChatView(room, spectator));
+        }
 
-        // Send success response
-        socket.emit("joinedGame", {
-          gameCode: currentGameCode,
-          playerId: player.id,
-          isHost: false,
-        });
+        helpers.broadcastSpectatorUpdate(io, room);
+      } catch (error) {
+        handleSocketError(socket, error, "joinAsSpectator");
+      }
+    });
+
+    // Spectator opting in or out of a seat in the next game
+    socket.on("setSpectatorQueue", (data) => {
+      try {
+        const room = helpers.getRoomForSocket(socket);
+        const spectator = room.state.setSpectatorQueued(
+          socket.id,
+          !!data?.queued
+        );
+        if (!spectator) {
+          throw createPlayerError("Only spectators can queue up", socket.id);
+        }
+
+        helpers.broadcastSpectatorUpdate(io, room);
+      } catch (error) {
+        handleSocketError(socket, error, "setSpectatorQueue");
+      }
+    });
+
+    // Player reclaiming their seat from a new socket after a dropped connection
+    socket.on("resumeSession", (data) => {
+      try {
+        const { sessionToken } = data || {};
+        const session = roomManager.findSession(sessionToken);
+        if (!session) {
+          socket.emit("sessionExpired", {
+            message: "Your session has expired - please join the game again",
+          });
+          return;
+        }
+
+        const { room, player } = session;
+
+        if (player.socketId !== socket.id) {
+          // A socket sits at one table at a time
+          helpers.leaveCurrentRoom(io, socket);
+
+          const previousSocketId = room.state.reconnectPlayer(
+            player.id,
+            socket.id
+          );
+
+          // Retire the old socket in case it is still half-open
+          roomManager.unbindSocket(previousSocketId);
+          io.sockets.sockets.get(previousSocketId)?.leave(room.channel);
+        }
+
+        room.clearSessionTimer(player.id);
+        helpers.enterRoom(socket, room);
+        helpers.syncChatChannels(io, room);
+
+        logger.player(`${player.name} resumed their session in ${room.code}`);
+
+        // The host made it back before anyone took over
+        if (room.state.isHost(socket.id) && room.hostMigrationTimer) {
+          room.clearHostMigrationTimer();
+          helpers.emitToRoom(io, room, "hostReconnected", {
+            playerName: player.name,
+          });
+        } else if (
+          !room.state.getHost()?.isConnected &&
+          !room.hostMigrationTimer
+        ) {
+          // e.g. a restored room whose host has not come back yet
+          helpers.scheduleHostMigration(io, room);
+        }
+
+        // A restored room waits for its players before its timer runs
+        if (room.pausedTimer) {
+          resumePhaseTimer(io, room);
+        }
+
+        replaySession(socket, room, player);
+        helpers.broadcastPlayerUpdate(io, room);
+      } catch (error) {
+        handleSocketError(socket, error, "resumeSession");
+      }
+    });
+
+    // Handle disconnection
+    socket.on("disconnect", () => {
+      logger.player(`Player disconnected: ${socket.id}`);
+
+      const room = roomManager.getRoomBySocketId(socket.id);
+      if (!room) return;
+
+      roomManager.unbindSocket(socket.id);
+
+      if (room.state.removeSpectator(socket.id)) {
+        helpers.broadcastSpectatorUpdate(io, room);
+        return;
+      }
+
+      const player = room.state.getPlayerBySocketId(socket.id);
+      if (player) {
+        logger.player(`${player.name} left game ${room.code}`);
+
+        // Mark player as disconnected but keep in game
+        room.state.markPlayerDisconnected(socket.id);
+
+        // If host disconnected, give them a moment to come back before
+        // handing host duties to someone else. The game keeps running.
+        if (room.state.isHost(socket.id)) {
+          const gracePeriod = helpers.scheduleHostMigration(io, room);
+          logger.game(`Host disconnected - handing over in ${gracePeriod}s`);
+
+          helpers.emitToRoom(io, room, "hostDisconnected", {
+            message: "Host lost connection",
+            gracePeriod,
+          });
+        }
 
         // Broadcast updated player list
-        io.emit("playersUpdated", gameState.getPlayers());
+        helpers.broadcastPlayerUpdate(io, room);
+
+        // Hold the seat open so the player can resume their session
+        const gracePeriod = config.get("performance.disconnectedPlayerTimeout");
+        room.startSessionTimer(player.id, gracePeriod, () =>
+          expireSession(io, room, player.id)
+        );
+      } else {
+        helpers.closeRoomIfEmpty(io, room);
+      }
+    });
+  });
+}
+
+/**
+ * Validate a joining player and seat them in a room
+ * @param {Server} io - Socket.io server instance
+ * @param {Socket} socket - Joining socket
+ * @param {GameRoom} room - Room to join
+ * @param {string} playerName - Requested player name
+ * @param {string} context - Event name for error reporting
+ * @returns {Object} The new player
+ */
+function joinRoom(io, socket, room, playerName, context) {
+  const gameState = room.state;
+
+  // Validate player name
+  const nameValidation = validatePlayerName(playerName);
+  if (!nameValidation.valid) {
+    throw createValidationError(nameValidation, context);
+  }
+
+  logger.game(`${nameValidation.sanitizedName} is joining game ${room.code}`);
+
+  // Check if game is joinable
+  if (!gameState.canJoinGame()) {
+    throw createGameStateError("Game is not accepting new players");
+  }
+
+  // Check for duplicate names
+  if (gameState.isNameTaken(nameValidation.sanitizedName)) {
+    throw createValidationError(
+      { message: "Player name already taken" },
+      context
+    );
+  }
+
+  // A socket sits at one table at a time
+  helpers.leaveCurrentRoom(io, socket);
+
+  // Add player to game
+  const player = gameState.addPlayer(
+    socket.id,
+    nameValidation.sanitizedName,
+    false
+  );
+  helpers.enterRoom(socket, room);
+
+  // Update discovery info
+  gameDiscovery.updateGameInfo(room.code, {
+    playerCount: gameState.getPlayerCount(),
+  });
+
+  socket.emit("gameStateUpdated", projection.getGameStateView(room, player));
+  helpers.persistGames();
+
+  logger.game(`${nameValidation.sanitizedName} joined game ${room.code}`);
+  return player;
+}
+
+/**
+ * Bring a resumed player up to date: the current phase, their role, the
+ * running timer and any private results sent while they were away
+ */
+function replaySession(socket, room, player) {
+  const gameState = room.state;
+  const phase = gameState.getCurrentPhase();
+
+  socket.emit("sessionResumed", {
+    gameCode: room.code,
+    playerId: player.id,
+    isHost: gameState.isHost(socket.id),
+    phase,
+    timeLeft: room.timeLeft,
+    gameState: projection.getGameStateView(room, player),
+  });
+
+  if (player.role) {
+    socket.emit("roleAssigned", player.role);
+  }
+
+  if (phase !== "lobby") {
+    socket.emit("gamePhaseChanged", phase);
+  }
+
+  if (room.timeLeft !== null) {
+    socket.emit("timerUpdate", room.timeLeft);
+  }
+
+  if (
+    phase === "night" &&
+    gameLogic.isMafiaRole(player.role) &&
+    player.isAlive
+  ) {
+    socket.emit("mafiaPicksUpdated", getMafiaPicksView(room));
+    socket.emit("mafiaChatHistory", gameState.getChatMessages("mafia"));
+  }
+
+  if (DAY_CHAT_PHASES.includes(phase)) {
+    socket.emit("dayChatHistory", getDayChatView(room));
+  }
+
+  socket.emit("lastWillSaved", { text: gameState.getLastWill(player.id) });
+
+  if (phase === "execution") {
+    socket.emit("finalWordsStarted", getFinalWordsView(room));
+  }
+
+  if (gameState.getGraveyard().length > 0) {
+    socket.emit("graveyardUpdated", projection.getGraveyardView(room));
+  }
+
+  if (phase === "voting" && room.settings.getSetting("rules.publicVoting")) {
+    socket.emit("voteCounts", getVoteTallyView(room));
+  }
+
+  if (phase === "voting" && gameState.getRevoteCandidates()) {
+    socket.emit("revoteStarted", getRevoteView(room));
+  }
+
+  if (phase === "trial" || phase === "judgement") {
+    socket.emit(
+      phase === "trial" ? "trialStarted" : "judgementStarted",
+      getTrialView(room)
+    );
+  }
+
+  if (canUseGhostChat(room, player)) {
+    socket.emit("ghostChatHistory", getGhostChatView(room, player));
+  }
+
+  gameState.getPrivateResults(player.id).forEach(({ event, data }) => {
+    socket.emit(event, data);
+  });
+}
+
+/**
+ * Get the players a chat message mentions by @name
+ * @param {GameRoom} room - Room the message was sent in
+ * @param {string} message - Message text
+ * @returns {Array<string>} IDs of the mentioned players
+ */
+function findMentions(room, message) {
+  const text = message.toLowerCase();
+  return room.state
+    .getPlayers()
+    .filter((p) => text.includes(`@${p.name.toLowerCase()}`))
+    .map((p) => p.id);
+}
+
+/**
+ * Check whether a player or spectator may read and post in the ghost chat
+ */
+function canUseGhostChat(room, participant) {
+  if (!room.settings.getSetting("rules.allowSpectatorChat")) return false;
+  if (participant.isSpectator) return true;
+  return room.state.isGameActive() && !participant.isAlive;
+}
+
+/**
+ * Seat the spectators who queued for the next game, while there is room.
+ * Called after the host resets the game back to the lobby.
+ */
+function promoteQueuedSpectators(io, room) {
+  const gameState = room.state;
+  const queued = gameState.getSpectators().filter((s) => s.queuedForNextGame);
+
+  queued.forEach((spectator) => {
+    if (!gameState.canJoinGame()) return;
+
+    gameState.removeSpectator(spectator.socketId);
+    const player = gameState.addPlayer(spectator.socketId, spectator.name);
+    logger.game(`${player.name} moved from spectating to playing`);
+
+    io.to(player.socketId).emit("joinedGame", {
+      gameCode: room.code,
+      playerId: player.id,
+      isHost: false,
+      sessionToken: player.sessionToken,
+    });
+  });
+
+  if (queued.length > 0) {
+    helpers.broadcastSpectatorUpdate(io, room);
+  }
+}
 
-        logger.game(`${nameValidation.sanitizedName} joined game ${gameCode}`);
-      } catch (error) {
-        handleSocketError(socket, error, "joinGameByCode");
-      }
-    });
+/**
+ * Get the ghost chat as seen by a player. Living players only learn
+ * that it exists, never what is said in it.
+ */
+function getGhostChatView(room, player) {
+  const enabled = !!player && canUseGhostChat(room, player);
+  const maxEntries = config.get("performance.maxHistoryEntries");
+  return {
+    enabled,
+    messages: enabled
+      ? room.state.getChatMessages("ghost").slice(-maxEntries)
+      : [],
+  };
+}
 
-    // Handle disconnection
-    socket.on("disconnect", () => {
-      logger.player(`Player disconnected: ${socket.id}`);
+/**
+ * Get the recent day chat and the muted players of a room
+ */
+function getDayChatView(room) {
+  const maxEntries = config.get("performance.maxHistoryEntries");
+  return {
+    messages: room.state.getChatMessages("day").slice(-maxEntries),
+    mutedPlayerIds: room.state.getMutedPlayers(),
+  };
+}
 
-      const player = gameState.getPlayerBySocketId(socket.id);
-      if (player) {
-        logger.player(`${player.name} left the game`);
+/**
+ * Release the seat of a player who did not come back within the grace
+ * period. Lobby seats are freed; players in a running game are out.
+ */
+function expireSession(io, room, playerId) {
+  const gameState = room.state;
+  const player = gameState.getPlayerById(playerId);
+  if (!player || player.isConnected) return;
+
+  logger.game(`${player.name} did not reconnect to ${room.code} in time`);
+  gameState.revokeSession(player.id);
+
+  if (gameState.getCurrentPhase() === "lobby") {
+    gameState.removePlayer(player.socketId);
+    gameDiscovery.updateGameInfo(room.code, {
+      playerCount: gameState.getPlayerCount(),
+    });
+  } else {
+    abandonSeat(io, room, player);
+  }
 
-        // Mark player as disconnected but keep in game
-        gameState.markPlayerDisconnected(socket.id);
+  helpers.broadcastPlayerUpdate(io, room);
+  helpers.persistGames();
+  helpers.closeRoomIfEmpty(io, room);
+}
 
-        // If host disconnected, handle host transfer or game end
-        if (gameState.isHost(socket.id)) {
-          logger.game("Host disconnected - ending game");
+/**
+ * A living player left a running game for good: they die as having
+ * abandoned their seat
+ */
+function abandonSeat(io, room, player) {
+  const gameState = room.state;
+  if (!player.isAlive || !gameState.isGameActive()) return;
 
-          // Clear any running timers
-          clearGameTimer();
+  killPlayer(io, room, player.id, "abandoned");
+  helpers.syncChatChannels(io, room);
+  broadcastGraveyard(io, room);
 
-          io.emit("hostDisconnected", { message: "Host left the game" });
-          gameState.resetGame();
-        } else {
-          // Broadcast updated player list
-          io.emit("playersUpdated", gameState.getPlayers());
-        }
-      }
-    });
-  });
+  // Leaving can decide the game, or be the last input still missing
+  const winCheck = gameLogic.checkWinCondition(gameState.getPlayers());
+  const phase = gameState.getCurrentPhase();
+  if (winCheck.gameOver) {
+    endGame(io, room, winCheck);
+  } else if (phase === "night") {
+    checkNightProgress(io, room);
+  } else if (phase === "voting") {
+    checkVotingProgress(io, room);
+  } else if (phase === "judgement") {
+    checkJudgementProgress(io, room);
+  }
 }
 
 /**
  * Start the night phase
  */
-function startNightPhase(io) {
-  logger.game("Starting night phase");
+function startNightPhase(io, room) {
+  logger.game(`Starting night phase in room ${room.code}`);
+
+  room.state.setPhase("night");
+  room.state.nextRound();
+  room.state.clearNightActions();
 
-  gameState.setPhase("night");
-  gameState.clearNightActions();
+  // Each night's mafia chat starts empty
+  room.state.clearChatMessages("mafia");
+  helpers.syncChatChannels(io, room);
 
-  io.emit("gamePhaseChanged", "night");
+  helpers.emitToRoom(io, room, "gamePhaseChanged", "night");
+  broadcastMafiaPicks(io, room);
+  helpers.persistGames();
 
   // Start night phase timer
-  const currentSettings = settings.getCurrentSettings();
+  const currentSettings = room.settings.getCurrentSettings();
   const nightTimer =
     currentSettings.nightTimer || currentSettings.timers?.nightTimer || 30;
   console.log("🌙 Night timer setting:", nightTimer);
   console.log("🌙 Current settings:", currentSettings);
 
-  const timer = startPhaseTimer(io, nightTimer, () => {
-    processNightPhase(io);
+  const timer = startPhaseTimer(io, room, nightTimer, () => {
+    processNightPhase(io, room);
   });
 
   console.log("🌙 Night phase timer started:", timer ? "success" : "failed");
 }
 
 /**
- * Process night phase results
+ * Get the mafia's live night vote for a room
+ */
+function getMafiaPicksView(room) {
+  return gameLogic.getMafiaPicks(
+    room.state.getNightActions(),
+    room.state.getPlayers(),
+    room.settings.getSetting("rules.mafiaKillMode")
+  );
+}
+
+/**
+ * Show the living killers each other's current picks
+ */
+function broadcastMafiaPicks(io, room) {
+  const picks = getMafiaPicksView(room);
+  room.state
+    .getAlivePlayers()
+    .filter((p) => gameLogic.isMafiaRole(p.role))
+    .forEach((member) =>
+      io.to(member.socketId).emit("mafiaPicksUpdated", picks)
+    );
+}
+
+/**
+ * Send a player a result only they may see, and keep it so it can be
+ * sent again if they resume their session
+ */
+function sendPrivateResult(io, room, playerId, event, data) {
+  const player = room.state.getPlayerById(playerId);
+  if (!player) return;
+
+  room.state.addPrivateResult(player.id, event, data);
+  io.to(player.socketId).emit(event, data);
+  console.log(`🔒 Sent ${event} to ${player.name}`);
+}
+
+/**
+ * Kill a player and run their role's onDeath hook, announcing whatever
+ * the hook has to say
+ * @returns {Object|null} Death record, or null if they were not alive
  */
-let nightPhaseProcessing = false; // Prevent double processing
+function killPlayer(io, room, playerId, cause) {
+  const record = room.state.killPlayer(playerId, cause);
+  if (!record) return null;
+
+  const player = room.state.getPlayerById(playerId);
+  const message = gameLogic.runDeathHook(player, {
+    cause,
+    players: room.state.getPlayers(),
+  });
+  if (message) {
+    helpers.emitToRoom(io, room, "roleAnnouncement", {
+      playerId,
+      playerName: player.name,
+      message,
+    });
+  }
+  return record;
+}
 
-function processNightPhase(io) {
+/**
+ * Process night phase results
+ */
+function processNightPhase(io, room) {
   console.log("🌙 processNightPhase called - starting night phase processing");
+  const gameState = room.state;
 
-  if (nightPhaseProcessing) {
+  if (room.nightPhaseProcessing) {
     console.log("🌙 Night phase already processing, skipping duplicate call");
     return;
   }
 
-  nightPhaseProcessing = true;
-  logger.game("Processing night phase");
+  room.nightPhaseProcessing = true;
+  logger.game(`Processing night phase in room ${room.code}`);
+
+  // Night is over - close the mafia chat
+  io.in(room.mafiaChannel).socketsLeave(room.mafiaChannel);
 
   const nightActions = gameState.getNightActions();
   console.log("🌙 Retrieved night actions:", nightActions);
@@ -811,15 +1961,26 @@ function processNightPhase(io) {
     players.map((p) => ({ name: p.name, role: p.role, isAlive: p.isAlive }))
   );
 
-  const results = gameLogic.processNightActions(nightActions, players);
+  const results = gameLogic.processNightActions(nightActions, players, {
+    mafiaKillMode: room.settings.getSetting("rules.mafiaKillMode"),
+  });
   console.log("🌙 Night processing results:", results);
 
+  // A limited-use ability is only spent when it actually went off
+  gameLogic
+    .getSpentAbilityUsers(results, players)
+    .forEach((playerId) => gameState.recordAbilityUse(playerId));
+
   // Apply results to game state
   console.log("🌙 Applying death results:", results.deaths);
-  results.deaths.forEach((playerId) => {
-    console.log(`🌙 Killing player: ${playerId}`);
-    gameState.killPlayer(playerId);
-  });
+  results.deathRecords = results.deaths
+    .map((playerId) => {
+      console.log(`🌙 Killing player: ${playerId}`);
+      return killPlayer(io, room, playerId, "killed");
+    })
+    .filter(Boolean);
+  helpers.syncChatChannels(io, room);
+  broadcastGraveyard(io, room);
 
   // Check win condition
   console.log("🌙 Checking win condition...");
@@ -828,8 +1989,8 @@ function processNightPhase(io) {
 
   if (winCheck.gameOver) {
     console.log("🌙 Game over detected, ending game");
-    nightPhaseProcessing = false;
-    endGame(io, winCheck);
+    room.nightPhaseProcessing = false;
+    endGame(io, room, winCheck);
     return;
   }
 
@@ -839,56 +2000,72 @@ function processNightPhase(io) {
   console.log("🌙 Phase set to discussion");
 
   // Prepare public night results (including public investigation info)
-  const publicResults = {
-    ...results,
-    investigations: results.investigations.map((inv) => ({
-      publicMessage: inv.publicMessage,
-    })),
-  };
+  const publicResults = projection.getPublicNightResults(results, room);
   console.log("🌙 Prepared public results:", publicResults);
 
   console.log("🌙 Emitting nightResults...");
-  io.emit("nightResults", publicResults);
+  helpers.emitToRoom(io, room, "nightResults", publicResults);
 
   console.log("🌙 Emitting gamePhaseChanged to discussion...");
-  io.emit("gamePhaseChanged", "discussion");
+  helpers.emitToRoom(io, room, "gamePhaseChanged", "discussion");
 
   console.log("🌙 Emitting playersUpdated...");
-  io.emit("playersUpdated", gameState.getPlayers());
+  helpers.broadcastPlayerUpdate(io, room);
 
   // Send investigation results privately to investigators
   console.log("🌙 Sending private investigation results...");
   results.investigations.forEach((investigation) => {
-    const investigatorPlayer = gameState.getPlayerById(
-      investigation.investigator
-    );
-    if (investigatorPlayer) {
-      const investigatorSocket = io.sockets.sockets.get(
-        investigatorPlayer.socketId
-      );
-      if (investigatorSocket) {
-        investigatorSocket.emit("investigationResult", {
-          targetName: investigation.targetName,
-          result: investigation.result,
-          message: `Your investigation of ${investigation.targetName} revealed they are ${investigation.result}.`,
-        });
-        console.log(
-          `🔍 Sent investigation result to ${investigatorPlayer.name}: ${investigation.targetName} is ${investigation.result}`
-        );
-      } else {
-        console.log(
-          `❌ No socket found for investigator ${investigatorPlayer.name}`
-        );
+    sendPrivateResult(
+      io,
+      room,
+      investigation.investigator,
+      "investigationResult",
+      {
+        targetName: investigation.targetName,
+        result: investigation.result,
+        message: `Your investigation of ${investigation.targetName} revealed they are ${investigation.result}.`,
       }
-    } else {
-      console.log(
-        `❌ No investigator player found for ID ${investigation.investigator}`
-      );
-    }
+    );
+  });
+
+  // Let role-blocked players know their night was taken from them
+  results.roleBlocked.forEach((playerId) => {
+    sendPrivateResult(io, room, playerId, "roleBlocked", {
+      message: "You were role-blocked last night.",
+    });
+  });
+
+  // Trackers learn where their target went, lookouts who came by
+  results.trackings.forEach((tracking) => {
+    sendPrivateResult(io, room, tracking.tracker, "trackerResult", {
+      targetName: tracking.targetName,
+      visitedNames: tracking.visitedNames,
+      message: tracking.visitedNames.length
+        ? `${tracking.targetName} visited ${tracking.visitedNames.join(
+            ", "
+          )} last night.`
+        : `${tracking.targetName} stayed home last night.`,
+    });
+  });
+  results.lookouts.forEach((lookout) => {
+    sendPrivateResult(io, room, lookout.lookout, "lookoutResult", {
+      targetName: lookout.targetName,
+      visitorNames: lookout.visitorNames,
+      message: lookout.visitorNames.length
+        ? `${lookout.visitorNames.join(", ")} visited ${
+            lookout.targetName
+          } last night.`
+        : `Nobody visited ${lookout.targetName} last night.`,
+    });
+  });
+
+  // Custom roles' private notes from their onNight hooks
+  results.roleMessages.forEach(({ playerId, message }) => {
+    sendPrivateResult(io, room, playerId, "roleResult", { message });
   });
 
   // Start discussion timer
-  const currentSettings = settings.getCurrentSettings();
+  const currentSettings = room.settings.getCurrentSettings();
   const discussionTimer =
     currentSettings.discussionTimer ||
     currentSettings.timers?.discussionTimer ||
@@ -902,8 +2079,8 @@ function processNightPhase(io) {
   console.log("💬 Reset discussion ready players for new discussion phase");
 
   console.log("💬 Starting discussion timer...");
-  const timer = startPhaseTimer(io, discussionTimer, () => {
-    startVotingPhase(io);
+  const timer = startPhaseTimer(io, room, discussionTimer, () => {
+    startVotingPhase(io, room);
   });
 
   console.log(
@@ -911,20 +2088,22 @@ function processNightPhase(io) {
     timer ? "success" : "failed"
   );
 
-  nightPhaseProcessing = false; // Reset processing flag
+  room.nightPhaseProcessing = false; // Reset processing flag
+  helpers.persistGames();
   console.log("🌙 Night phase processing completed successfully");
 }
 
 /**
  * Start voting phase
  */
-function startVotingPhase(io) {
-  logger.game("Starting voting phase");
+function startVotingPhase(io, room) {
+  logger.game(`Starting voting phase in room ${room.code}`);
 
-  gameState.setPhase("voting");
-  gameState.clearVotes();
+  room.state.setPhase("voting");
+  room.state.clearVotes();
+  room.state.clearRevote();
 
-  const players = gameState.getPlayers();
+  const players = room.state.getPlayers();
   console.log(
     "🗳️ VOTING PHASE DEBUG - Players data:",
     players.map((p) => ({
@@ -936,108 +2115,511 @@ function startVotingPhase(io) {
     }))
   );
 
-  io.emit("gamePhaseChanged", "voting");
-  io.emit("playersUpdated", players);
+  helpers.emitToRoom(io, room, "gamePhaseChanged", "voting");
+  helpers.broadcastPlayerUpdate(io, room);
 
   // Start voting timer
-  const currentSettings = settings.getCurrentSettings();
+  const currentSettings = room.settings.getCurrentSettings();
   const votingTimer =
     currentSettings.votingTimer || currentSettings.timers?.votingTimer || 60;
   console.log("🗳️ Voting timer setting:", votingTimer);
 
-  startPhaseTimer(io, votingTimer, () => {
-    processVotingPhase(io);
+  startPhaseTimer(io, room, votingTimer, () => {
+    processVotingPhase(io, room);
+  });
+  helpers.persistGames();
+}
+
+/**
+ * End the night early once every living player with an action has acted
+ */
+function checkNightProgress(io, room) {
+  const allComplete = gameLogic.areAllNightActionsComplete(
+    room.state.getPlayers(),
+    room.state.getNightActions(),
+    room.state.getAllAbilityUses()
+  );
+  console.log(`🌙 All night actions complete?`, allComplete);
+
+  if (allComplete) {
+    console.log(
+      "🌙 All players completed actions early - stopping timer and proceeding"
+    );
+    // Clear the current phase timer since all actions are complete
+    room.clearTimer();
+    console.log("⏰ Phase timer cleared - all actions complete");
+    processNightPhase(io, room);
+  }
+}
+
+/**
+ * Report the judgement's progress and close it once every living juror
+ * has judged
+ */
+function checkJudgementProgress(io, room) {
+  const trial = room.state.getTrial();
+  if (!trial) return;
+
+  const jurors = getJurors(room);
+  helpers.emitToRoom(io, room, "judgementUpdate", {
+    votesCast: trial.verdicts.length,
+    eligibleCount: jurors.length,
   });
+
+  // A juror who left after judging must not stand in for one still to judge
+  const allJudged = jurors.every((juror) =>
+    trial.verdicts.some((v) => v.playerId === juror.id)
+  );
+  if (allJudged) {
+    console.log("⚖️ Every juror has judged - closing the judgement");
+    room.clearTimer();
+    processJudgementPhase(io, room);
+  }
+}
+
+/**
+ * Close the vote early on a hammer, or once every living player voted
+ */
+function checkVotingProgress(io, room) {
+  const hammerTarget =
+    room.settings.getSetting("rules.hammer") &&
+    gameLogic.findHammerTarget(
+      room.state.getVotes(),
+      room.state.getPlayers(),
+      room.settings.getSetting("rules.voteThreshold")
+    );
+  if (hammerTarget) {
+    logger.game(`Hammer on ${hammerTarget} in room ${room.code}`);
+    room.clearTimer();
+    helpers.emitToRoom(io, room, "hammer", { targetId: hammerTarget });
+    processVotingPhase(io, room);
+  } else if (
+    gameLogic.areAllVotesComplete(
+      room.state.getAlivePlayers(),
+      room.state.getVotes()
+    )
+  ) {
+    console.log("🗳️ All players voted early - stopping timer and proceeding");
+    // Clear the current phase timer since all votes are complete
+    room.clearTimer();
+    console.log("⏰ Phase timer cleared - all votes complete");
+    processVotingPhase(io, room);
+  }
 }
 
 /**
  * Process voting phase results
  */
-function processVotingPhase(io) {
-  logger.game("Processing voting phase");
+function processVotingPhase(io, room) {
+  logger.game(`Processing voting phase in room ${room.code}`);
+  const gameState = room.state;
 
   const votes = gameState.getVotes();
-  const results = gameLogic.processVotes(votes, gameState.getPlayers());
+  const results = gameLogic.processVotes(votes, gameState.getPlayers(), {
+    voteThreshold: room.settings.getSetting("rules.voteThreshold"),
+    voteTieBreak: room.settings.getSetting("rules.voteTieBreak"),
+    isRevote: !!gameState.getRevoteCandidates(),
+  });
+  gameState.clearRevote();
 
-  // Apply voting results
+  if (room.settings.getSetting("rules.publicVoting")) {
+    results.ballots = getVoteTallyView(room).ballots;
+  }
+
+  if (results.revoteCandidates) {
+    startRevote(io, room, results);
+    return;
+  }
+
+  // A clear nominee goes on trial; a tie or no votes ends the day
+  if (results.eliminated) {
+    startTrialPhase(io, room, results);
+    return;
+  }
+
+  finishDayPhase(io, room, results);
+}
+
+/**
+ * Re-open voting between the players who tied
+ */
+function startRevote(io, room, tiedResults) {
+  const gameState = room.state;
+  logger.game(`Tie-break revote in room ${room.code}`);
+
+  gameState.startRevote(tiedResults.revoteCandidates);
+  helpers.emitToRoom(io, room, "revoteStarted", {
+    ...getRevoteView(room),
+    votes: tiedResults.votes,
+    message: tiedResults.message,
+  });
+  broadcastVoteTally(io, room);
+
+  startPhaseTimer(io, room, getTimerSetting(room, "votingTimer", 60), () => {
+    processVotingPhase(io, room);
+  });
+  helpers.persistGames();
+}
+
+/**
+ * Put the nominated player on trial and give them time to defend
+ * themselves before the town judges them
+ */
+function startTrialPhase(io, room, nomination) {
+  const gameState = room.state;
+  const accused = nomination.eliminated;
+  logger.game(`${accused.name} is on trial in room ${room.code}`);
+
+  gameState.startTrial(accused.id, nomination.votes, {
+    voteThreshold: nomination.voteThreshold,
+    requiredVotes: nomination.requiredVotes,
+    tieBreak: nomination.tieBreak,
+  });
+  gameState.setPhase("trial");
+
+  helpers.emitToRoom(io, room, "gamePhaseChanged", "trial");
+  helpers.emitToRoom(io, room, "trialStarted", getTrialView(room));
+
+  startPhaseTimer(io, room, getTimerSetting(room, "trialTimer", 30), () => {
+    startJudgementPhase(io, room);
+  });
+  helpers.persistGames();
+}
+
+/**
+ * Open the guilty/innocent judgement once the defense is over
+ */
+function startJudgementPhase(io, room) {
+  const gameState = room.state;
+  if (!gameState.getTrial()) return;
+
+  gameState.setPhase("judgement");
+  helpers.emitToRoom(io, room, "gamePhaseChanged", "judgement");
+  helpers.emitToRoom(io, room, "judgementStarted", getTrialView(room));
+
+  startPhaseTimer(io, room, getTimerSetting(room, "judgementTimer", 20), () => {
+    processJudgementPhase(io, room);
+  });
+  helpers.persistGames();
+}
+
+/**
+ * Count the verdicts and finish the day with the outcome
+ */
+function processJudgementPhase(io, room) {
+  const gameState = room.state;
+  const trial = gameState.getTrial();
+  if (!trial) return;
+
+  const accused = gameState.getPlayerById(trial.accusedId);
+  gameState.clearTrial();
+
+  // The accused left mid-trial - nothing to judge
+  if (!accused || !accused.isAlive) {
+    finishDayPhase(io, room, {
+      ...trial.resolution,
+      votes: trial.nominationVotes,
+      eliminated: null,
+      message: "The trial ended without a verdict.",
+    });
+    return;
+  }
+
+  const judgement = gameLogic.processJudgement(
+    trial.verdicts,
+    accused,
+    gameState.getPlayers()
+  );
+  logger.game(`Judgement in room ${room.code}: ${judgement.message}`);
+
+  finishDayPhase(io, room, {
+    ...trial.resolution,
+    ...judgement,
+    votes: trial.nominationVotes,
+  });
+}
+
+/**
+ * Finish the day, giving a lynched player their final words first
+ */
+function finishDayPhase(io, room, results) {
   if (results.eliminated) {
-    gameState.killPlayer(results.eliminated.id);
+    startExecutionPhase(io, room, results);
+    return;
+  }
+
+  concludeDayPhase(io, room, results);
+}
+
+/**
+ * Let the condemned speak their final words before the lynch is applied
+ */
+function startExecutionPhase(io, room, results) {
+  const gameState = room.state;
+  const condemned = results.eliminated;
+  logger.game(`${condemned.name} gets their final words in room ${room.code}`);
+
+  gameState.startFinalWords(condemned.id, results);
+  gameState.setPhase("execution");
+
+  helpers.emitToRoom(io, room, "gamePhaseChanged", "execution");
+  helpers.emitToRoom(io, room, "finalWordsStarted", getFinalWordsView(room));
+
+  startPhaseTimer(io, room, getTimerSetting(room, "finalWordsTimer", 10), () =>
+    endExecutionPhase(io, room)
+  );
+  helpers.persistGames();
+}
+
+/**
+ * Final words are over - carry out the lynch
+ */
+function endExecutionPhase(io, room) {
+  const finalWords = room.state.getFinalWords();
+  if (!finalWords) return;
+
+  room.state.clearFinalWords();
+  concludeDayPhase(io, room, finalWords.results);
+}
+
+/**
+ * Apply the day's outcome, then show the results or end the game
+ */
+function concludeDayPhase(io, room, results) {
+  const gameState = room.state;
+
+  // Apply voting results
+  const death =
+    results.eliminated &&
+    killPlayer(io, room, results.eliminated.id, "lynched");
+  results.deathRecords = death ? [death] : [];
+  if (death) {
+    helpers.syncChatChannels(io, room);
+    broadcastGraveyard(io, room);
   }
 
   // Check win condition
-  const winCheck = gameLogic.checkWinCondition(gameState.getPlayers());
+  const winCheck = gameLogic.checkWinCondition(gameState.getPlayers(), {
+    lynchedId: death?.playerId,
+  });
   if (winCheck.gameOver) {
-    endGame(io, winCheck);
+    endGame(io, room, winCheck);
     return;
   }
 
   // Move to results phase
   gameState.setPhase("results");
 
-  io.emit("roundResults", results);
-  io.emit("gamePhaseChanged", "results");
-  io.emit("playersUpdated", gameState.getPlayers());
+  helpers.emitToRoom(
+    io,
+    room,
+    "roundResults",
+    projection.getPublicRoundResults(results, room)
+  );
+  helpers.emitToRoom(io, room, "gamePhaseChanged", "results");
+  helpers.broadcastPlayerUpdate(io, room);
+
+  helpers.persistGames();
 
   // Auto-continue to next night after delay
-  currentPhaseTimer = setTimeout(() => {
+  startResultsTimer(io, room);
+}
+
+/**
+ * Read a phase duration, accepting both flat and nested timer settings
+ */
+function getTimerSetting(room, name, fallback) {
+  const currentSettings = room.settings.getCurrentSettings();
+  return currentSettings[name] || currentSettings.timers?.[name] || fallback;
+}
+
+/**
+ * Current vote tally. Ballots - who voted for whom - are only filled in
+ * when the host chose public voting.
+ */
+function getVoteTallyView(room) {
+  const votes = room.state.getVotes();
+  const isPublic = room.settings.getSetting("rules.publicVoting");
+
+  return {
+    counts: gameLogic.tallyVotes(votes, room.state.getPlayers()),
+    ballots: isPublic
+      ? votes.map((vote) => {
+          const voter = room.state.getPlayerById(vote.playerId);
+          return {
+            voterId: vote.playerId,
+            voterName: voter?.name,
+            targetId: vote.targetId,
+            weight: gameLogic.getVoteWeight(voter),
+          };
+        })
+      : [],
+    votesCast: votes.length,
+    hammerAt: room.settings.getSetting("rules.hammer")
+      ? gameLogic.getHammerVotes(
+          room.settings.getSetting("rules.voteThreshold"),
+          room.state.getPlayers()
+        )
+      : null,
+  };
+}
+
+/**
+ * Send the updated graveyard to everyone in the room
+ */
+function broadcastGraveyard(io, room) {
+  helpers.emitToRoom(
+    io,
+    room,
+    "graveyardUpdated",
+    projection.getGraveyardView(room)
+  );
+}
+
+/**
+ * Stream the live tally to the room when voting is public
+ */
+function broadcastVoteTally(io, room) {
+  if (!room.settings.getSetting("rules.publicVoting")) return;
+  helpers.emitToRoom(io, room, "voteCounts", getVoteTallyView(room));
+}
+
+/**
+ * Public view of a tie-break revote
+ */
+function getRevoteView(room) {
+  const candidateIds = room.state.getRevoteCandidates() || [];
+  return {
+    candidates: candidateIds.map((id) => ({
+      id,
+      name: room.state.getPlayerById(id)?.name,
+    })),
+  };
+}
+
+/**
+ * Living players who may judge the accused
+ */
+function getJurors(room) {
+  const trial = room.state.getTrial();
+  return room.state.getAlivePlayers().filter((p) => p.id !== trial?.accusedId);
+}
+
+/**
+ * Public view of the final words in progress
+ */
+function getFinalWordsView(room) {
+  const finalWords = room.state.getFinalWords();
+  if (!finalWords) return null;
+
+  return {
+    playerId: finalWords.playerId,
+    playerName: room.state.getPlayerById(finalWords.playerId)?.name,
+    duration: getTimerSetting(room, "finalWordsTimer", 10),
+  };
+}
+
+/**
+ * Public view of the current trial
+ */
+function getTrialView(room) {
+  const trial = room.state.getTrial();
+  if (!trial) return null;
+
+  const accused = room.state.getPlayerById(trial.accusedId);
+  return {
+    accusedId: trial.accusedId,
+    accusedName: accused?.name,
+    nominationVotes: trial.nominationVotes,
+    votesCast: trial.verdicts.length,
+    eligibleCount: getJurors(room).length,
+    defenseTime: getTimerSetting(room, "trialTimer", 30),
+    judgementTime: getTimerSetting(room, "judgementTimer", 20),
+  };
+}
+
+/**
+ * Auto-continue from the results phase to the next night after a delay
+ */
+function startResultsTimer(io, room) {
+  room.phaseTimer = setTimeout(() => {
     console.log("⏰ Results phase auto-continuing to night phase");
-    startNightPhase(io);
+    room.phaseTimer = null;
+    startNightPhase(io, room);
   }, 5000);
 }
 
+/**
+ * Build the game record sent to everyone when the game ends
+ */
+function getGameOverData(room, winResult) {
+  return {
+    winner: winResult.winner,
+    reason: winResult.reason,
+    winners: winResult.winners || [], // Everyone who won, shared victories included
+    players: projection.getPlayersView(room),
+    chatLog: room.state.getChatMessages("day"),
+    graveyard: projection.getGraveyardView(room),
+    // The ghost chat is revealed to everyone once the game is over
+    ghostChatLog: room.settings.getSetting("rules.allowSpectatorChat")
+      ? room.state.getChatMessages("ghost")
+      : [],
+  };
+}
+
 /**
  * End the game
  */
-function endGame(io, winResult) {
+function endGame(io, room, winResult) {
   console.log("🏁 endGame called with result:", winResult);
-  logger.game(`Game over - ${winResult.winner} wins!`);
+  logger.game(`Game ${room.code} over - ${winResult.winner} wins!`);
+  const gameState = room.state;
 
   // Clear any running timers
-  clearGameTimer();
+  room.clearTimer();
 
   gameState.setPhase("game_over");
+  gameState.setWinResult(winResult);
   console.log("🏁 Game phase set to game_over");
 
-  const gameOverData = {
-    winner: winResult.winner,
-    reason: winResult.reason,
-    players: gameState.getPlayers(),
-  };
+  const gameOverData = getGameOverData(room, winResult);
 
   console.log("🏁 Emitting gamePhaseChanged to game_over and gameOver event");
-  io.emit("gamePhaseChanged", "game_over");
+  helpers.emitToRoom(io, room, "gamePhaseChanged", "game_over");
 
   console.log("🏁 Emitting gameOver event with data:", gameOverData);
-  io.emit("gameOver", gameOverData);
+  helpers.emitToRoom(io, room, "gameOver", gameOverData);
 
   // Emit multiple times to ensure all clients receive it
   setTimeout(() => {
     console.log("🏁 Re-emitting gameOver event (backup)");
-    io.emit("gameOver", gameOverData);
+    helpers.emitToRoom(io, room, "gameOver", gameOverData);
   }, 1000);
 
   setTimeout(() => {
     console.log("🏁 Re-emitting gameOver event (backup 2)");
-    io.emit("gameOver", gameOverData);
+    helpers.emitToRoom(io, room, "gameOver", gameOverData);
   }, 2000);
 
   console.log("🏁 Game over event emitted successfully");
+  helpers.persistGames();
 
   // Reset game after delay
   setTimeout(() => {
     console.log("🏁 Resetting game after delay");
     gameState.resetGame();
+    helpers.persistGames();
   }, 30000);
 }
 
 /**
- * Start a phase timer
+ * Start a phase timer for a room
  */
-function startPhaseTimer(io, duration, onComplete) {
+function startPhaseTimer(io, room, duration, onComplete) {
   console.log("⏰ Starting phase timer with duration:", duration);
 
   // Clear any existing timer first
-  clearGameTimer();
+  room.clearTimer();
 
   if (!duration || duration <= 0) {
     console.log("❌ Invalid timer duration:", duration);
@@ -1046,20 +2628,112 @@ function startPhaseTimer(io, duration, onComplete) {
 
   let timeLeft = duration;
 
-  currentPhaseTimer = setInterval(() => {
+  room.phaseTimer = setInterval(() => {
     console.log("⏰ Timer tick, timeLeft:", timeLeft);
-    io.emit("timerUpdate", timeLeft);
+    room.timeLeft = timeLeft;
+    helpers.emitToRoom(io, room, "timerUpdate", timeLeft);
+
+    // Keep the saved remaining time reasonably fresh
+    if (timeLeft % 5 === 0) {
+      helpers.persistGames();
+    }
     timeLeft--;
 
     if (timeLeft < 0) {
       console.log("⏰ Timer completed, calling onComplete");
-      clearInterval(currentPhaseTimer);
-      currentPhaseTimer = null;
+      room.clearTimer();
       onComplete();
     }
   }, 1000);
 
-  return currentPhaseTimer;
+  return room.phaseTimer;
+}
+
+/**
+ * Restart the phase timer of a room restored from a snapshot, picking up
+ * from the time that was left when the snapshot was taken
+ */
+function resumePhaseTimer(io, room) {
+  // Snapshots taken between timers have no remaining time - allow a moment
+  const timeLeft = room.pausedTimer.timeLeft || 10;
+  room.pausedTimer = null;
+
+  const phase = room.state.getCurrentPhase();
+  logger.game(`Resuming ${phase} in room ${room.code} with ${timeLeft}s left`);
+
+  switch (phase) {
+    case "night":
+      startPhaseTimer(io, room, timeLeft, () => processNightPhase(io, room));
+      break;
+    case "discussion":
+      startPhaseTimer(io, room, timeLeft, () => startVotingPhase(io, room));
+      break;
+    case "voting":
+      startPhaseTimer(io, room, timeLeft, () => processVotingPhase(io, room));
+      break;
+    case "trial":
+      startPhaseTimer(io, room, timeLeft, () => startJudgementPhase(io, room));
+      break;
+    case "judgement":
+      startPhaseTimer(io, room, timeLeft, () =>
+        processJudgementPhase(io, room)
+      );
+      break;
+    case "execution":
+      startPhaseTimer(io, room, timeLeft, () => endExecutionPhase(io, room));
+      break;
+    case "results":
+      startResultsTimer(io, room);
+      break;
+  }
+}
+
+/**
+ * Restore the games saved before a crash or restart. Restored rooms keep
+ * their timers paused until a player resumes their session.
+ * @param {Server} io - Socket.io server instance
+ * @returns {Promise<number>} Number of restored games
+ */
+async function restoreGames(io) {
+  const snapshot = persistence.load();
+  if (!snapshot) return 0;
+
+  if (!(await persistence.shouldRestore(snapshot))) {
+    logger.server("Discarding saved games");
+    persistence.clear();
+    return 0;
+  }
+
+  const gracePeriod = config.get("performance.disconnectedPlayerTimeout");
+  let restored = 0;
+
+  snapshot.rooms.forEach((saved) => {
+    try {
+      const room = roomManager.restoreRoom(saved);
+
+      // Everyone is disconnected until they resume their session
+      room.state.getPlayers().forEach((player) => {
+        room.startSessionTimer(player.id, gracePeriod, () =>
+          expireSession(io, room, player.id)
+        );
+      });
+
+      gameDiscovery.startHosting({
+        gameCode: room.code,
+        hostName: room.state.getHostName(),
+        playerCount: room.state.getPlayerCount(),
+        maxPlayers: room.settings.getSetting("totalPlayers") || 8,
+        status:
+          room.state.getCurrentPhase() === "lobby" ? "waiting" : "in-progress",
+      });
+      restored++;
+    } catch (error) {
+      logger.error(`Failed to restore game ${saved.code}:`, error.message);
+    }
+  });
+
+  logger.server(`Restored ${restored} game(s) saved at ${snapshot.savedAt}`);
+  return restored;
 }
 
-module.exports = { setupSocketEvents };
+module.exports = { setupSocketEvents, restoreGames };
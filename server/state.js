@@ -1,8 +1,11 @@
+const crypto = require("crypto");
+
 class GameState {
   constructor() {
     // Initialize lookup caches for performance
     this._playerSocketMap = new Map();
     this._playerIdMap = new Map();
+    this._playerTokenMap = new Map();
     this.reset();
   }
 
@@ -16,15 +19,29 @@ class GameState {
     this.currentPhase = "lobby";
     this.gameActive = false;
     this.nightActions = [];
+    this.previousNightActions = []; // Last night, for repeat-target rules
+    this.graveyard = []; // Death records in the order players died
+    this.lastWills = {}; // playerId -> private will, published on death
+    this.abilityUses = {}; // playerId -> times a limited-use ability was used
+    this.dayActionUses = {}; // playerId -> { round, count } day abilities used
+    this.finalWords = null; // Condemned player and pending day results
+    this.winResult = null; // How the game ended, once it has
     this.votes = [];
     this.roleAssignments = [];
     this.roundNumber = 0;
     this.readyPlayers = []; // Track which players are ready
     this.discussionReadyPlayers = []; // Track which players are ready for voting
+    this.privateResults = []; // Per-player results replayed on reconnect
+    this.chatMessages = []; // Chat history, tagged by channel
+    this.mutedPlayers = []; // Players the host muted in the day chat
+    this.spectators = []; // Watchers who hold no seat and see only public info
+    this.trial = null; // Accused player and verdicts during trial/judgement
+    this.revoteCandidates = null; // Tied players during a tie-break revote
 
     // Clear lookup caches
     this._playerSocketMap.clear();
     this._playerIdMap.clear();
+    this._playerTokenMap.clear();
   }
 
   // Player management
@@ -34,11 +51,17 @@ class GameState {
       socketId,
       name,
       isHost,
+      isCoHost: false, // Takes over first if the host drops
       isAlive: true,
+      isRevealed: false, // Role made public by a day ability
+      roleState: {}, // Free for a custom role's hooks to keep notes in
       isConnected: true,
       isReady: false, // Add ready status
       role: null,
       joinedAt: new Date(),
+      connectedAt: new Date(),
+      disconnectedAt: null,
+      sessionToken: crypto.randomBytes(16).toString("hex"), // Lets a new socket reclaim this seat
     };
 
     this.players.push(player);
@@ -46,6 +69,7 @@ class GameState {
     // Update lookup caches
     this._playerSocketMap.set(socketId, player);
     this._playerIdMap.set(player.id, player);
+    this._playerTokenMap.set(player.sessionToken, player);
 
     if (isHost) {
       this.hostId = socketId;
@@ -67,6 +91,7 @@ class GameState {
       // Remove from caches
       this._playerSocketMap.delete(socketId);
       this._playerIdMap.delete(player.id);
+      this._playerTokenMap.delete(player.sessionToken);
 
       // Clean up ready status
       this.readyPlayers = this.readyPlayers.filter((id) => id !== player.id);
@@ -80,10 +105,61 @@ class GameState {
     return this._playerSocketMap.get(socketId) || null;
   }
 
+  // Check a name against both players and spectators
+  isNameTaken(name) {
+    const lowerName = name.toLowerCase();
+    return [...this.players, ...this.spectators].some(
+      (p) => p.name.toLowerCase() === lowerName
+    );
+  }
+
+  // Spectator management. Spectators are not part of snapshots - they
+  // simply join again after a restart.
+  addSpectator(socketId, name, queuedForNextGame = false) {
+    const spectator = {
+      id: `spectator_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      socketId,
+      name,
+      isSpectator: true,
+      queuedForNextGame, // Becomes a player when the host restarts
+      joinedAt: new Date(),
+    };
+    this.spectators.push(spectator);
+    return spectator;
+  }
+
+  removeSpectator(socketId) {
+    const spectator = this.getSpectatorBySocketId(socketId);
+    if (spectator) {
+      this.spectators = this.spectators.filter((s) => s !== spectator);
+    }
+    return spectator;
+  }
+
+  getSpectatorBySocketId(socketId) {
+    return this.spectators.find((s) => s.socketId === socketId) || null;
+  }
+
+  getSpectators() {
+    return [...this.spectators];
+  }
+
+  setSpectatorQueued(socketId, queued) {
+    const spectator = this.getSpectatorBySocketId(socketId);
+    if (spectator) {
+      spectator.queuedForNextGame = queued;
+    }
+    return spectator;
+  }
+
   getPlayerById(playerId) {
     return this._playerIdMap.get(playerId) || null;
   }
 
+  getPlayerBySessionToken(sessionToken) {
+    return this._playerTokenMap.get(sessionToken) || null;
+  }
+
   getPlayers() {
     return [...this.players];
   }
@@ -100,16 +176,137 @@ class GameState {
     const player = this.getPlayerBySocketId(socketId);
     if (player) {
       player.isConnected = false;
+      player.disconnectedAt = new Date();
     }
   }
 
-  killPlayer(playerId) {
+  /**
+   * Bind a player's seat to a new socket after a reconnect
+   * @param {string} playerId - Player reclaiming their seat
+   * @param {string} socketId - The player's new socket
+   * @returns {string|null} The socket the player was bound to before
+   */
+  reconnectPlayer(playerId, socketId) {
     const player = this.getPlayerById(playerId);
-    if (player) {
-      player.isAlive = false;
+    if (!player) return null;
+
+    const previousSocketId = player.socketId;
+    this._playerSocketMap.delete(previousSocketId);
+    this._playerSocketMap.set(socketId, player);
+
+    player.socketId = socketId;
+    player.isConnected = true;
+    player.connectedAt = new Date();
+    player.disconnectedAt = null;
+
+    if (this.hostId === previousSocketId) {
+      this.hostId = socketId;
+    }
+
+    return previousSocketId;
+  }
+
+  /**
+   * Invalidate a player's session token so the seat can no longer be resumed
+   */
+  revokeSession(playerId) {
+    const player = this.getPlayerById(playerId);
+    if (player && player.sessionToken) {
+      this._playerTokenMap.delete(player.sessionToken);
+      player.sessionToken = null;
+    }
+  }
+
+  /**
+   * Eliminate a player and record their death in the graveyard
+   * @param {string} playerId - Player to eliminate
+   * @param {string} cause - "killed", "lynched" or "abandoned"
+   * @returns {Object|null} The death record, or null if nobody died
+   */
+  killPlayer(playerId, cause = "killed") {
+    const player = this.getPlayerById(playerId);
+    if (!player || !player.isAlive) return null;
+
+    player.isAlive = false;
+    const record = {
+      playerId: player.id,
+      playerName: player.name,
+      role: player.role,
+      lastWill: this.lastWills[player.id] || null,
+      cause,
+      round: this.roundNumber,
+      time: this.currentPhase === "night" ? "night" : "day",
+      timestamp: new Date(),
+    };
+    this.graveyard.push(record);
+    return record;
+  }
+
+  getGraveyard() {
+    return [...this.graveyard];
+  }
+
+  // Last wills, kept private until the writer dies
+  setLastWill(playerId, text) {
+    if (text) {
+      this.lastWills[playerId] = text;
+    } else {
+      delete this.lastWills[playerId];
     }
   }
 
+  getLastWill(playerId) {
+    return this.lastWills[playerId] || "";
+  }
+
+  // Limited-use abilities (the Vigilante's shots) count across rounds
+  recordAbilityUse(playerId) {
+    this.abilityUses[playerId] = (this.abilityUses[playerId] || 0) + 1;
+  }
+
+  getAbilityUses(playerId) {
+    return this.abilityUses[playerId] || 0;
+  }
+
+  getAllAbilityUses() {
+    return { ...this.abilityUses };
+  }
+
+  // Day abilities count per day, so a count from an earlier round is stale
+  recordDayActionUse(playerId) {
+    this.dayActionUses[playerId] = {
+      round: this.roundNumber,
+      count: this.getDayActionUses(playerId) + 1,
+    };
+  }
+
+  getDayActionUses(playerId) {
+    const uses = this.dayActionUses[playerId];
+    return uses?.round === this.roundNumber ? uses.count : 0;
+  }
+
+  // Final words of a lynched player before the death is applied
+  startFinalWords(playerId, results) {
+    this.finalWords = { playerId, results };
+  }
+
+  getFinalWords() {
+    return this.finalWords;
+  }
+
+  clearFinalWords() {
+    this.finalWords = null;
+  }
+
+  // Stored because some wins (a lynched Jester) can't be recomputed later
+  setWinResult(winResult) {
+    this.winResult = winResult;
+  }
+
+  getWinResult() {
+    return this.winResult;
+  }
+
   // Host management
   setHost(socketId, name) {
     this.hostId = socketId;
@@ -128,6 +325,57 @@ class GameState {
     return host ? host.name : "Unknown Host";
   }
 
+  /**
+   * Hand host privileges to another player
+   * @param {string} playerId - Player taking over as host
+   * @returns {Object|null} The new host
+   */
+  transferHost(playerId) {
+    const newHost = this.getPlayerById(playerId);
+    if (!newHost) return null;
+
+    this.players.forEach((p) => {
+      p.isHost = false;
+    });
+    newHost.isHost = true;
+    newHost.isCoHost = false;
+    newHost.isReady = false;
+    this.readyPlayers = this.readyPlayers.filter((id) => id !== newHost.id);
+    this.setHost(newHost.socketId, newHost.name);
+
+    return newHost;
+  }
+
+  /**
+   * Designate the player who takes over first if the host drops
+   * @param {string|null} playerId - Co-host, or null to clear it
+   * @returns {Object|null} The co-host
+   */
+  setCoHost(playerId) {
+    const coHost = playerId ? this.getPlayerById(playerId) : null;
+    if (playerId && (!coHost || coHost.isHost)) return null;
+
+    this.players.forEach((p) => {
+      p.isCoHost = !!coHost && p.id === coHost.id;
+    });
+    return coHost;
+  }
+
+  /**
+   * Pick who takes over from a departed host: the co-host if they are
+   * connected, otherwise the player who has been connected the longest
+   * @returns {Object|null} The successor, or null if nobody is connected
+   */
+  getHostSuccessor() {
+    const candidates = this.players.filter(
+      (p) => p.isConnected && !this.isHost(p.socketId)
+    );
+    const coHost = candidates.find((p) => p.isCoHost);
+    if (coHost) return coHost;
+
+    return candidates.sort((a, b) => a.connectedAt - b.connectedAt)[0] || null;
+  }
+
   // Ready status management
   setPlayerReady(socketId) {
     const player = this.getPlayerBySocketId(socketId);
@@ -229,7 +477,13 @@ class GameState {
     return [...this.nightActions];
   }
 
+  getPreviousNightActions() {
+    return [...this.previousNightActions];
+  }
+
+  // The finished night is kept for repeat-target rules
   clearNightActions() {
+    this.previousNightActions = this.nightActions;
     this.nightActions = [];
   }
 
@@ -256,6 +510,108 @@ class GameState {
     this.votes = [];
   }
 
+  // Tie-break revote between the tied players
+  startRevote(candidateIds) {
+    this.votes = [];
+    this.revoteCandidates = [...candidateIds];
+  }
+
+  getRevoteCandidates() {
+    return this.revoteCandidates;
+  }
+
+  clearRevote() {
+    this.revoteCandidates = null;
+  }
+
+  // Trial management
+  startTrial(accusedId, nominationVotes, resolution = {}) {
+    this.trial = { accusedId, nominationVotes, resolution, verdicts: [] };
+  }
+
+  getTrial() {
+    return this.trial;
+  }
+
+  addVerdict(playerId, verdict) {
+    if (!this.trial) return;
+    this.trial.verdicts = this.trial.verdicts.filter(
+      (v) => v.playerId !== playerId
+    );
+    this.trial.verdicts.push({ playerId, verdict });
+  }
+
+  clearTrial() {
+    this.trial = null;
+  }
+
+  // Private results (investigations etc.) kept for replay on reconnect
+  addPrivateResult(playerId, event, data) {
+    this.privateResults.push({
+      playerId,
+      event,
+      data,
+      round: this.roundNumber,
+    });
+  }
+
+  getPrivateResults(playerId) {
+    return this.privateResults.filter((r) => r.playerId === playerId);
+  }
+
+  // Chat history
+  addChatMessage(channel, player, message, extra = {}) {
+    const chatMessage = {
+      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      channel,
+      playerId: player.id,
+      playerName: player.name,
+      message,
+      round: this.roundNumber,
+      timestamp: new Date(),
+      ...extra,
+    };
+    this.chatMessages.push(chatMessage);
+    return chatMessage;
+  }
+
+  getChatMessages(channel) {
+    return this.chatMessages.filter((m) => m.channel === channel);
+  }
+
+  clearChatMessages(channel) {
+    this.chatMessages = this.chatMessages.filter((m) => m.channel !== channel);
+  }
+
+  getChatMessage(messageId) {
+    return this.chatMessages.find((m) => m.id === messageId) || null;
+  }
+
+  // Removed messages stay in the log as a placeholder without their text
+  deleteChatMessage(messageId) {
+    const chatMessage = this.getChatMessage(messageId);
+    if (!chatMessage || chatMessage.deleted) return null;
+
+    chatMessage.message = null;
+    chatMessage.deleted = true;
+    return chatMessage;
+  }
+
+  setChatMuted(playerId, muted) {
+    this.mutedPlayers = this.mutedPlayers.filter((id) => id !== playerId);
+    if (muted) {
+      this.mutedPlayers.push(playerId);
+    }
+  }
+
+  isChatMuted(playerId) {
+    return this.mutedPlayers.includes(playerId);
+  }
+
+  getMutedPlayers() {
+    return [...this.mutedPlayers];
+  }
+
   // Round management
   nextRound() {
     this.roundNumber++;
@@ -276,22 +632,116 @@ class GameState {
     };
   }
 
+  /**
+   * Plain-data copy of the state for crash-safe snapshots
+   */
+  toSnapshot() {
+    return {
+      players: this.players.map((player) => ({ ...player })),
+      hostId: this.hostId,
+      gameCode: this.gameCode,
+      currentPhase: this.currentPhase,
+      gameActive: this.gameActive,
+      nightActions: [...this.nightActions],
+      previousNightActions: [...this.previousNightActions],
+      graveyard: [...this.graveyard],
+      lastWills: { ...this.lastWills },
+      abilityUses: { ...this.abilityUses },
+      dayActionUses: { ...this.dayActionUses },
+      finalWords: this.finalWords,
+      winResult: this.winResult,
+      votes: [...this.votes],
+      roleAssignments: [...this.roleAssignments],
+      roundNumber: this.roundNumber,
+      readyPlayers: [...this.readyPlayers],
+      discussionReadyPlayers: [...this.discussionReadyPlayers],
+      privateResults: [...this.privateResults],
+      chatMessages: [...this.chatMessages],
+      mutedPlayers: [...this.mutedPlayers],
+      trial: this.trial,
+      revoteCandidates: this.revoteCandidates,
+    };
+  }
+
+  /**
+   * Rebuild the state from a snapshot. Every player comes back
+   * disconnected until they resume their session from a new socket.
+   * @param {Object} snapshot - Output of toSnapshot()
+   */
+  restoreSnapshot(snapshot) {
+    this.reset();
+
+    this.hostId = snapshot.hostId;
+    this.gameCode = snapshot.gameCode;
+    this.currentPhase = snapshot.currentPhase;
+    this.gameActive = snapshot.gameActive;
+    this.nightActions = snapshot.nightActions || [];
+    this.previousNightActions = snapshot.previousNightActions || [];
+    this.graveyard = snapshot.graveyard || [];
+    this.lastWills = snapshot.lastWills || {};
+    this.abilityUses = snapshot.abilityUses || {};
+    this.dayActionUses = snapshot.dayActionUses || {};
+    this.finalWords = snapshot.finalWords || null;
+    this.winResult = snapshot.winResult || null;
+    this.votes = snapshot.votes || [];
+    this.roleAssignments = snapshot.roleAssignments || [];
+    this.roundNumber = snapshot.roundNumber || 0;
+    this.readyPlayers = snapshot.readyPlayers || [];
+    this.discussionReadyPlayers = snapshot.discussionReadyPlayers || [];
+    this.privateResults = snapshot.privateResults || [];
+    this.chatMessages = snapshot.chatMessages || [];
+    this.mutedPlayers = snapshot.mutedPlayers || [];
+    this.trial = snapshot.trial || null;
+    this.revoteCandidates = snapshot.revoteCandidates || null;
+
+    const restoredAt = new Date();
+    snapshot.players.forEach((saved) => {
+      const player = {
+        ...saved,
+        isConnected: false,
+        joinedAt: new Date(saved.joinedAt),
+        connectedAt: new Date(saved.connectedAt),
+        disconnectedAt: restoredAt,
+      };
+
+      this.players.push(player);
+      this._playerSocketMap.set(player.socketId, player);
+      this._playerIdMap.set(player.id, player);
+      if (player.sessionToken) {
+        this._playerTokenMap.set(player.sessionToken, player);
+      }
+    });
+  }
+
   // Reset specific to new game (keeps players)
   resetGame() {
     this.players.forEach((player) => {
       player.isAlive = true;
+      player.isRevealed = false;
+      player.roleState = {};
       player.role = null;
     });
 
     this.currentPhase = "lobby";
     this.gameActive = false;
     this.nightActions = [];
+    this.previousNightActions = [];
+    this.graveyard = [];
+    this.lastWills = {};
+    this.abilityUses = {};
+    this.dayActionUses = {};
+    this.finalWords = null;
+    this.winResult = null;
     this.votes = [];
     this.roleAssignments = [];
     this.roundNumber = 0;
+    this.privateResults = [];
+    this.chatMessages = [];
+    this.mutedPlayers = [];
+    this.trial = null;
+    this.revoteCandidates = null;
   }
 }
 
-// Export singleton instance
-const gameState = new GameState();
-module.exports = gameState;
+// Export the class - each game room owns its own instance
+module.exports = { GameState };
@@ -16,14 +16,14 @@ class GameDiscoveryService extends EventEmitter {
     this.discoveryPort = 3002;
     this.server = null;
     this.client = null;
-    this.gameInfo = null;
+    this.games = new Map(); // gameCode -> advertised game info
     this.isHosting = false;
     this.heartbeatInterval = null;
 
     // Performance optimizations
     this._localIPCache = null;
     this._localIPCacheTime = 0;
-    this._responseBuffer = null;
+    this._responseBuffers = new Map();
   }
 
   /**
@@ -56,10 +56,11 @@ class GameDiscoveryService extends EventEmitter {
   }
 
   /**
-   * Start hosting a game - broadcast game availability
+   * Start hosting a game - broadcast game availability.
+   * Several games can be advertised at once; the UDP sockets are shared.
    */
   startHosting(gameInfo) {
-    this.gameInfo = {
+    this.games.set(gameInfo.gameCode, {
       gameCode: gameInfo.gameCode,
       hostName: gameInfo.hostName,
       playerCount: gameInfo.playerCount || 1,
@@ -68,12 +69,18 @@ class GameDiscoveryService extends EventEmitter {
       hostIP: this.getLocalIP(),
       port: 3000,
       timestamp: Date.now(),
-    };
-
-    this.isHosting = true;
+    });
 
     // Pre-build response buffer for better performance
-    this._updateResponseBuffer();
+    this._updateResponseBuffer(gameInfo.gameCode);
+
+    // Discovery sockets are already running for another game
+    if (this.server) {
+      console.log(`📡 Broadcasting game: ${gameInfo.gameCode}`);
+      return;
+    }
+
+    this.isHosting = true;
 
     // Start UDP server for responding to discovery requests
     this.server = dgram.createSocket("udp4");
@@ -86,6 +93,7 @@ class GameDiscoveryService extends EventEmitter {
         );
         // Try alternative port
         this.discoveryPort = this.discoveryPort + 1;
+        this.server = null;
         setTimeout(() => {
           this.startHosting(gameInfo);
         }, 1000);
@@ -98,9 +106,11 @@ class GameDiscoveryService extends EventEmitter {
     this.server.on("message", (msg, rinfo) => {
       try {
         const request = JSON.parse(msg.toString());
-        if (request.type === "DISCOVER_GAMES" && this._responseBuffer) {
-          // Send pre-built response for better performance
-          this.server.send(this._responseBuffer, rinfo.port, rinfo.address);
+        if (request.type === "DISCOVER_GAMES") {
+          // Send pre-built responses for better performance
+          this._responseBuffers.forEach((buffer) => {
+            this.server.send(buffer, rinfo.port, rinfo.address);
+          });
         }
       } catch (error) {
         console.log("Discovery request error:", error.message);
@@ -112,7 +122,7 @@ class GameDiscoveryService extends EventEmitter {
         `🔊 Game discovery server started on port ${this.discoveryPort}`
       );
       console.log(
-        `📡 Broadcasting game: ${this.gameInfo.gameCode} by ${this.gameInfo.hostName}`
+        `📡 Broadcasting game: ${gameInfo.gameCode} by ${gameInfo.hostName}`
       );
     });
 
@@ -123,24 +133,31 @@ class GameDiscoveryService extends EventEmitter {
   /**
    * Update response buffer for optimized sending
    */
-  _updateResponseBuffer() {
-    if (this.gameInfo) {
+  _updateResponseBuffer(gameCode) {
+    const game = this.games.get(gameCode);
+    if (game) {
       const response = {
         type: "GAME_AVAILABLE",
-        game: this.gameInfo,
+        game,
       };
-      this._responseBuffer = Buffer.from(JSON.stringify(response));
+      this._responseBuffers.set(
+        gameCode,
+        Buffer.from(JSON.stringify(response))
+      );
     }
   }
 
   /**
    * Update game info (player count, status, etc.)
+   * @param {string} gameCode - Game to update
+   * @param {Object} updates - Fields to merge into the advertised info
    */
-  updateGameInfo(updates) {
-    if (this.gameInfo) {
-      this.gameInfo = { ...this.gameInfo, ...updates, timestamp: Date.now() };
+  updateGameInfo(gameCode, updates) {
+    const game = this.games.get(gameCode);
+    if (game) {
+      this.games.set(gameCode, { ...game, ...updates, timestamp: Date.now() });
       // Update response buffer when game info changes
-      this._updateResponseBuffer();
+      this._updateResponseBuffer(gameCode);
     }
   }
 
@@ -148,17 +165,20 @@ class GameDiscoveryService extends EventEmitter {
    * Start heartbeat broadcasting
    */
   startHeartbeat() {
+    if (this.heartbeatInterval) return;
+
     this.heartbeatInterval = setInterval(() => {
-      if (this.isHosting && this.gameInfo) {
-        this.broadcastGameAvailable();
+      if (this.isHosting) {
+        this.games.forEach((game) => this.broadcastGameAvailable(game));
       }
     }, 5000); // Broadcast every 5 seconds
   }
 
   /**
    * Broadcast game availability to local network
+   * @param {Object} game - Advertised game info
    */
-  broadcastGameAvailable() {
+  broadcastGameAvailable(game) {
     const client = dgram.createSocket("udp4");
 
     client.on("error", (err) => {
@@ -171,7 +191,7 @@ class GameDiscoveryService extends EventEmitter {
 
       const message = {
         type: "GAME_HEARTBEAT",
-        game: this.gameInfo,
+        game,
       };
 
       const msgBuffer = Buffer.from(JSON.stringify(message));
@@ -254,9 +274,19 @@ class GameDiscoveryService extends EventEmitter {
   }
 
   /**
-   * Stop hosting and clean up
+   * Stop advertising a game. Without a game code, or once the last game
+   * is gone, the discovery sockets are shut down as well.
+   * @param {string} gameCode - Game to stop advertising (optional)
    */
-  stopHosting() {
+  stopHosting(gameCode = null) {
+    if (gameCode) {
+      this.games.delete(gameCode);
+      this._responseBuffers.delete(gameCode);
+      if (this.games.size > 0) return;
+    }
+
+    this.games.clear();
+    this._responseBuffers.clear();
     this.isHosting = false;
 
     if (this.heartbeatInterval) {
@@ -283,7 +313,7 @@ class GameDiscoveryService extends EventEmitter {
   getStatus() {
     return {
       isHosting: this.isHosting,
-      gameInfo: this.gameInfo,
+      games: [...this.games.values()],
       localIP: this.getLocalIP(),
     };
   }
@@ -0,0 +1,115 @@
+/**
+ * Game Persistence for LAN Mafia Server
+ *
+ * Snapshots every open room to a local JSON file after each game
+ * transition, so a crash or a nodemon restart does not lose games that
+ * are in progress. On startup the snapshot can be restored and players
+ * resume their sessions from new sockets.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const config = require("../config");
+const logger = require("./logger");
+
+// Bump when the snapshot layout changes; older snapshots are ignored
+const SNAPSHOT_VERSION = 1;
+
+class GamePersistence {
+  constructor() {
+    this.enabled = config.get("persistence.enabled");
+    this.snapshotFile = config.get("persistence.snapshotFile");
+  }
+
+  /**
+   * Write a snapshot of the given rooms. Written to a temp file and
+   * renamed so a crash mid-write never leaves a torn snapshot behind.
+   * @param {Array<GameRoom>} rooms - Rooms to save
+   */
+  save(rooms) {
+    if (!this.enabled) return;
+
+    try {
+      const snapshot = {
+        version: SNAPSHOT_VERSION,
+        savedAt: new Date().toISOString(),
+        rooms: rooms
+          .filter((room) => room.state.getPlayerCount() > 0)
+          .map((room) => room.toSnapshot()),
+      };
+
+      fs.mkdirSync(path.dirname(this.snapshotFile), { recursive: true });
+      const tempFile = `${this.snapshotFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(snapshot));
+      fs.renameSync(tempFile, this.snapshotFile);
+    } catch (error) {
+      logger.error("Failed to save game snapshot:", error.message);
+    }
+  }
+
+  /**
+   * Read the last snapshot, if there is a usable one
+   * @returns {Object|null} Snapshot with at least one room
+   */
+  load() {
+    if (!this.enabled || !fs.existsSync(this.snapshotFile)) return null;
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotFile, "utf8"));
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        logger.warn(
+          `Ignoring game snapshot with version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`
+        );
+        return null;
+      }
+      return snapshot.rooms && snapshot.rooms.length > 0 ? snapshot : null;
+    } catch (error) {
+      logger.error("Failed to read game snapshot:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete the snapshot file
+   */
+  clear() {
+    try {
+      if (fs.existsSync(this.snapshotFile)) {
+        fs.unlinkSync(this.snapshotFile);
+      }
+    } catch (error) {
+      logger.error("Failed to delete game snapshot:", error.message);
+    }
+  }
+
+  /**
+   * Decide whether to restore a snapshot. Asks on an interactive
+   * terminal when restoreOnStartup is "ask", restores otherwise.
+   * @param {Object} snapshot - Snapshot returned by load()
+   * @returns {Promise<boolean>} True if the games should be restored
+   */
+  async shouldRestore(snapshot) {
+    const mode = config.get("persistence.restoreOnStartup");
+    if (mode === "never") return false;
+    if (mode !== "ask" || !process.stdin.isTTY) return true;
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    const answer = await new Promise((resolve) =>
+      rl.question(
+        `Restore ${snapshot.rooms.length} game(s) saved at ${snapshot.savedAt}? (Y/n) `,
+        resolve
+      )
+    );
+    rl.close();
+
+    return !/^n/i.test(answer.trim());
+  }
+}
+
+// Export singleton instance
+const gamePersistence = new GamePersistence();
+module.exports = gamePersistence;
@@ -0,0 +1,264 @@
+/**
+ * Setup Presets for LAN Mafia Server
+ *
+ * Named setups ("Classic 8", "Chaos 12", ...) holding role counts,
+ * timers and rules, saved to a local JSON file so they outlive the
+ * session and are shared by every host on this server. Presets are
+ * exported and imported as small versioned JSON files.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const logger = require("./logger");
+const { GameSettings } = require("../settings");
+const { ROLE_DEFINITIONS } = require("../roles");
+const { validateGameSettings, validatePresetName } = require("./validation");
+
+// Bump when the preset file layout changes; older files are rejected
+const PRESET_FILE_VERSION = 1;
+
+const TIMER_KEYS = [
+  "nightTimer",
+  "discussionTimer",
+  "votingTimer",
+  "trialTimer",
+  "judgementTimer",
+  "finalWordsTimer",
+];
+
+/**
+ * Check preset settings and keep only what a preset stores
+ * @param {Object} settings - Nested settings ({ totalPlayers, roles, timers, rules })
+ * @returns {Object} Validation result with the cleaned settings
+ */
+function normalizePresetSettings(settings) {
+  if (!settings || !settings.roles || typeof settings.roles !== "object") {
+    return { valid: false, message: "Preset settings need role counts" };
+  }
+
+  const validation = validateGameSettings(settings);
+  if (!validation.valid) return validation;
+
+  // A preset made with a custom role can't be used without its plugin
+  const countKeys = Object.values(ROLE_DEFINITIONS).map((d) => d.countKey);
+  const unknown = Object.keys(settings.roles).find(
+    (key) => !countKeys.includes(key)
+  );
+  if (unknown) {
+    return {
+      valid: false,
+      message: `Unknown role count ${unknown} - is its role plugin loaded?`,
+    };
+  }
+
+  const timers = settings.timers || {};
+  const normalized = {
+    roles: Object.fromEntries(
+      countKeys
+        .filter((key) => Number.isInteger(settings.roles[key]))
+        .map((key) => [key, settings.roles[key]])
+    ),
+    timers: Object.fromEntries(
+      TIMER_KEYS.filter((key) => Number.isInteger(timers[key])).map((key) => [
+        key,
+        timers[key],
+      ])
+    ),
+    rules: new GameSettings().validateSettings({ rules: settings.rules || {} })
+      .rules,
+  };
+  if (settings.totalPlayers !== undefined) {
+    normalized.totalPlayers = settings.totalPlayers;
+  }
+
+  return { valid: true, settings: normalized };
+}
+
+/**
+ * Turn a preset name into a file name ("Classic 8" -> "classic-8.json")
+ * @param {string} name - Preset name
+ * @returns {string} File name
+ */
+function toFileName(name) {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `${slug || "preset"}.json`;
+}
+
+class PresetStore {
+  constructor() {
+    this.presetsFile = config.get("presets.file");
+    this.maxPresets = config.get("presets.maxPresets");
+    this.presets = null; // Loaded on first use
+  }
+
+  /**
+   * Read the presets file, once
+   * @returns {Array<Object>} Stored presets
+   */
+  load() {
+    if (this.presets) return this.presets;
+    this.presets = [];
+
+    if (!fs.existsSync(this.presetsFile)) return this.presets;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.presetsFile, "utf8"));
+      if (data.version !== PRESET_FILE_VERSION) {
+        logger.warn(
+          `Ignoring presets file with version ${data.version} (expected ${PRESET_FILE_VERSION})`
+        );
+        return this.presets;
+      }
+      this.presets = Array.isArray(data.presets) ? data.presets : [];
+    } catch (error) {
+      logger.error("Failed to read setup presets:", error.message);
+    }
+
+    return this.presets;
+  }
+
+  /**
+   * Write every preset. Written to a temp file and renamed so a crash
+   * mid-write never loses the whole list.
+   */
+  write() {
+    try {
+      fs.mkdirSync(path.dirname(this.presetsFile), { recursive: true });
+      const tempFile = `${this.presetsFile}.tmp`;
+      fs.writeFileSync(
+        tempFile,
+        JSON.stringify(
+          { version: PRESET_FILE_VERSION, presets: this.presets },
+          null,
+          2
+        )
+      );
+      fs.renameSync(tempFile, this.presetsFile);
+    } catch (error) {
+      logger.error("Failed to save setup presets:", error.message);
+    }
+  }
+
+  /**
+   * All presets, sorted by name
+   * @returns {Array<Object>} Presets ({ name, settings, updatedAt })
+   */
+  list() {
+    return [...this.load()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find a preset by name, ignoring case
+   * @param {string} name - Preset name
+   * @returns {Object|null} Preset
+   */
+  get(name) {
+    const key = String(name || "")
+      .trim()
+      .toLowerCase();
+    return this.load().find((p) => p.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Save a preset, replacing any preset with the same name
+   * @param {string} name - Preset name
+   * @param {Object} settings - Nested game settings
+   * @returns {Object} Validation result with the saved preset
+   */
+  save(name, settings) {
+    const nameValidation = validatePresetName(name);
+    if (!nameValidation.valid) return nameValidation;
+
+    const settingsValidation = normalizePresetSettings(settings);
+    if (!settingsValidation.valid) return settingsValidation;
+
+    const existing = this.get(nameValidation.sanitizedName);
+    if (!existing && this.load().length >= this.maxPresets) {
+      return {
+        valid: false,
+        message: `There can be at most ${this.maxPresets} presets - delete one first`,
+      };
+    }
+
+    const preset = {
+      name: nameValidation.sanitizedName,
+      settings: settingsValidation.settings,
+      updatedAt: new Date().toISOString(),
+    };
+    this.presets = [...this.load().filter((p) => p !== existing), preset];
+    this.write();
+
+    return { valid: true, preset };
+  }
+
+  /**
+   * Delete a preset
+   * @param {string} name - Preset name
+   * @returns {boolean} True if a preset was deleted
+   */
+  remove(name) {
+    const preset = this.get(name);
+    if (!preset) return false;
+
+    this.presets = this.load().filter((p) => p !== preset);
+    this.write();
+    return true;
+  }
+
+  /**
+   * Build the shareable file for a preset
+   * @param {string} name - Preset name
+   * @returns {Object|null} { name, fileName, contents }
+   */
+  exportPreset(name) {
+    const preset = this.get(name);
+    if (!preset) return null;
+
+    const file = {
+      version: PRESET_FILE_VERSION,
+      name: preset.name,
+      settings: preset.settings,
+    };
+    return {
+      name: preset.name,
+      fileName: toFileName(preset.name),
+      contents: JSON.stringify(file, null, 2),
+    };
+  }
+
+  /**
+   * Save a preset from an exported file
+   * @param {string|Object} contents - File contents (JSON text or parsed)
+   * @returns {Object} Validation result with the saved preset
+   */
+  importPreset(contents) {
+    let file = contents;
+    if (typeof contents === "string") {
+      try {
+        file = JSON.parse(contents);
+      } catch {
+        return { valid: false, message: "Preset file is not valid JSON" };
+      }
+    }
+
+    if (!file || typeof file !== "object") {
+      return { valid: false, message: "Preset file is empty" };
+    }
+    if (file.version !== PRESET_FILE_VERSION) {
+      return {
+        valid: false,
+        message: `Unsupported preset file version ${file.version} (expected ${PRESET_FILE_VERSION})`,
+      };
+    }
+
+    return this.save(file.name, file.settings);
+  }
+}
+
+// Export singleton instance
+const presetStore = new PresetStore();
+module.exports = presetStore;
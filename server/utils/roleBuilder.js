@@ -6,12 +6,37 @@
  */
 /**
  * Builds an array of roles based on selected settings.
- * Input: { killer: 2, healer: 1, police: 1 }
- * Output: ['killer', 'killer', 'healer', 'police', 'civilian', 'civilian', ...]
+ * Input: { killer: 2, framer: 1, healer: 1, police: 1, escort: 1, jester: 1 }
+ * Output: ['killer', 'killer', 'framer', 'healer', 'police', 'escort', 'jester', 'civilian', ...]
  * Ensures the correct total player count and role mix.
  */
 
 const { shuffle } = require("./shuffle");
+const {
+  ROLE_DEFINITIONS,
+  FILLER_ROLE,
+  getRolesWhere,
+  getRoleCount,
+  getRoleName,
+} = require("../roles");
+
+/**
+ * Get the roles the host deals a set number of; townspeople fill the rest
+ * @returns {Array<string>} Role names, including any added by plugins
+ */
+function getDealtRoles() {
+  return getRolesWhere((definition, role) => role !== FILLER_ROLE);
+}
+
+/**
+ * Add up the counts of a set of roles
+ * @param {Object} settings - Game settings
+ * @param {Array<string>} roles - Role names
+ * @returns {number} Total count
+ */
+function sumRoleCounts(settings, roles) {
+  return roles.reduce((sum, role) => sum + getRoleCount(settings, role), 0);
+}
 
 /**
  * Build role list from game settings
@@ -19,31 +44,27 @@ const { shuffle } = require("./shuffle");
  * @returns {Array} Array of role strings for assignment
  */
 function buildRoleList(settings) {
-  const roleConfigs = [
-    { role: "killer", count: settings.killers || settings.roles?.killers || 2 },
-    { role: "healer", count: settings.healers || settings.roles?.healers || 1 },
-    { role: "police", count: settings.police || settings.roles?.police || 1 },
-  ];
-
   const roles = [];
   let specialRoleCount = 0;
 
-  for (const { role, count } of roleConfigs) {
+  for (const role of getDealtRoles()) {
+    const count = getRoleCount(settings, role);
     for (let i = 0; i < count; i++) {
       roles.push(role);
     }
     specialRoleCount += count;
   }
 
+  const { countKey } = ROLE_DEFINITIONS[FILLER_ROLE];
   const townspeopleCount = Math.max(
     0,
-    settings.townspeople ||
-      settings.roles?.townspeople ||
+    settings[countKey] ||
+      settings.roles?.[countKey] ||
       (settings.totalPlayers || 8) - specialRoleCount
   );
 
   for (let i = 0; i < townspeopleCount; i++) {
-    roles.push("townsperson");
+    roles.push(FILLER_ROLE);
   }
 
   return roles;
@@ -56,12 +77,16 @@ function buildRoleList(settings) {
  */
 function validateRoleDistribution(settings) {
   const totalPlayers = settings.totalPlayers || 8;
-  const killers = settings.killers || settings.roles?.killers || 2;
-  const healers = settings.healers || settings.roles?.healers || 1;
-  const police = settings.police || settings.roles?.police || 1;
-  const townspeople = settings.townspeople || settings.roles?.townspeople || 4;
-
-  const totalRoles = killers + healers + police + townspeople;
+  const totalRoles = sumRoleCounts(settings, Object.keys(ROLE_DEFINITIONS));
+  const mafia = sumRoleCounts(
+    settings,
+    getRolesWhere((definition) => definition.alignment === "mafia")
+  );
+  const townTotal = sumRoleCounts(
+    settings,
+    getRolesWhere((definition) => definition.alignment === "town")
+  );
+  const townspeople = getRoleCount(settings, FILLER_ROLE);
 
   // Check total count matches
   if (totalRoles !== totalPlayers) {
@@ -72,11 +97,17 @@ function validateRoleDistribution(settings) {
   }
 
   // Check minimum requirements
-  if (killers < 1) {
-    return {
-      valid: false,
-      message: "Must have at least 1 killer",
-    };
+  for (const role of getDealtRoles()) {
+    const { min } = ROLE_DEFINITIONS[role].count;
+    if (getRoleCount(settings, role) < min) {
+      return {
+        valid: false,
+        message: `Must have at least ${min} ${getRoleName(
+          role,
+          min
+        ).toLowerCase()}`,
+      };
+    }
   }
 
   if (townspeople < 0) {
@@ -99,13 +130,12 @@ function validateRoleDistribution(settings) {
     };
   }
 
-  // Check balance (killers shouldn't outnumber townspeople) - except for 3-player testing
-  const townTotal = healers + police + townspeople;
+  // Check balance (the mafia shouldn't outnumber townspeople) - except for 3-player testing
   if (totalPlayers === 3 && townspeople === 0) {
     console.log(
       "⚠️ RoleBuilder: Skipping balance check for 3-player testing mode"
     );
-  } else if (killers >= townTotal) {
+  } else if (mafia >= townTotal) {
     return {
       valid: false,
       message: "Too many killers - game would be unbalanced",
@@ -113,25 +143,17 @@ function validateRoleDistribution(settings) {
   }
 
   // Check maximum limits
-  if (killers > 5) {
-    return {
-      valid: false,
-      message: "Too many killers (maximum 5)",
-    };
-  }
-
-  if (healers > 3) {
-    return {
-      valid: false,
-      message: "Too many healers (maximum 3)",
-    };
-  }
-
-  if (police > 2) {
-    return {
-      valid: false,
-      message: "Too many police (maximum 2)",
-    };
+  for (const role of getDealtRoles()) {
+    const { max } = ROLE_DEFINITIONS[role].count;
+    if (getRoleCount(settings, role) > max) {
+      return {
+        valid: false,
+        message: `Too many ${getRoleName(
+          role,
+          max + 1
+        ).toLowerCase()} (maximum ${max})`,
+      };
+    }
   }
 
   return {
@@ -222,18 +244,14 @@ function autoBalanceRoles(settings) {
  * @returns {string} Human-readable summary
  */
 function getRoleDistributionSummary(settings) {
-  const killers = settings.killers || settings.roles?.killers || 0;
-  const healers = settings.healers || settings.roles?.healers || 0;
-  const police = settings.police || settings.roles?.police || 0;
-  const townspeople = settings.townspeople || settings.roles?.townspeople || 0;
-
-  const parts = [];
-  if (killers > 0) parts.push(`${killers} Killer${killers > 1 ? "s" : ""}`);
-  if (healers > 0) parts.push(`${healers} Healer${healers > 1 ? "s" : ""}`);
-  if (police > 0) parts.push(`${police} Police`);
-  if (townspeople > 0) parts.push(`${townspeople} Townspeople`);
-
-  return parts.join(", ");
+  return Object.keys(ROLE_DEFINITIONS)
+    .map((role) => {
+      const { countKey } = ROLE_DEFINITIONS[role];
+      const count = settings[countKey] || settings.roles?.[countKey] || 0;
+      return count > 0 ? `${count} ${getRoleName(role, count)}` : null;
+    })
+    .filter(Boolean)
+    .join(", ");
 }
 
 module.exports = {
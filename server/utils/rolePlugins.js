@@ -0,0 +1,299 @@
+/**
+ * Custom Role Plugins for LAN Mafia
+ *
+ * Loads house-rule roles from local JS modules (by default the
+ * `roles/` directory next to the server) at startup. Each module
+ * exports one role definition in the same shape as the built-in roles
+ * in roles.js, plus optional hooks:
+ *
+ * - onNight(action, tools): resolves the role's own night action
+ * - onDayAction(player, { players }): carries out its day action and
+ *   returns the public announcement (false refuses); it works
+ *   `dayActionUses` times a day (once by default)
+ * - onDeath(player, { cause, players }): may return a public announcement
+ * - checkWin(player, { players, lynchedId }): returns a reason (or true)
+ *   once the role has won
+ * - apparentAlignment(player): what police see, or a plain string
+ *
+ * Valid plugins are added to the role registry, so they are dealt,
+ * validated, shown in the host's role pickers and sent to clients like
+ * any built-in role.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  ROLE_DEFINITIONS,
+  ROLE_HOOK_NAMES,
+  registerRole,
+  unregisterRole,
+  hasRoleHook,
+} = require("../roles");
+const {
+  NIGHT_ACTIONS,
+  DAY_ACTIONS,
+  registerCustomNightAction,
+  registerCustomDayAction,
+} = require("../gameLogic");
+const logger = require("./logger");
+
+const ALIGNMENTS = ["mafia", "town", "neutral"];
+const GOALS = ["team", "lynched", "last_standing", "survive"];
+
+// Night text for custom roles that don't bring their own
+const DEFAULT_NIGHT_TEXT = {
+  instructions: "Choose a player to use your ability on tonight",
+  button: "Use Ability",
+};
+
+/**
+ * Validate a role plugin module
+ * @param {Object} plugin - Exported plugin module
+ * @returns {Object} Validation result
+ */
+function validateRolePlugin(plugin) {
+  if (!plugin || typeof plugin !== "object") {
+    return { valid: false, message: "Plugin must export an object" };
+  }
+
+  const { id, name, countKey, alignment, count } = plugin;
+
+  if (typeof id !== "string" || !/^[a-z][a-z0-9_]*$/.test(id)) {
+    return {
+      valid: false,
+      message: "Role id must be lowercase letters, digits and underscores",
+    };
+  }
+  if (ROLE_DEFINITIONS[id]) {
+    return { valid: false, message: `Role ${id} already exists` };
+  }
+
+  if (typeof name !== "string" || !name.trim()) {
+    return { valid: false, message: "Role name is required" };
+  }
+
+  if (typeof countKey !== "string" || !/^[a-zA-Z]+$/.test(countKey)) {
+    return { valid: false, message: "Count key must be letters only" };
+  }
+  if (
+    ["totalPlayers", "roles", "timers", "rules"].includes(countKey) ||
+    Object.values(ROLE_DEFINITIONS).some((d) => d.countKey === countKey)
+  ) {
+    return { valid: false, message: `Count key ${countKey} is taken` };
+  }
+
+  if (!ALIGNMENTS.includes(alignment)) {
+    return {
+      valid: false,
+      message: `Alignment must be one of ${ALIGNMENTS.join(", ")}`,
+    };
+  }
+
+  if (
+    !count ||
+    ![count.min, count.max, count.default].every(Number.isInteger) ||
+    count.min < 0 ||
+    count.min > count.default ||
+    count.default > count.max ||
+    count.max > 20
+  ) {
+    return {
+      valid: false,
+      message:
+        "Count needs whole numbers with 0 <= min <= default <= max <= 20",
+    };
+  }
+
+  for (const hook of ROLE_HOOK_NAMES) {
+    const value = plugin[hook];
+    const isAlignment =
+      hook === "apparentAlignment" && ALIGNMENTS.includes(value);
+    if (value !== undefined && typeof value !== "function" && !isAlignment) {
+      return { valid: false, message: `${hook} must be a function` };
+    }
+  }
+
+  if (plugin.goal !== undefined && !GOALS.includes(plugin.goal)) {
+    return {
+      valid: false,
+      message: `Goal must be one of ${GOALS.join(", ")} (or use checkWin)`,
+    };
+  }
+
+  // A role either brings a new night action with onNight, or reuses
+  // one the server already resolves
+  if (plugin.onNight) {
+    const type = plugin.nightAction || id;
+    if (NIGHT_ACTIONS[type]) {
+      return {
+        valid: false,
+        message: `Night action ${type} already exists - drop onNight to reuse it`,
+      };
+    }
+    if (typeof plugin.priority !== "number") {
+      return {
+        valid: false,
+        message: "A role with onNight needs a numeric priority",
+      };
+    }
+  } else if (plugin.nightAction && !NIGHT_ACTIONS[plugin.nightAction]) {
+    return {
+      valid: false,
+      message: `Unknown night action ${plugin.nightAction} - add onNight to define it`,
+    };
+  }
+
+  if (plugin.onDayAction) {
+    const type = plugin.dayAction || id;
+    if (DAY_ACTIONS[type]) {
+      return {
+        valid: false,
+        message: `Day action ${type} already exists - drop onDayAction to reuse it`,
+      };
+    }
+  } else if (plugin.dayAction && !DAY_ACTIONS[plugin.dayAction]) {
+    return {
+      valid: false,
+      message: `Unknown day action ${plugin.dayAction} - add onDayAction to define it`,
+    };
+  }
+
+  if (
+    plugin.dayActionUses !== undefined &&
+    !(Number.isInteger(plugin.dayActionUses) && plugin.dayActionUses > 0)
+  ) {
+    return {
+      valid: false,
+      message: "dayActionUses must be a whole number above 0",
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Add a validated plugin to the role registry and wire up its hooks
+ * @param {Object} plugin - Validated plugin module
+ */
+function registerRolePlugin(plugin) {
+  const {
+    id,
+    onNight,
+    onDayAction,
+    onDeath,
+    checkWin,
+    apparentAlignment,
+    priority,
+    canTargetSelf,
+    ...fields
+  } = plugin;
+
+  const nightAction = onNight ? fields.nightAction || id : fields.nightAction;
+  const dayAction = onDayAction ? fields.dayAction || id : fields.dayAction;
+
+  const definition = {
+    emoji: "🎭",
+    color: "#cccccc",
+    backgroundColor: "#222222",
+    summary: "",
+    description: "",
+    abilities: [],
+    winCondition: "",
+    ...fields,
+    goal: checkWin ? "custom" : fields.goal || "team",
+    nightAction,
+    dayAction,
+  };
+  if (nightAction) {
+    definition.night = {
+      title: `${definition.name}'s Turn`,
+      ...DEFAULT_NIGHT_TEXT,
+      ...fields.night,
+    };
+  }
+  if (dayAction && !definition.dayActionLabel) {
+    definition.dayActionLabel = "Use Ability";
+  }
+  if (typeof apparentAlignment === "string") {
+    definition.apparentAlignment = apparentAlignment;
+  }
+
+  registerRole(id, definition, {
+    onNight,
+    onDayAction,
+    onDeath,
+    checkWin,
+    apparentAlignment:
+      typeof apparentAlignment === "function" ? apparentAlignment : undefined,
+  });
+
+  if (onNight) {
+    registerCustomNightAction(nightAction, id, { priority, canTargetSelf });
+  }
+  if (onDayAction) {
+    registerCustomDayAction(dayAction, id);
+  }
+}
+
+/**
+ * Remove a plugin role from the registry, along with the night and day
+ * actions it brought
+ * @param {string} id - Role id of the plugin
+ */
+function unregisterRolePlugin(id) {
+  const definition = ROLE_DEFINITIONS[id];
+  if (!definition) return;
+
+  if (hasRoleHook(id, "onNight")) {
+    delete NIGHT_ACTIONS[definition.nightAction];
+  }
+  if (hasRoleHook(id, "onDayAction")) {
+    delete DAY_ACTIONS[definition.dayAction];
+  }
+  unregisterRole(id);
+}
+
+/**
+ * Load every role plugin in a directory. Invalid plugins are logged and
+ * skipped; the built-in roles always load.
+ * @param {string} directory - Directory of plugin modules (*.js)
+ * @returns {Object} Loaded role ids and per-file errors
+ */
+function loadRolePlugins(directory) {
+  const loaded = [];
+  const errors = [];
+
+  if (!fs.existsSync(directory)) {
+    return { loaded, errors };
+  }
+
+  const files = fs
+    .readdirSync(directory)
+    .filter((file) => file.endsWith(".js"))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const plugin = require(path.join(directory, file));
+      const validation = validateRolePlugin(plugin);
+      if (!validation.valid) {
+        throw new Error(validation.message);
+      }
+      registerRolePlugin(plugin);
+      loaded.push(plugin.id);
+      logger.server(`🎭 Loaded custom role ${plugin.name} from ${file}`);
+    } catch (error) {
+      errors.push({ file, message: error.message });
+      logger.warn(`⚠️ Skipped role plugin ${file}: ${error.message}`);
+    }
+  }
+
+  return { loaded, errors };
+}
+
+module.exports = {
+  validateRolePlugin,
+  registerRolePlugin,
+  unregisterRolePlugin,
+  loadRolePlugins,
+};
@@ -18,6 +18,7 @@ function checkRequiredFiles() {
     "gameLogic.js",
     "state.js",
     "settings.js",
+    "roomManager.js",
     "config.js",
     "package.json",
     "utils/logger.js",
@@ -26,6 +27,8 @@ function checkRequiredFiles() {
     "utils/testing.js",
     "utils/shuffle.js",
     "utils/roleBuilder.js",
+    "utils/persistence.js",
+    "utils/presets.js",
   ];
 
   const missing = [];
@@ -54,6 +57,7 @@ function checkModuleImports() {
     "./gameLogic",
     "./state",
     "./settings",
+    "./roomManager",
     "./config",
     "./utils/logger",
     "./utils/validation",
@@ -61,6 +65,8 @@ function checkModuleImports() {
     "./utils/testing",
     "./utils/shuffle",
     "./utils/roleBuilder",
+    "./utils/persistence",
+    "./utils/presets",
   ];
 
   const failed = [];
@@ -175,10 +181,10 @@ function checkStateManagement() {
   const issues = [];
 
   try {
-    const gameState = require("../state");
+    const { GameState } = require("../state");
 
     // Test basic state operations
-    gameState.reset();
+    const gameState = new GameState();
     const player = gameState.addPlayer("test_socket", "TestPlayer", true);
 
     if (!player || !player.id) {
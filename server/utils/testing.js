@@ -5,11 +5,30 @@
  * and server functionality for development and debugging.
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const gameLogic = require("../gameLogic");
-const gameState = require("../state");
-const settings = require("../settings");
-const { validatePlayerName, validateGameSettings } = require("./validation");
+const { GameState } = require("../state");
+const { GameSettings } = require("../settings");
+const roomManager = require("../roomManager");
+const projection = require("../projection");
+const config = require("../config");
+const { getRoleDefinition } = require("../roles");
+const {
+  validatePlayerName,
+  validateGameSettings,
+  validateChatMessage,
+  validateChatDeletion,
+  validatePlayerAction,
+} = require("./validation");
 const logger = require("./logger");
+const {
+  validateRolePlugin,
+  registerRolePlugin,
+  unregisterRolePlugin,
+} = require("./rolePlugins");
+const presetStore = require("./presets");
 
 /**
  * Test suite for game logic
@@ -58,6 +77,279 @@ function testGameLogic() {
     );
     logger.info("✅ Night actions processing test passed");
 
+    // Test mafia consensus: split picks give one kill, first pick breaks ties
+    const splitKills = [
+      { playerId: "1", action: "kill", target: "3", timestamp: 2000 },
+      { playerId: "2", action: "kill", target: "6", timestamp: 1000 },
+    ];
+    const sharedResults = gameLogic.processNightActions(
+      splitKills,
+      playersWithRoles
+    );
+    if (sharedResults.deaths.length !== 1 || sharedResults.deaths[0] !== "6") {
+      throw new Error("Shared mafia kill not resolved to one target");
+    }
+
+    const eachResults = gameLogic.processNightActions(
+      splitKills,
+      playersWithRoles,
+      { mafiaKillMode: "each" }
+    );
+    if (eachResults.deaths.length !== 2) {
+      throw new Error("Each-killer mode did not kill every target");
+    }
+    logger.info("✅ Mafia consensus kill test passed");
+
+    // Test role-blocks: a blocked player's action is dropped
+    const blockedResults = gameLogic.processNightActions(
+      [
+        { playerId: "6", action: "block", target: "4" },
+        { playerId: "4", action: "heal", target: "3" },
+        { playerId: "1", action: "kill", target: "3" },
+        { playerId: "5", action: "block", target: "2" },
+        { playerId: "2", action: "kill", target: "6" },
+      ],
+      playersWithRoles,
+      { mafiaKillMode: "each" }
+    );
+    if (
+      blockedResults.deaths.length !== 1 ||
+      blockedResults.deaths[0] !== "3" ||
+      blockedResults.heals.length !== 0
+    ) {
+      throw new Error("Role-blocked actions were not dropped");
+    }
+    if (blockedResults.roleBlocked.sort().join() !== "2,4") {
+      throw new Error("Role-blocked players not reported");
+    }
+    logger.info("✅ Role-block test passed");
+
+    // Test apparent alignments: the Godfather reads innocent, a frame
+    // makes its target read suspicious for the night
+    const disguisedPlayers = [
+      { id: "g", name: "Gus", role: "godfather", isAlive: true },
+      { id: "f", name: "Fay", role: "framer", isAlive: true },
+      { id: "p", name: "Pat", role: "police", isAlive: true },
+      { id: "p2", name: "Pip", role: "police", isAlive: true },
+      { id: "t", name: "Tom", role: "townsperson", isAlive: true },
+    ];
+    const disguised = gameLogic.processNightActions(
+      [
+        { playerId: "f", action: "frame", target: "t" },
+        { playerId: "p", action: "investigate", target: "g" },
+        { playerId: "p2", action: "investigate", target: "t" },
+      ],
+      disguisedPlayers
+    );
+    const readings = disguised.investigations.map((inv) => inv.result);
+    if (readings.join() !== "innocent,suspicious") {
+      throw new Error("Investigations ignored apparent alignments or frames");
+    }
+    logger.info("✅ Apparent alignment test passed");
+
+    // Test visits: blocked players visit no one, trackers and lookouts
+    // read the finished graph
+    const visitPlayers = [
+      { id: "k", name: "Kim", role: "killer", isAlive: true },
+      { id: "e", name: "Eve", role: "escort", isAlive: true },
+      { id: "h", name: "Hal", role: "healer", isAlive: true },
+      { id: "tr", name: "Tia", role: "tracker", isAlive: true },
+      { id: "lo", name: "Lou", role: "lookout", isAlive: true },
+      { id: "t", name: "Tom", role: "townsperson", isAlive: true },
+    ];
+    const visitResults = gameLogic.processNightActions(
+      [
+        { playerId: "e", action: "block", target: "h" },
+        { playerId: "h", action: "heal", target: "t" },
+        { playerId: "k", action: "kill", target: "t" },
+        { playerId: "tr", action: "track", target: "k" },
+        { playerId: "lo", action: "watch", target: "t" },
+      ],
+      visitPlayers
+    );
+    if (visitResults.visits.some((visit) => visit.visitor === "h")) {
+      throw new Error("A role-blocked player still visited");
+    }
+    if (
+      visitResults.trackings[0].visitedNames.join() !== "Tom" ||
+      visitResults.lookouts[0].visitorNames.join() !== "Kim"
+    ) {
+      throw new Error("Tracker or lookout misread the visits");
+    }
+    logger.info("✅ Visit tracking test passed");
+
+    // Test counter-kills: a bodyguard dies in their charge's place and
+    // takes the attacker down; a vigilante who shoots town dies of guilt
+    const guardPlayers = [
+      { id: "k", name: "Kim", role: "killer", isAlive: true },
+      { id: "b", name: "Bo", role: "bodyguard", isAlive: true },
+      { id: "v", name: "Vi", role: "vigilante", isAlive: true },
+      { id: "t", name: "Tom", role: "townsperson", isAlive: true },
+      { id: "u", name: "Una", role: "townsperson", isAlive: true },
+    ];
+    const guardResults = gameLogic.processNightActions(
+      [
+        { playerId: "b", action: "guard", target: "t", role: "bodyguard" },
+        { playerId: "k", action: "kill", target: "t", role: "killer" },
+        { playerId: "v", action: "kill", target: "u", role: "vigilante" },
+      ],
+      guardPlayers
+    );
+    if ([...guardResults.deaths].sort().join() !== "b,k,u,v") {
+      throw new Error("Bodyguard or vigilante outcome resolved incorrectly");
+    }
+
+    // Test vigilante shots over several nights: each shot is kept in the
+    // game state, and once they are spent the validator refuses another
+    const shotState = new GameState();
+    ["Vi", "Kim", "Kit", "Tom", "Una"].forEach((name, i) =>
+      shotState.addPlayer(`shot-socket-${i}`, name)
+    );
+    const [vigilante, ...shotTargets] = shotState.getPlayers();
+    shotState.setRoleAssignments(
+      ["vigilante", "killer", "killer", "townsperson", "townsperson"].map(
+        (role, i) => ({ playerId: shotState.getPlayers()[i].id, role })
+      )
+    );
+    const takeShot = (target) => {
+      const validation = validatePlayerAction("kill", vigilante.id, target.id, {
+        role: vigilante.role,
+        players: shotState.getPlayers(),
+        usesLeft: gameLogic.getUsesLeft(
+          vigilante.role,
+          shotState.getAbilityUses(vigilante.id)
+        ),
+      });
+      if (!validation.valid) return validation;
+
+      shotState.nextRound();
+      const shotResults = gameLogic.processNightActions(
+        [{ playerId: vigilante.id, action: "kill", target: target.id }],
+        shotState.getPlayers()
+      );
+      gameLogic
+        .getSpentAbilityUsers(shotResults, shotState.getPlayers())
+        .forEach((playerId) => shotState.recordAbilityUse(playerId));
+      shotResults.deaths.forEach((playerId) =>
+        shotState.killPlayer(playerId, "killed")
+      );
+      return validation;
+    };
+    const shots = getRoleDefinition("vigilante").abilityUses;
+    for (let night = 0; night < shots; night++) {
+      if (!takeShot(shotTargets[night]).valid) {
+        throw new Error(`Vigilante shot ${night + 1} was refused`);
+      }
+    }
+    const restored = new GameState();
+    restored.restoreSnapshot(shotState.toSnapshot());
+    if (
+      shotState.getAbilityUses(vigilante.id) !== shots ||
+      restored.getAbilityUses(vigilante.id) !== shots ||
+      shotTargets.slice(0, shots).some((p) => p.isAlive) ||
+      takeShot(shotTargets[shots]).message !==
+        "You have used up your ability for this game" ||
+      !shotTargets[shots].isAlive
+    ) {
+      throw new Error("Spent vigilante shots were not enforced");
+    }
+    logger.info("✅ Counter-kill test passed");
+
+    // Test weighted votes: a revealed Mayor's ballot counts triple
+    const mayor = { id: "m", name: "May", role: "mayor", isAlive: true };
+    const votePlayers = [
+      mayor,
+      { id: "a", name: "Ann", role: "townsperson", isAlive: true },
+      { id: "b", name: "Ben", role: "townsperson", isAlive: true },
+      { id: "k", name: "Kim", role: "killer", isAlive: true },
+    ];
+    const mayorVotes = [
+      { playerId: "m", targetId: "k" },
+      { playerId: "a", targetId: "b" },
+      { playerId: "k", targetId: "b" },
+    ];
+    if (
+      gameLogic.processVotes(mayorVotes, votePlayers).eliminated?.id !== "b"
+    ) {
+      throw new Error("An unrevealed Mayor's vote should count once");
+    }
+    gameLogic.DAY_ACTIONS.reveal.apply(mayor);
+    const weightedResults = gameLogic.processVotes(mayorVotes, votePlayers);
+    if (
+      weightedResults.eliminated?.id !== "k" ||
+      weightedResults.votes.k !== 3 ||
+      weightedResults.voteWeights.m !== 3
+    ) {
+      throw new Error("A revealed Mayor's vote should count triple");
+    }
+    logger.info("✅ Weighted vote test passed");
+
+    // Test a custom role plugin: its onNight hook kills and reports
+    // privately, and its checkWin hook ends the game
+    const poisoner = {
+      id: "test_poisoner",
+      name: "Poisoner",
+      countKey: "testPoisoners",
+      alignment: "neutral",
+      count: { min: 0, max: 1, default: 0 },
+      nightAction: "poison",
+      priority: 4,
+      onNight: (action, tools) => {
+        tools.attack(action.target);
+        tools.tell(action.playerId, `You poisoned ${tools.target.name}`);
+      },
+      checkWin: (player, { players }) =>
+        player.isAlive && players.filter((p) => p.isAlive).length === 1,
+      onDayAction: (player) => `${player.name} gloats`,
+    };
+    if (validateRolePlugin({ ...poisoner, alignment: "chaotic" }).valid) {
+      throw new Error("Invalid role plugin was accepted");
+    }
+    if (!validateRolePlugin(poisoner).valid) {
+      throw new Error("Valid role plugin was rejected");
+    }
+    // Registered in the live registry (this also runs from /test on a
+    // running server), so it must always be removed again
+    registerRolePlugin(poisoner);
+    try {
+      const pluginPlayers = [
+        { id: "p", name: "Pia", role: "test_poisoner", isAlive: true },
+        { id: "t", name: "Tom", role: "townsperson", isAlive: true },
+      ];
+      const poisonResults = gameLogic.processNightActions(
+        [{ playerId: "p", action: "poison", target: "t" }],
+        pluginPlayers
+      );
+      pluginPlayers[1].isAlive = false;
+      if (
+        poisonResults.deaths.join() !== "t" ||
+        poisonResults.roleMessages[0]?.playerId !== "p" ||
+        gameLogic.checkWinCondition(pluginPlayers).winner !== "test_poisoner" ||
+        validateRolePlugin(poisoner).valid
+      ) {
+        throw new Error("Custom role hooks resolved incorrectly");
+      }
+
+      // Its day action works once a day, counted in the game state
+      const gloat = gameLogic.DAY_ACTIONS.test_poisoner;
+      const dayState = new GameState();
+      dayState.nextRound();
+      dayState.recordDayActionUse("p");
+      const usedToday = dayState.getDayActionUses("p");
+      dayState.nextRound();
+      if (
+        !gloat.canUse(pluginPlayers[0], 0) ||
+        gloat.canUse(pluginPlayers[0], usedToday) ||
+        dayState.getDayActionUses("p") !== 0 ||
+        gloat.apply(pluginPlayers[0], pluginPlayers) !== "Pia gloats"
+      ) {
+        throw new Error("Custom day action limits resolved incorrectly");
+      }
+    } finally {
+      unregisterRolePlugin(poisoner.id);
+    }
+    logger.info("✅ Role plugin test passed");
+
     // Test voting
     const votes = [
       { playerId: "1", targetId: "2" },
@@ -69,10 +361,148 @@ function testGameLogic() {
     const voteResults = gameLogic.processVotes(votes, playersWithRoles);
     logger.info("✅ Voting processing test passed");
 
+    // Test vote rules: thresholds, no-lynch and tie-breaks
+    const short = gameLogic.processVotes(votes, playersWithRoles, {
+      voteThreshold: "supermajority",
+    });
+    if (short.eliminated || short.requiredVotes <= 3) {
+      throw new Error("Supermajority threshold not enforced");
+    }
+
+    const noLynch = gameLogic.processVotes(
+      [
+        { playerId: "1", targetId: "2" },
+        { playerId: "2", targetId: gameLogic.NO_LYNCH },
+      ],
+      playersWithRoles
+    );
+    if (!noLynch.noLynch || noLynch.eliminated) {
+      throw new Error("No-lynch should win a tie it is part of");
+    }
+
+    const tiedVotes = [
+      { playerId: "1", targetId: "2" },
+      { playerId: "2", targetId: "1" },
+    ];
+    const revote = gameLogic.processVotes(tiedVotes, playersWithRoles, {
+      voteTieBreak: "revote",
+    });
+    if (revote.eliminated || revote.revoteCandidates.length !== 2) {
+      throw new Error("Tie did not call a revote");
+    }
+    const secondTie = gameLogic.processVotes(tiedVotes, playersWithRoles, {
+      voteTieBreak: "revote",
+      isRevote: true,
+    });
+    if (secondTie.eliminated || secondTie.revoteCandidates) {
+      throw new Error("A tied revote should eliminate no one");
+    }
+    const randomPick = gameLogic.processVotes(tiedVotes, playersWithRoles, {
+      voteTieBreak: "random",
+    });
+    if (!["1", "2"].includes(randomPick.eliminated?.id)) {
+      throw new Error("Random tie-break did not pick a tied player");
+    }
+    if (
+      gameLogic.findHammerTarget(
+        votes.slice(0, 3),
+        playersWithRoles,
+        "majority"
+      ) !== null ||
+      gameLogic.findHammerTarget(
+        [...votes, { playerId: "5", targetId: "1" }],
+        playersWithRoles,
+        "majority"
+      ) !== "1"
+    ) {
+      throw new Error("Hammer should fall exactly at a majority");
+    }
+
+    // With seven alive, four votes hammer a majority but not two thirds,
+    // and a plurality vote never hammers
+    const sevenAlive = [
+      ...playersWithRoles,
+      { id: "7", name: "Player7", role: "townsperson", isAlive: true },
+    ];
+    const fourOnOne = [...votes, { playerId: "5", targetId: "1" }];
+    if (
+      gameLogic.findHammerTarget(fourOnOne, sevenAlive, "majority") !== "1" ||
+      gameLogic.findHammerTarget(fourOnOne, sevenAlive, "supermajority") !==
+        null ||
+      gameLogic.findHammerTarget(
+        [...fourOnOne, { playerId: "6", targetId: "1" }],
+        sevenAlive,
+        "supermajority"
+      ) !== "1" ||
+      gameLogic.findHammerTarget(fourOnOne, sevenAlive, "plurality") !== null ||
+      gameLogic.getHammerVotes("supermajority", sevenAlive) !==
+        gameLogic.processVotes(fourOnOne, sevenAlive, {
+          voteThreshold: "supermajority",
+        }).requiredVotes
+    ) {
+      throw new Error("Hammer should follow the vote threshold");
+    }
+    logger.info("✅ Vote rules test passed");
+
+    // Test judgement: guilty must outnumber innocent, a tie acquits
+    const accused = playersWithRoles[0];
+    const guiltyVerdict = gameLogic.processJudgement(
+      [
+        { playerId: "2", verdict: "guilty" },
+        { playerId: "3", verdict: "guilty" },
+        { playerId: "4", verdict: "innocent" },
+      ],
+      accused,
+      playersWithRoles
+    );
+    if (!guiltyVerdict.convicted || guiltyVerdict.eliminated !== accused) {
+      throw new Error("Guilty majority did not convict the accused");
+    }
+
+    const tiedVerdict = gameLogic.processJudgement(
+      [
+        { playerId: "2", verdict: "guilty" },
+        { playerId: "3", verdict: "innocent" },
+      ],
+      accused,
+      playersWithRoles
+    );
+    if (tiedVerdict.convicted || tiedVerdict.eliminated) {
+      throw new Error("Tied judgement should acquit the accused");
+    }
+    logger.info("✅ Judgement processing test passed");
+
     // Test win conditions
     const winCheck = gameLogic.checkWinCondition(playersWithRoles);
     logger.info("✅ Win condition check test passed");
 
+    // Test neutral wins: lynched Jester, last Serial Killer, Survivors share
+    const neutralPlayers = [
+      { id: "j", name: "Jo", role: "jester", isAlive: false },
+      { id: "s", name: "Sam", role: "survivor", isAlive: true },
+      { id: "sk", name: "Sid", role: "serial_killer", isAlive: true },
+      { id: "k", name: "Kim", role: "killer", isAlive: true },
+      { id: "t", name: "Tom", role: "townsperson", isAlive: true },
+    ];
+    const jesterWin = gameLogic.checkWinCondition(neutralPlayers, {
+      lynchedId: "j",
+    });
+    if (jesterWin.winner !== "jester" || jesterWin.winners.join() !== "j,s") {
+      throw new Error("Lynched Jester did not win alongside the Survivor");
+    }
+    if (gameLogic.checkWinCondition(neutralPlayers).gameOver) {
+      throw new Error("Mafia won with a Serial Killer still alive");
+    }
+    const skWin = gameLogic.checkWinCondition(
+      neutralPlayers.map((p) =>
+        ["k", "t"].includes(p.id) ? { ...p, isAlive: false } : p
+      )
+    );
+    if (skWin.winner !== "serial_killer" || skWin.winners.length !== 2) {
+      throw new Error("Last Serial Killer standing did not win");
+    }
+    logger.info("✅ Neutral win condition test passed");
+
     return true;
   } catch (error) {
     logger.error("❌ Game logic test failed:", error);
@@ -87,8 +517,7 @@ function testGameState() {
   logger.info("Running game state tests...");
 
   try {
-    // Reset state
-    gameState.reset();
+    const gameState = new GameState();
 
     // Test player management
     const player1 = gameState.addPlayer("socket1", "TestPlayer1", true);
@@ -125,6 +554,79 @@ function testGameState() {
       throw new Error("Vote recording failed");
     }
 
+    // Test host migration: longest-connected player unless a co-host is set
+    const player3 = gameState.addPlayer("socket3", "TestPlayer3", false);
+    player3.connectedAt = new Date(player2.connectedAt.getTime() + 1000);
+    gameState.markPlayerDisconnected("socket1");
+
+    if (gameState.getHostSuccessor() !== player2) {
+      throw new Error("Longest-connected player not chosen as successor");
+    }
+
+    gameState.setCoHost(player3.id);
+    if (gameState.getHostSuccessor() !== player3) {
+      throw new Error("Co-host not chosen as successor");
+    }
+
+    gameState.transferHost(player3.id);
+    if (
+      !gameState.isHost("socket3") ||
+      !player3.isHost ||
+      player1.isHost ||
+      player3.isCoHost
+    ) {
+      throw new Error("Host transfer failed");
+    }
+
+    // Test chat moderation
+    const chatMessage = gameState.addChatMessage("day", player2, "hi");
+    gameState.setChatMuted(player2.id, true);
+    if (
+      !gameState.isChatMuted(player2.id) ||
+      !gameState.deleteChatMessage(chatMessage.id) ||
+      gameState.getChatMessages("day")[0].message !== null
+    ) {
+      throw new Error("Chat moderation failed");
+    }
+
+    // The host can't delete from the private mafia chat
+    const mafiaMessage = gameState.addChatMessage("mafia", player1, "psst");
+    if (
+      validateChatDeletion(gameState.getChatMessage(mafiaMessage.id)).valid ||
+      validateChatDeletion(gameState.getChatMessage(chatMessage.id)).valid ||
+      mafiaMessage.deleted ||
+      mafiaMessage.message !== "psst"
+    ) {
+      throw new Error("Mafia chat message not protected from deletion");
+    }
+
+    // Test spectators: no seat, but their names are reserved
+    gameState.addSpectator("socket9", "Watcher", true);
+    if (
+      gameState.getPlayerCount() !== 3 ||
+      !gameState.isNameTaken("watcher") ||
+      !gameState.getSpectatorBySocketId("socket9").queuedForNextGame
+    ) {
+      throw new Error("Spectator tracking failed");
+    }
+
+    gameState.removeSpectator("socket9");
+    if (gameState.getSpectators().length !== 0) {
+      throw new Error("Spectator removal failed");
+    }
+
+    // Test last wills: private until death, then in the death record
+    gameState.setLastWill(player2.id, "Charlie is a killer");
+    const willRecord = gameState.killPlayer(player2.id, "lynched");
+    if (willRecord.lastWill !== "Charlie is a killer") {
+      throw new Error("Last will not published on death");
+    }
+
+    gameState.setLastWill(player1.id, "");
+    if (gameState.getLastWill(player1.id) !== "") {
+      throw new Error("Empty last will did not clear it");
+    }
+
     logger.info("✅ Game state management tests passed");
     return true;
   } catch (error) {
@@ -168,6 +670,50 @@ function testValidation() {
       throw new Error("Invalid settings accepted");
     }
 
+    // Test chat message validation
+    if (!validateChatMessage("Take out the healer").valid) {
+      throw new Error("Valid chat message rejected");
+    }
+
+    if (
+      validateChatMessage("   ").valid ||
+      validateChatMessage("x".repeat(501)).valid
+    ) {
+      throw new Error("Invalid chat message accepted");
+    }
+
+    // Test night action rules: self-heal, repeat heals and role targets
+    const nightPlayers = [
+      { id: "h", role: "healer", isAlive: true },
+      { id: "k1", role: "killer", isAlive: true },
+      { id: "k2", role: "killer", isAlive: true },
+      { id: "t", role: "townsperson", isAlive: true },
+    ];
+    const healContext = {
+      role: "healer",
+      rules: { allowSelfHeal: false, allowConsecutiveHeals: false },
+      players: nightPlayers,
+      previousActions: [{ playerId: "h", action: "heal", target: "t" }],
+    };
+    if (validatePlayerAction("heal", "h", "h", healContext).valid) {
+      throw new Error("Self-heal accepted while the rule is off");
+    }
+    if (validatePlayerAction("heal", "h", "t", healContext).valid) {
+      throw new Error("Same heal target accepted two nights in a row");
+    }
+    if (!validatePlayerAction("heal", "h", "k1", healContext).valid) {
+      throw new Error("Valid heal rejected");
+    }
+    if (
+      validatePlayerAction("kill", "k1", "k2", {
+        role: "killer",
+        players: nightPlayers,
+      }).valid ||
+      validatePlayerAction("kill", "h", "t", { role: "healer" }).valid
+    ) {
+      throw new Error("Invalid kill accepted");
+    }
+
     logger.info("✅ Validation tests passed");
     return true;
   } catch (error) {
@@ -183,6 +729,8 @@ function testSettings() {
   logger.info("Running settings tests...");
 
   try {
+    const settings = new GameSettings();
+
     // Test default settings
     const defaults = settings.getDefaultSettings();
     if (!defaults || !defaults.totalPlayers) {
@@ -206,6 +754,85 @@ function testSettings() {
       throw new Error("Valid settings marked as invalid");
     }
 
+    // Test the summary lists every dealt role by alignment
+    settings.updateSettings({
+      totalPlayers: 8,
+      roles: { ...newSettings.roles, trackers: 1, townspeople: 3 },
+    });
+    if (
+      settings.getSettingsSummary().roleDistribution !==
+      "Mafia: 2 Killers | Town: 1 Healer, 1 Police, 1 Tracker, 3 Townspeople"
+    ) {
+      throw new Error("Settings summary is missing roles");
+    }
+
+    // Test setup presets, kept in a scratch file
+    const presetsFile = presetStore.presetsFile;
+    presetStore.presetsFile = path.join(
+      os.tmpdir(),
+      `presets-${Date.now()}.json`
+    );
+    presetStore.presets = null;
+    try {
+      const saved = presetStore.save(" Classic 8 ", {
+        ...newSettings,
+        timers: { nightTimer: 45, discussionTimer: 90 },
+        rules: { hammer: true },
+      });
+      if (!saved.valid || saved.preset.name !== "Classic 8") {
+        throw new Error("Preset was not saved");
+      }
+      if (presetStore.save("Broken", { roles: { killers: 0 } }).valid) {
+        throw new Error("Preset with invalid role counts was saved");
+      }
+
+      // Exported files import again, after a reload from disk
+      const file = presetStore.exportPreset("classic 8");
+      presetStore.remove("Classic 8");
+      presetStore.presets = null;
+      if (presetStore.list().length !== 0) {
+        throw new Error("Preset was not deleted");
+      }
+      const imported = presetStore.importPreset(file.contents);
+      if (
+        !imported.valid ||
+        imported.preset.settings.roles.killers !== 2 ||
+        imported.preset.settings.timers.nightTimer !== 45 ||
+        !imported.preset.settings.rules.hammer ||
+        file.fileName !== "classic-8.json"
+      ) {
+        throw new Error("Exported preset did not import");
+      }
+
+      const oldFile = JSON.stringify({
+        ...JSON.parse(file.contents),
+        version: 0,
+      });
+      if (presetStore.importPreset(oldFile).valid) {
+        throw new Error("Preset file with an unknown version was imported");
+      }
+
+      // Malformed files are turned away with a message, never a crash
+      const malformed = [
+        "{not json",
+        JSON.stringify({ version: 1, name: "X", settings: { roles: null } }),
+        JSON.stringify({ version: 1, name: "X", settings: null }),
+        JSON.stringify({ version: 1, name: "X", settings: { roles: [5] } }),
+        JSON.stringify({ version: 1, settings: { roles: { killers: 1 } } }),
+        "null",
+      ];
+      for (const contents of malformed) {
+        const result = presetStore.importPreset(contents);
+        if (result.valid || !result.message) {
+          throw new Error(`Malformed preset file was imported: ${contents}`);
+        }
+      }
+    } finally {
+      fs.rmSync(presetStore.presetsFile, { force: true });
+      presetStore.presetsFile = presetsFile;
+      presetStore.presets = null;
+    }
+
     logger.info("✅ Settings management tests passed");
     return true;
   } catch (error) {
@@ -214,6 +841,262 @@ function testSettings() {
   }
 }
 
+/**
+ * Test suite for the multi-room manager
+ */
+function testRoomManager() {
+  logger.info("Running room manager tests...");
+
+  const rooms = [];
+  try {
+    const first = roomManager.createRoom();
+    const second = roomManager.createRoom();
+    rooms.push(first, second);
+
+    if (first.code === second.code || first.channel === second.channel) {
+      throw new Error("Rooms share a game code");
+    }
+
+    if (roomManager.getRoom(first.code.toLowerCase()) !== first) {
+      throw new Error("Room lookup by code failed");
+    }
+
+    // Players and phases must stay inside their own room
+    first.state.addPlayer("socket1", "Alice", true);
+    second.state.addPlayer("socket2", "Bob", true);
+    roomManager.bindSocket("socket1", first.code);
+    roomManager.bindSocket("socket2", second.code);
+    first.state.setPhase("night");
+
+    if (roomManager.getRoomBySocketId("socket2") !== second) {
+      throw new Error("Socket routed to the wrong room");
+    }
+
+    if (
+      second.state.getPlayerCount() !== 1 ||
+      second.state.getCurrentPhase() !== "lobby"
+    ) {
+      throw new Error("Room state leaked between games");
+    }
+
+    // A session token lets a new socket reclaim the same seat
+    const bob = second.state.getPlayerBySocketId("socket2");
+    const token = bob.sessionToken;
+    const session = roomManager.findSession(token);
+    if (!session || session.room !== second || session.player !== bob) {
+      throw new Error("Session lookup failed");
+    }
+
+    second.state.markPlayerDisconnected("socket2");
+    second.state.reconnectPlayer(bob.id, "socket3");
+    if (
+      second.state.getPlayerBySocketId("socket3") !== bob ||
+      second.state.getPlayerBySocketId("socket2") ||
+      !bob.isConnected ||
+      !second.state.isHost("socket3")
+    ) {
+      throw new Error("Player was not rebound to the new socket");
+    }
+
+    second.state.revokeSession(bob.id);
+    if (roomManager.findSession(token)) {
+      throw new Error("Revoked session can still be resumed");
+    }
+
+    // Chat rate limit: a burst beyond the limit is refused
+    const chatLimit = config.get("security.chatRateLimit").max;
+    for (let i = 0; i < chatLimit; i++) {
+      if (!first.allowChatMessage("player_a")) {
+        throw new Error("Chat message refused below the rate limit");
+      }
+    }
+    if (
+      first.allowChatMessage("player_a") ||
+      !first.allowChatMessage("player_b")
+    ) {
+      throw new Error("Chat rate limit not applied per player");
+    }
+
+    roomManager.closeRoom(first.code);
+    if (
+      roomManager.getRoom(first.code) ||
+      roomManager.getRoomBySocketId("socket1")
+    ) {
+      throw new Error("Closed room still reachable");
+    }
+
+    // Snapshots survive a JSON round trip with players awaiting resume
+    const carol = second.state.addPlayer("socket4", "Carol", false);
+    second.state.setPhase("night");
+    second.state.addNightAction({ playerId: carol.id, action: "kill" });
+    second.timeLeft = 12;
+    const snapshot = JSON.parse(JSON.stringify(second.toSnapshot()));
+    roomManager.closeRoom(second.code);
+    const restored = roomManager.restoreRoom(snapshot);
+    rooms.push(restored);
+
+    const restoredCarol = restored.state.getPlayerBySessionToken(
+      carol.sessionToken
+    );
+    if (
+      restored.state.getCurrentPhase() !== "night" ||
+      restored.state.getNightActions().length !== 1 ||
+      restored.pausedTimer.timeLeft !== 12 ||
+      !restoredCarol ||
+      restoredCarol.isConnected
+    ) {
+      throw new Error("Room not restored from snapshot");
+    }
+
+    logger.info("✅ Room manager tests passed");
+    return true;
+  } catch (error) {
+    logger.error("❌ Room manager test failed:", error);
+    return false;
+  } finally {
+    rooms.forEach((room) => roomManager.closeRoom(room.code));
+  }
+}
+
+/**
+ * Test suite for per-viewer state projection
+ */
+function testProjection() {
+  logger.info("Running projection tests...");
+
+  let room = null;
+  try {
+    room = roomManager.createRoom();
+    const killer1 = room.state.addPlayer("socket1", "Alice", true);
+    const killer2 = room.state.addPlayer("socket2", "Bob", false);
+    const healer = room.state.addPlayer("socket3", "Charlie", false);
+    const victim = room.state.addPlayer("socket4", "Diana", false);
+    room.state.setRoleAssignments([
+      { playerId: killer1.id, role: "killer" },
+      { playerId: killer2.id, role: "killer" },
+      { playerId: healer.id, role: "healer" },
+      { playerId: victim.id, role: "townsperson" },
+    ]);
+    room.state.setPhase("night");
+
+    const roleOf = (view, player) => view.find((p) => p.id === player.id).role;
+
+    // Public view hides every living role
+    const publicView = projection.getPlayersView(room);
+    if (publicView.some((p) => p.role !== null)) {
+      throw new Error("Public view leaked a role");
+    }
+
+    if (publicView.some((p) => "sessionToken" in p)) {
+      throw new Error("Public view leaked a session token");
+    }
+
+    // Town sees only their own role, killers see each other
+    const healerView = projection.getPlayersView(room, healer);
+    if (
+      roleOf(healerView, healer) !== "healer" ||
+      roleOf(healerView, killer1) !== null
+    ) {
+      throw new Error("Town view is wrong");
+    }
+
+    const killerView = projection.getPlayersView(room, killer1);
+    if (
+      roleOf(killerView, killer2) !== "killer" ||
+      roleOf(killerView, healer) !== null
+    ) {
+      throw new Error("Killer view is wrong");
+    }
+
+    // Dead roles follow revealRoleOnDeath
+    const death = room.state.killPlayer(victim.id, "killed");
+    if (roleOf(projection.getPlayersView(room), victim) !== "townsperson") {
+      throw new Error("Dead role not revealed");
+    }
+
+    if (
+      death.cause !== "killed" ||
+      death.time !== "night" ||
+      room.state.killPlayer(victim.id) !== null ||
+      projection.getGraveyardView(room)[0].role !== "townsperson"
+    ) {
+      throw new Error("Death record is wrong");
+    }
+
+    room.settings.updateSettings({
+      rules: { ...room.settings.getSetting("rules"), revealRoleOnDeath: false },
+    });
+    if (
+      roleOf(projection.getPlayersView(room), victim) !== null ||
+      projection.getGraveyardView(room)[0].role !== null
+    ) {
+      throw new Error("Dead role revealed despite revealRoleOnDeath=false");
+    }
+
+    // Heals and investigation details never go public
+    const nightResults = projection.getPublicNightResults(
+      {
+        deaths: [],
+        heals: [victim.id],
+        investigations: [
+          { investigator: healer.id, target: killer1.id, result: "suspicious" },
+        ],
+        message: "",
+      },
+      room
+    );
+    if (nightResults.heals || nightResults.investigations[0].result) {
+      throw new Error("Night results leaked hidden information");
+    }
+
+    // Juror names only go out when voting is public
+    const judgement = gameLogic.processJudgement(
+      [{ playerId: healer.id, verdict: "guilty" }],
+      killer1,
+      room.state.getPlayers()
+    );
+    const secretBallot = projection.getPublicRoundResults(judgement, room);
+    if (
+      secretBallot.guilty ||
+      secretBallot.innocent ||
+      secretBallot.guiltyVotes !== 1
+    ) {
+      throw new Error("Secret judgement leaked juror names");
+    }
+
+    room.settings.updateSettings({
+      rules: { ...room.settings.getSetting("rules"), publicVoting: true },
+    });
+    const openBallot = projection.getPublicRoundResults(judgement, room);
+    if (openBallot.guilty[0] !== healer.name || openBallot.innocent.length) {
+      throw new Error("Public judgement hid juror names");
+    }
+
+    // Test role metadata: every night action is one the server resolves
+    const metadata = projection.getRoleMetadataView();
+    const unknownAction = Object.values(metadata).find(
+      (role) => role.nightAction && !gameLogic.NIGHT_ACTIONS[role.nightAction]
+    );
+    if (
+      unknownAction ||
+      metadata.killer.actionPriority !== 4 ||
+      !metadata.healer.canTargetSelf ||
+      metadata.townsperson.count.max !== null ||
+      metadata.police.plural !== "Police"
+    ) {
+      throw new Error("Role metadata does not match the night rules");
+    }
+
+    logger.info("✅ Projection tests passed");
+    return true;
+  } catch (error) {
+    logger.error("❌ Projection test failed:", error);
+    return false;
+  } finally {
+    if (room) roomManager.closeRoom(room.code);
+  }
+}
+
 /**
  * Run all tests
  */
@@ -225,6 +1108,8 @@ function runAllTests() {
     gameState: testGameState(),
     validation: testValidation(),
     settings: testSettings(),
+    roomManager: testRoomManager(),
+    projection: testProjection(),
   };
 
   const passed = Object.values(results).filter(Boolean).length;
@@ -283,8 +1168,9 @@ function simulateGame() {
   logger.info("🎮 Simulating a complete game...");
 
   try {
-    // Reset and setup
-    gameState.reset();
+    // Setup a fresh game
+    const gameState = new GameState();
+    const settings = new GameSettings();
     const testPlayers = generateTestPlayers(6);
 
     // Add players to game state
@@ -327,6 +1213,8 @@ module.exports = {
   testGameState,
   testValidation,
   testSettings,
+  testRoomManager,
+  testProjection,
   runAllTests,
   generateTestPlayers,
   simulateGame,
@@ -6,6 +6,8 @@
  */
 
 const config = require("../config");
+const { isMafiaRole, NIGHT_ACTIONS } = require("../gameLogic");
+const { ROLE_DEFINITIONS, getRoleDefinition } = require("../roles");
 
 /**
  * Validate player name
@@ -103,16 +105,19 @@ function validateGameSettings(settings) {
     totalPlayers = settings.totalPlayers;
   } else {
     // Flat format (legacy)
-    roles = {
-      killers: settings.killers,
-      healers: settings.healers,
-      police: settings.police,
-      townspeople: settings.townspeople,
-    };
+    roles = Object.fromEntries(
+      Object.values(ROLE_DEFINITIONS).map(({ countKey }) => [
+        countKey,
+        settings[countKey],
+      ])
+    );
     timers = {
       nightTimer: settings.nightTimer,
       discussionTimer: settings.discussionTimer,
       votingTimer: settings.votingTimer,
+      trialTimer: settings.trialTimer,
+      judgementTimer: settings.judgementTimer,
+      finalWordsTimer: settings.finalWordsTimer,
     };
     totalPlayers = settings.totalPlayers;
   }
@@ -140,18 +145,14 @@ function validateGameSettings(settings) {
   }
 
   // Validate roles using helper function
-  const roleValidationRules = [
-    { name: "killers", value: roles.killers, min: 1, max: 5, required: true },
-    { name: "healers", value: roles.healers, min: 0, max: 3, required: false },
-    { name: "police", value: roles.police, min: 0, max: 2, required: false },
-    {
-      name: "townspeople",
-      value: roles.townspeople,
-      min: 0,
-      max: Infinity,
-      required: false,
-    },
-  ];
+  const roleValidationRules = Object.values(ROLE_DEFINITIONS).map(
+    ({ countKey, count }) => ({
+      name: countKey,
+      value: roles[countKey],
+      min: count.min,
+      max: count.max,
+    })
+  );
 
   for (const rule of roleValidationRules) {
     if (rule.value !== undefined) {
@@ -194,6 +195,19 @@ function validateGameSettings(settings) {
         max: 600,
       },
       { name: "votingTimer", value: timers.votingTimer, min: 15, max: 300 },
+      { name: "trialTimer", value: timers.trialTimer, min: 10, max: 120 },
+      {
+        name: "judgementTimer",
+        value: timers.judgementTimer,
+        min: 10,
+        max: 120,
+      },
+      {
+        name: "finalWordsTimer",
+        value: timers.finalWordsTimer,
+        min: 5,
+        max: 60,
+      },
     ];
 
     for (const timer of timerRules) {
@@ -260,10 +274,16 @@ function validateRoomCode(roomCode) {
  * @param {string} action - Action type
  * @param {string} playerId - Player performing action
  * @param {string} targetId - Target of action (optional)
+ * @param {Object} context - Game context for night actions (optional)
+ * @param {string} context.role - Role of the acting player
+ * @param {Object} context.rules - Current game rules
+ * @param {Array} context.players - Current player list
+ * @param {Array} context.previousActions - Night actions from the night before
+ * @param {number|null} context.usesLeft - Uses left of a limited-use ability
  * @returns {Object} Validation result
  */
-function validatePlayerAction(action, playerId, targetId = null) {
-  const validActions = ["kill", "heal", "investigate", "vote"];
+function validatePlayerAction(action, playerId, targetId = null, context = {}) {
+  const validActions = [...Object.keys(NIGHT_ACTIONS), "vote"];
 
   if (!validActions.includes(action)) {
     return {
@@ -279,26 +299,210 @@ function validatePlayerAction(action, playerId, targetId = null) {
     };
   }
 
-  if (["kill", "heal", "investigate", "vote"].includes(action) && !targetId) {
+  if (validActions.includes(action) && !targetId) {
     return {
       valid: false,
       message: "Target is required for this action",
     };
   }
 
-  if (targetId && playerId === targetId && !["heal"].includes(action)) {
+  if (
+    targetId &&
+    playerId === targetId &&
+    !NIGHT_ACTIONS[action]?.canTargetSelf
+  ) {
     return {
       valid: false,
       message: "Cannot target yourself for this action",
     };
   }
 
+  const { role, rules, players, previousActions, usesLeft } = context;
+
+  if (
+    role &&
+    action !== "vote" &&
+    getRoleDefinition(role)?.nightAction !== action
+  ) {
+    return {
+      valid: false,
+      message: `Your role cannot ${action} at night`,
+    };
+  }
+
+  if (usesLeft === 0) {
+    return {
+      valid: false,
+      message: "You have used up your ability for this game",
+    };
+  }
+
+  if (players) {
+    const target = players.find((p) => p.id === targetId);
+    if (!target || !target.isAlive) {
+      return {
+        valid: false,
+        message: "You can only target a living player",
+      };
+    }
+
+    if (
+      ["kill", "frame"].includes(action) &&
+      isMafiaRole(role) &&
+      isMafiaRole(target.role)
+    ) {
+      return {
+        valid: false,
+        message: "The mafia cannot target one of their own",
+      };
+    }
+  }
+
+  if (action === "heal" && rules) {
+    if (playerId === targetId && !rules.allowSelfHeal) {
+      return {
+        valid: false,
+        message: "Self-healing is turned off for this game",
+      };
+    }
+
+    const healedLastNight = (previousActions || []).some(
+      (a) =>
+        a.playerId === playerId && a.action === "heal" && a.target === targetId
+    );
+    if (healedLastNight && !rules.allowConsecutiveHeals) {
+      return {
+        valid: false,
+        message: "You cannot protect the same player two nights in a row",
+      };
+    }
+  }
+
   return { valid: true };
 }
 
+/**
+ * Validate a last will. An empty will is allowed and clears it.
+ * @param {string} text - Will text
+ * @returns {Object} Validation result
+ */
+function validateLastWill(text) {
+  if (typeof text !== "string") {
+    return {
+      valid: false,
+      message: "Last will must be text",
+    };
+  }
+
+  const trimmedText = text.trim();
+  const maxLength = config.get
+    ? config.get("security.validation.maxLastWillLength") || 1000
+    : 1000;
+
+  if (trimmedText.length > maxLength) {
+    return {
+      valid: false,
+      message: `Last will must be ${maxLength} characters or less`,
+    };
+  }
+
+  return {
+    valid: true,
+    sanitizedText: trimmedText,
+  };
+}
+
+/**
+ * Validate a chat message
+ * @param {string} message - Message text
+ * @returns {Object} Validation result
+ */
+function validateChatMessage(message) {
+  if (!message || typeof message !== "string" || !message.trim()) {
+    return {
+      valid: false,
+      message: "Message cannot be empty",
+    };
+  }
+
+  const trimmedMessage = message.trim();
+  const maxLength = config.get
+    ? config.get("security.validation.maxMessageLength") || 500
+    : 500;
+
+  if (trimmedMessage.length > maxLength) {
+    return {
+      valid: false,
+      message: `Message must be ${maxLength} characters or less`,
+    };
+  }
+
+  return {
+    valid: true,
+    sanitizedMessage: trimmedMessage,
+  };
+}
+
+/**
+ * Validate a host's request to delete a chat message. Only day chat
+ * messages can be moderated; mafia and ghost chats are private.
+ * @param {Object|null} chatMessage - Stored message
+ * @returns {Object} Validation result
+ */
+function validateChatDeletion(chatMessage) {
+  if (!chatMessage || chatMessage.channel !== "day" || chatMessage.deleted) {
+    return {
+      valid: false,
+      message: "Message not found",
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate a setup preset name
+ * @param {string} name - Preset name
+ * @returns {Object} Validation result
+ */
+function validatePresetName(name) {
+  if (!name || typeof name !== "string" || !name.trim()) {
+    return {
+      valid: false,
+      message: "Preset name is required",
+    };
+  }
+
+  const trimmedName = name.trim();
+  const maxLength = config.get ? config.get("presets.maxNameLength") || 30 : 30;
+
+  if (trimmedName.length > maxLength) {
+    return {
+      valid: false,
+      message: `Preset name must be ${maxLength} characters or less`,
+    };
+  }
+
+  if (!/^[a-zA-Z0-9\s\-_\.()!#&+']+$/.test(trimmedName)) {
+    return {
+      valid: false,
+      message: "Preset name contains invalid characters",
+    };
+  }
+
+  return {
+    valid: true,
+    sanitizedName: trimmedName,
+  };
+}
+
 module.exports = {
   validatePlayerName,
   validateGameSettings,
   validateRoomCode,
   validatePlayerAction,
+  validateChatMessage,
+  validateChatDeletion,
+  validateLastWill,
+  validatePresetName,
 };